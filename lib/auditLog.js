@@ -0,0 +1,43 @@
+// lib/auditLog.js - Per-channel record of who did what to a giveaway
+
+const crypto = require('crypto');
+
+class AuditLog {
+    // store: list-valued PersistentMap (itemId 'id') of channelId -> entries, oldest first
+    constructor({ store, maxEntries = 1000 }) {
+        this.store = store;
+        this.maxEntries = maxEntries;
+    }
+
+    // actor: { user_id, login, display_name, role } of whoever made the request
+    record(channelId, actor, action, details = {}) {
+        const entry = {
+            id: crypto.randomUUID(),
+            at: new Date().toISOString(),
+            actor,
+            action,
+            details
+        };
+
+        // Item by item, so entries recorded by other instances at the same time are kept too
+        this.store.append(channelId, 'items', entry);
+        this.store.trimList(channelId, 'items', this.maxEntries);
+
+        console.log(`📝 ${actor.login} (${actor.role}) ${action} on ${channelId}`);
+        return entry;
+    }
+
+    // Newest first, optionally only one action or one actor
+    list(channelId, { limit = 100, action, actorId } = {}) {
+        return (this.store.get(channelId) || [])
+            .filter(entry => (!action || entry.action === action) && (!actorId || entry.actor.user_id === actorId))
+            .slice(-limit)
+            .reverse();
+    }
+
+    delete(channelId) {
+        this.store.delete(channelId);
+    }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,336 @@
+// lib/auth.js - Cookie sessions, CSRF protection and auth middleware
+const crypto = require('crypto');
+const { findModerator } = require('./moderators');
+
+const SESSION_COOKIE = 'giveaway_session';
+const CSRF_HEADER = 'X-CSRF-Token';
+const CHANNEL_HEADER = 'X-Channel-Id';
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// lastSeenAt is only written back this often, not on every request
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+const READ_TOKEN_PREFIX = 'rt_';
+const READ_SCOPES = ['events', 'stats'];
+
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function createAuth({ authSessions, userSessions, readTokens, channelModerators, bannedTenants, secureCookies, adminToken }) {
+    const cookieOptions = {
+        httpOnly: true,
+        signed: true,
+        sameSite: 'lax',
+        secure: secureCookies,
+        path: '/'
+    };
+
+    // Start a browser session for an authenticated broadcaster
+    function createSession(res, userId) {
+        const sessionId = crypto.randomBytes(32).toString('hex');
+        const authSession = {
+            userId,
+            csrfToken: crypto.randomBytes(32).toString('hex'),
+            createdAt: new Date().toISOString(),
+            lastSeenAt: new Date().toISOString(),
+            expiresAt: new Date(Date.now() + SESSION_TTL_MS).toISOString()
+        };
+
+        authSessions.set(sessionId, authSession);
+        res.cookie(SESSION_COOKIE, sessionId, { ...cookieOptions, maxAge: SESSION_TTL_MS });
+
+        return authSession;
+    }
+
+    function destroySession(req, res) {
+        const sessionId = req.signedCookies[SESSION_COOKIE];
+        if (sessionId) {
+            authSessions.delete(sessionId);
+        }
+        res.clearCookie(SESSION_COOKIE, cookieOptions);
+    }
+
+    // Look up the session behind the request cookie, or null
+    function resolveSession(req) {
+        const sessionId = req.signedCookies[SESSION_COOKIE];
+        const authSession = sessionId && authSessions.get(sessionId);
+        if (!authSession) {
+            return null;
+        }
+
+        if (new Date(authSession.expiresAt) < new Date() || bannedTenants.has(authSession.userId)) {
+            authSessions.delete(sessionId);
+            return null;
+        }
+
+        const session = userSessions.get(authSession.userId);
+        if (!session) {
+            return null;
+        }
+
+        if (!authSession.lastSeenAt || Date.now() - new Date(authSession.lastSeenAt).getTime() > LAST_SEEN_INTERVAL_MS) {
+            authSession.lastSeenAt = new Date().toISOString();
+            authSessions.persist(sessionId);
+        }
+
+        return { sessionId, ...authSession, session };
+    }
+
+    // Browser sessions of one user (as broadcaster or moderator), without the IDs that act as credentials
+    function listSessions(userId) {
+        return Array.from(authSessions.values())
+            .filter(authSession => authSession.userId === userId)
+            .map(({ createdAt, lastSeenAt, expiresAt }) => ({ createdAt, lastSeenAt: lastSeenAt || null, expiresAt }));
+    }
+
+    // Signs the user out everywhere; returns how many sessions ended
+    function revokeSessions(userId) {
+        let revoked = 0;
+        for (const [sessionId, authSession] of Array.from(authSessions)) {
+            if (authSession.userId === userId) {
+                authSessions.delete(sessionId);
+                revoked++;
+            }
+        }
+        return revoked;
+    }
+
+    function requireAuth(req, res, next) {
+        const auth = resolveSession(req);
+        if (!auth) {
+            return res.status(401).json({ error: 'Not signed in' });
+        }
+
+        if (auth.session.needsReauth) {
+            return res.status(401).json({ error: 'Twitch authorization expired', reauth_required: true });
+        }
+
+        req.auth = { ...auth, actor: actorFor(auth.userId, auth.session, 'broadcaster') };
+        next();
+    }
+
+    function actorFor(userId, session, role) {
+        return {
+            user_id: userId,
+            login: session.userInfo.login,
+            display_name: session.userInfo.display_name,
+            role
+        };
+    }
+
+    // Broadcasters act on their own channel; moderators they invited act on it with the
+    // permissions they were given. The channel is :userId, else the X-Channel-Id header.
+    // req.auth then describes the channel (userId, session) and req.auth.actor who is acting.
+    function requireChannelRole(permission) {
+        return (req, res, next) => {
+            const current = resolveSession(req);
+            if (!current) {
+                return res.status(401).json({ error: 'Not signed in' });
+            }
+
+            const channelId = req.params.userId || req.get(CHANNEL_HEADER) || current.userId;
+            if (bannedTenants.has(channelId)) {
+                return res.status(403).json({ error: 'This channel has been suspended' });
+            }
+            if (channelId === current.userId) {
+                return requireAuth(req, res, next);
+            }
+
+            const moderator = findModerator(channelModerators.get(channelId), current.userId);
+            if (!moderator || !moderator.permissions.includes(permission)) {
+                return res.status(403).json({ error: 'Not allowed to do this for this channel' });
+            }
+
+            const session = userSessions.get(channelId);
+            if (!session) {
+                return res.status(404).json({ error: 'Channel not found' });
+            }
+            if (session.needsReauth) {
+                return res.status(409).json({ error: 'The broadcaster needs to sign in again' });
+            }
+
+            req.auth = {
+                ...current,
+                userId: channelId,
+                session,
+                actor: actorFor(current.userId, current.session, 'moderator')
+            };
+            next();
+        };
+    }
+
+    // Channels the signed-in user was invited to moderate
+    function moderatedChannels(userId) {
+        const channels = [];
+        for (const [channelId, moderators] of channelModerators) {
+            const moderator = findModerator(moderators, userId);
+            const session = userSessions.get(channelId);
+            if (moderator && session) {
+                channels.push({
+                    channel_id: channelId,
+                    login: session.userInfo.login,
+                    display_name: session.userInfo.display_name,
+                    permissions: moderator.permissions
+                });
+            }
+        }
+        return channels;
+    }
+
+    // Mutating requests must echo the session's CSRF token in a header
+    function requireCsrf(req, res, next) {
+        if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+            return next();
+        }
+
+        const token = req.get(CSRF_HEADER);
+        if (!token || !req.auth || !safeEqual(token, req.auth.csrfToken)) {
+            return res.status(403).json({ error: 'Invalid CSRF token' });
+        }
+
+        next();
+    }
+
+    // Read-only tokens for overlays; only the hash is stored
+    function createReadToken(userId, { label, scopes = READ_SCOPES } = {}) {
+        const invalidScopes = scopes.filter(scope => !READ_SCOPES.includes(scope));
+        if (scopes.length === 0 || invalidScopes.length > 0) {
+            throw new Error(`Invalid scopes: ${invalidScopes.join(', ') || 'none given'}`);
+        }
+
+        const token = READ_TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+        const record = {
+            id: crypto.randomUUID(),
+            userId,
+            label: label || 'Read-only token',
+            scopes,
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null
+        };
+
+        readTokens.set(hashToken(token), record);
+        return { token, ...record };
+    }
+
+    function listReadTokens(userId) {
+        return Array.from(readTokens.values()).filter(record => record.userId === userId);
+    }
+
+    // Returns the revoked record, or null if the user owns no such token
+    function revokeReadToken(userId, tokenId) {
+        for (const [hash, record] of readTokens) {
+            if (record.id === tokenId && record.userId === userId) {
+                readTokens.delete(hash);
+                return record;
+            }
+        }
+        return null;
+    }
+
+    // Returns how many tokens were removed
+    function revokeAllReadTokens(userId) {
+        let revoked = 0;
+        for (const [hash, record] of Array.from(readTokens)) {
+            if (record.userId === userId) {
+                readTokens.delete(hash);
+                revoked++;
+            }
+        }
+        return revoked;
+    }
+
+    // EventSource cannot send headers, so the token may also come as ?token=
+    function resolveReadToken(req) {
+        const header = req.get('Authorization') || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7) : req.query.token;
+        if (typeof token !== 'string' || !token.startsWith(READ_TOKEN_PREFIX)) {
+            return null;
+        }
+
+        const hash = hashToken(token);
+        const record = readTokens.get(hash);
+        if (!record) {
+            return null;
+        }
+
+        record.lastUsedAt = new Date().toISOString();
+        readTokens.persist(hash);
+        return record;
+    }
+
+    // Channel data (:userId) is readable by its owner's session or a read token with the scope
+    function requireChannelAccess(scope) {
+        return (req, res, next) => {
+            const userId = req.params.userId;
+            if (bannedTenants.has(userId)) {
+                return res.status(403).json({ error: 'This channel has been suspended' });
+            }
+
+            const current = resolveSession(req);
+            if (current && current.userId === userId) {
+                req.reader = { type: 'owner', userId };
+                return next();
+            }
+
+            // Every moderator has the view permission
+            if (current && findModerator(channelModerators.get(userId), current.userId)) {
+                req.reader = { type: 'moderator', userId, moderatorId: current.userId };
+                return next();
+            }
+
+            const record = resolveReadToken(req);
+            if (record && record.userId === userId && record.scopes.includes(scope)) {
+                req.reader = { type: 'token', userId, tokenId: record.id };
+                return next();
+            }
+
+            res.status(current || record ? 403 : 401).json({ error: 'Not authorized for this channel' });
+        };
+    }
+
+    // Operator endpoints take `Authorization: Bearer <ADMIN_TOKEN>`; without a token they stay off
+    function requireAdmin(req, res, next) {
+        if (!adminToken) {
+            return res.status(404).json({ error: 'Admin API is disabled' });
+        }
+
+        const header = req.get('Authorization') || '';
+        if (!header.startsWith('Bearer ') || !safeEqual(header.slice(7), adminToken)) {
+            return res.status(401).json({ error: 'Admin token required' });
+        }
+
+        next();
+    }
+
+    return {
+        createSession,
+        destroySession,
+        resolveSession,
+        listSessions,
+        revokeSessions,
+        requireAuth,
+        requireCsrf,
+        requireChannelRole,
+        moderatedChannels,
+        createReadToken,
+        listReadTokens,
+        revokeReadToken,
+        revokeAllReadTokens,
+        requireChannelAccess,
+        requireAdmin
+    };
+}
+
+module.exports = {
+    SESSION_COOKIE,
+    CSRF_HEADER,
+    CHANNEL_HEADER,
+    READ_SCOPES,
+    safeEqual,
+    createAuth
+};
@@ -0,0 +1,241 @@
+// lib/chatClient.js - Twitch chat (IRC over WebSocket) connection for one channel
+const WebSocket = require('ws');
+
+const DEFAULT_URL = 'wss://irc-ws.chat.twitch.tv:443';
+const RECONNECT_DELAYS_MS = [1000, 2000, 5000, 10000, 30000];
+
+// Stays well inside Twitch's 20 messages per 30 seconds for regular accounts
+const SEND_INTERVAL_MS = 1500;
+const MAX_QUEUED_MESSAGES = 20;
+const MAX_MESSAGE_LENGTH = 500;
+
+const TAG_ESCAPES = { ':': ';', s: ' ', '\\': '\\', r: '\r', n: '\n' };
+
+function unescapeTag(value) {
+    return value.replace(/\\(.)/g, (match, char) => TAG_ESCAPES[char] || char);
+}
+
+// One IRC line with IRCv3 tags: @tags :prefix COMMAND params :trailing
+function parseMessage(line) {
+    const message = { tags: {}, prefix: null, command: null, params: [] };
+    let rest = line;
+
+    if (rest.startsWith('@')) {
+        const end = rest.indexOf(' ');
+        for (const pair of rest.slice(1, end).split(';')) {
+            const separator = pair.indexOf('=');
+            const key = separator === -1 ? pair : pair.slice(0, separator);
+            message.tags[key] = separator === -1 ? '' : unescapeTag(pair.slice(separator + 1));
+        }
+        rest = rest.slice(end + 1);
+    }
+
+    if (rest.startsWith(':')) {
+        const end = rest.indexOf(' ');
+        message.prefix = rest.slice(1, end);
+        rest = rest.slice(end + 1);
+    }
+
+    let trailing = null;
+    const trailingStart = rest.indexOf(' :');
+    if (trailingStart !== -1) {
+        trailing = rest.slice(trailingStart + 2);
+        rest = rest.slice(0, trailingStart);
+    }
+
+    const parts = rest.split(' ').filter(Boolean);
+    message.command = parts.shift() || null;
+    message.params = trailing === null ? parts : [...parts, trailing];
+    return message;
+}
+
+// Chat badges map onto the same roles the weighting bonuses use
+function badgeRoles(badges) {
+    const names = (badges || '').split(',').map(badge => badge.split('/')[0]);
+    const roles = [];
+    if (names.includes('subscriber') || names.includes('founder')) roles.push('subscriber');
+    if (names.includes('vip')) roles.push('vip');
+    return roles;
+}
+
+class ChatClient {
+    // getCredentials() resolves with { login, accessToken } for every (re)connect.
+    // onAuthFailed() resolves true when fresh credentials are worth another try.
+    constructor({ url = DEFAULT_URL, channel, getCredentials, onMessage, onAuthFailed }) {
+        this.url = url;
+        this.channel = channel.toLowerCase();
+        this.getCredentials = getCredentials;
+        this.onMessage = onMessage;
+        this.onAuthFailed = onAuthFailed;
+
+        this.socket = null;
+        this.status = 'disconnected';
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        this.closed = false;
+        this.authFailed = false;
+        this.authRetried = false;
+        this.queue = [];
+        this.sendTimer = null;
+    }
+
+    connect() {
+        this.closed = false;
+        this.openSocket().catch(error => {
+            console.error(`Chat connection failed for #${this.channel}:`, error.message);
+            this.scheduleReconnect();
+        });
+    }
+
+    async openSocket() {
+        const { login, accessToken } = await this.getCredentials();
+        if (this.closed) return;
+
+        this.status = 'connecting';
+        this.authFailed = false;
+        const socket = new WebSocket(this.url);
+        this.socket = socket;
+
+        socket.on('open', () => {
+            socket.send('CAP REQ :twitch.tv/tags twitch.tv/commands');
+            socket.send(`PASS oauth:${accessToken}`);
+            socket.send(`NICK ${login.toLowerCase()}`);
+        });
+
+        socket.on('message', data => {
+            for (const line of data.toString().split('\r\n')) {
+                if (line) this.handleLine(socket, line);
+            }
+        });
+
+        socket.on('close', () => {
+            if (socket !== this.socket) return;
+            this.socket = null;
+            this.status = 'disconnected';
+            if (this.closed) return;
+
+            if (this.authFailed) {
+                this.retryAfterAuthFailure();
+            } else {
+                console.log(`⚠️ Chat disconnected from #${this.channel}, reconnecting`);
+                this.scheduleReconnect();
+            }
+        });
+
+        socket.on('error', error => {
+            console.error(`Chat socket error for #${this.channel}:`, error.message);
+        });
+    }
+
+    handleLine(socket, line) {
+        const message = parseMessage(line);
+
+        switch (message.command) {
+            case 'PING':
+                socket.send(`PONG :${message.params[0] || 'tmi.twitch.tv'}`);
+                break;
+
+            case '001':
+                socket.send(`JOIN #${this.channel}`);
+                break;
+
+            case 'JOIN':
+                this.status = 'connected';
+                this.reconnectAttempts = 0;
+                this.authRetried = false;
+                console.log(`💬 Chat connected to #${this.channel}`);
+                this.flushQueue();
+                break;
+
+            case 'NOTICE':
+                if (/authentication failed|improperly formatted auth/i.test(message.params[1] || '')) {
+                    this.authFailed = true;
+                }
+                break;
+
+            case 'RECONNECT':
+                // Twitch is restarting the chat server; the close handler reconnects
+                socket.close();
+                break;
+
+            case 'PRIVMSG': {
+                const { tags } = message;
+                const login = message.prefix ? message.prefix.split('!')[0] : '';
+                this.onMessage({
+                    id: tags.id || null,
+                    userId: tags['user-id'] || null,
+                    login,
+                    username: tags['display-name'] || login,
+                    text: message.params[1] || '',
+                    roles: badgeRoles(tags.badges),
+                    sentAt: tags['tmi-sent-ts'] ? new Date(Number(tags['tmi-sent-ts'])).toISOString() : new Date().toISOString()
+                });
+                break;
+            }
+        }
+    }
+
+    // One retry with refreshed credentials; a second failure usually means missing chat scopes
+    async retryAfterAuthFailure() {
+        console.log(`⚠️ Chat login failed for #${this.channel}`);
+        const retry = !this.authRetried && await this.onAuthFailed().catch(() => false);
+        this.authRetried = true;
+        if (retry && !this.closed) {
+            this.scheduleReconnect();
+        } else {
+            this.status = 'auth_failed';
+        }
+    }
+
+    scheduleReconnect() {
+        if (this.closed || this.reconnectTimer) return;
+
+        const delay = RECONNECT_DELAYS_MS[Math.min(this.reconnectAttempts, RECONNECT_DELAYS_MS.length - 1)];
+        this.reconnectAttempts++;
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, delay);
+    }
+
+    // Queued and paced; messages wait for the connection instead of being lost on a reconnect
+    say(text) {
+        const line = String(text).replace(/[\r\n]+/g, ' ').slice(0, MAX_MESSAGE_LENGTH);
+        if (this.queue.length >= MAX_QUEUED_MESSAGES) {
+            this.queue.shift();
+        }
+        this.queue.push(line);
+        this.flushQueue();
+    }
+
+    flushQueue() {
+        if (this.sendTimer || this.status !== 'connected' || this.queue.length === 0) return;
+
+        this.socket.send(`PRIVMSG #${this.channel} :${this.queue.shift()}`);
+        this.sendTimer = setTimeout(() => {
+            this.sendTimer = null;
+            this.flushQueue();
+        }, SEND_INTERVAL_MS);
+    }
+
+    close() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+        clearTimeout(this.sendTimer);
+        this.reconnectTimer = null;
+        this.sendTimer = null;
+        this.status = 'disconnected';
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+    }
+}
+
+module.exports = {
+    ChatClient,
+    parseMessage,
+    badgeRoles
+};
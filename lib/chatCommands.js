@@ -0,0 +1,87 @@
+// lib/chatCommands.js - Chat integration settings, command matching and announcement text
+
+const DEFAULT_CHAT_SETTINGS = {
+    enabled: false,
+    announce: true,
+    enterCommand: '!enter',
+    claimCommand: '!claim'
+};
+
+const COMMAND_PATTERN = /^![a-z0-9_]{1,24}$/;
+
+function chatSettings(session) {
+    return { ...DEFAULT_CHAT_SETTINGS, ...(session.chat || {}) };
+}
+
+// Validate the chat settings sent by the dashboard; fields left out keep their current value
+function normalizeChatSettings({ enabled, announce, enter_command, claim_command } = {}, current = DEFAULT_CHAT_SETTINGS) {
+    const settings = { ...current };
+
+    for (const [field, value] of Object.entries({ enabled, announce })) {
+        if (value === undefined) continue;
+        if (typeof value !== 'boolean') {
+            throw new Error(`${field} must be true or false`);
+        }
+        settings[field] = value;
+    }
+
+    for (const [field, key, value] of [['enter_command', 'enterCommand', enter_command], ['claim_command', 'claimCommand', claim_command]]) {
+        if (value === undefined) continue;
+        const command = typeof value === 'string' ? value.trim().toLowerCase() : '';
+        if (!COMMAND_PATTERN.test(command)) {
+            throw new Error(`${field} must be ! followed by up to 24 letters, digits or underscores`);
+        }
+        settings[key] = command;
+    }
+
+    if (settings.enterCommand === settings.claimCommand) {
+        throw new Error('enter_command and claim_command must be different');
+    }
+
+    return settings;
+}
+
+// The command a chat message starts with ("!enter please" -> "!enter"), or null
+function commandOf(text) {
+    const first = String(text).trim().split(/\s+/)[0].toLowerCase();
+    return first.startsWith('!') ? first : null;
+}
+
+function prizeOf(giveaway) {
+    return giveaway.prize || giveaway.title;
+}
+
+function openAnnouncement(giveaway, settings) {
+    const howToEnter = giveaway.entryConfig && giveaway.entryConfig.source === 'chat'
+        ? `Type ${settings.enterCommand} in chat to enter.`
+        : `Redeem "${giveaway.title}" with channel points to enter.`;
+    return `🎉 Giveaway open: ${prizeOf(giveaway)}! ${howToEnter}`;
+}
+
+function closeAnnouncement(giveaway) {
+    const count = giveaway.entries.length;
+    return `🔒 Giveaway closed with ${count} ${count === 1 ? 'entry' : 'entries'}. Good luck!`;
+}
+
+function winnerAnnouncement(giveaway, winner, settings) {
+    if (winner.status !== 'pending') {
+        return `🏆 @${winner.username} won ${prizeOf(giveaway)}!`;
+    }
+    const seconds = Math.max(Math.round((new Date(winner.claimDeadline) - Date.now()) / 1000), 0);
+    return `🏆 @${winner.username} won ${prizeOf(giveaway)}! Type ${settings.claimCommand} in chat within ${seconds} seconds to claim.`;
+}
+
+function claimAnnouncement(giveaway, winner) {
+    return `✅ @${winner.username} claimed ${prizeOf(giveaway)}!`;
+}
+
+module.exports = {
+    DEFAULT_CHAT_SETTINGS,
+    chatSettings,
+    normalizeChatSettings,
+    commandOf,
+    openAnnouncement,
+    closeAnnouncement,
+    winnerAnnouncement,
+    claimAnnouncement
+};
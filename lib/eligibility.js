@@ -0,0 +1,133 @@
+// lib/eligibility.js - Per-giveaway eligibility rules checked when an entry arrives
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_DAYS = 3650;
+const MAX_EXCLUDED_USERS = 500;
+
+// Twitch logins: up to 25 letters, digits and underscores
+const LOGIN_PATTERN = /^[a-z0-9_]{1,25}$/;
+
+const REJECTION_REASONS = {
+    excluded_user: 'Excluded from this giveaway',
+    banned: 'Banned from the channel',
+    not_following: 'Not following the channel',
+    follow_too_recent: 'Has not been following long enough',
+    not_subscriber: 'Not subscribed to the channel',
+    account_too_new: 'Twitch account is too new',
+    recent_winner: 'Won a recent giveaway',
+    check_failed: 'Eligibility could not be checked',
+    ticket_limit: 'Already has the most tickets allowed',
+    entry_cap: 'The giveaway was full'
+};
+
+function wholeDays(value, field) {
+    if (!Number.isInteger(value) || value < 0 || value > MAX_DAYS) {
+        throw new Error(`${field} must be a whole number of days from 0 to ${MAX_DAYS}`);
+    }
+    return value;
+}
+
+// Validate the eligibility settings sent when a giveaway is created. Nothing set = everyone is eligible.
+function normalizeEligibility({
+    followers_only = false,
+    min_follow_days = 0,
+    subscribers_only = false,
+    exclude_banned = false,
+    excluded_users = [],
+    min_account_age_days = 0,
+    exclude_winners_days = 0,
+    refund_rejected = false
+} = {}) {
+    for (const [field, value] of Object.entries({ followers_only, subscribers_only, exclude_banned, refund_rejected })) {
+        if (typeof value !== 'boolean') {
+            throw new Error(`${field} must be true or false`);
+        }
+    }
+
+    if (!Array.isArray(excluded_users) || excluded_users.length > MAX_EXCLUDED_USERS) {
+        throw new Error(`excluded_users must be a list of at most ${MAX_EXCLUDED_USERS} usernames`);
+    }
+
+    const excludedUsers = [];
+    for (const username of excluded_users) {
+        const login = typeof username === 'string' ? username.trim().replace(/^@/, '').toLowerCase() : '';
+        if (!LOGIN_PATTERN.test(login)) {
+            throw new Error(`Invalid username in excluded_users: ${username}`);
+        }
+        if (!excludedUsers.includes(login)) {
+            excludedUsers.push(login);
+        }
+    }
+
+    const minFollowDays = wholeDays(min_follow_days, 'min_follow_days');
+
+    return {
+        // A minimum follow age only makes sense for followers
+        followersOnly: followers_only || minFollowDays > 0,
+        minFollowDays,
+        subscribersOnly: subscribers_only,
+        excludeBanned: exclude_banned,
+        excludedUsers,
+        minAccountAgeDays: wholeDays(min_account_age_days, 'min_account_age_days'),
+        excludeWinnersDays: wholeDays(exclude_winners_days, 'exclude_winners_days'),
+        refundRejected: refund_rejected
+    };
+}
+
+function hasRules(rules) {
+    return !!rules && (rules.followersOnly || rules.subscribersOnly || rules.excludeBanned
+        || rules.excludedUsers.length > 0 || rules.minAccountAgeDays > 0 || rules.excludeWinnersDays > 0);
+}
+
+// Which Twitch lookups the rules need ({ follow, subscription, user, ban })
+function requiredLookups(rules) {
+    return {
+        follow: rules.followersOnly,
+        subscription: rules.subscribersOnly,
+        user: rules.minAccountAgeDays > 0,
+        ban: rules.excludeBanned
+    };
+}
+
+// Apply the rules to what is known about the viewer; returns a rejection reason or null.
+// facts: { login, followedAt, isSubscriber, createdAt, isBanned, lastWonAt }; followedAt is
+// false for non-followers, lookups that were not needed are left out, failed ones are null
+function evaluate(rules, facts, now = new Date()) {
+    if (rules.excludedUsers.includes((facts.login || '').toLowerCase())) {
+        return 'excluded_user';
+    }
+
+    const lookups = requiredLookups(rules);
+    if ((lookups.follow && facts.followedAt === null) || (lookups.subscription && facts.isSubscriber === null)
+        || (lookups.user && facts.createdAt === null) || (lookups.ban && facts.isBanned === null)) {
+        return 'check_failed';
+    }
+
+    if (rules.excludeBanned && facts.isBanned) {
+        return 'banned';
+    }
+    if (rules.followersOnly && !facts.followedAt) {
+        return 'not_following';
+    }
+    if (rules.minFollowDays > 0 && now - new Date(facts.followedAt) < rules.minFollowDays * DAY_MS) {
+        return 'follow_too_recent';
+    }
+    if (rules.subscribersOnly && !facts.isSubscriber) {
+        return 'not_subscriber';
+    }
+    if (rules.minAccountAgeDays > 0 && now - new Date(facts.createdAt) < rules.minAccountAgeDays * DAY_MS) {
+        return 'account_too_new';
+    }
+    if (rules.excludeWinnersDays > 0 && facts.lastWonAt && now - new Date(facts.lastWonAt) < rules.excludeWinnersDays * DAY_MS) {
+        return 'recent_winner';
+    }
+    return null;
+}
+
+module.exports = {
+    REJECTION_REASONS,
+    normalizeEligibility,
+    hasRules,
+    requiredLookups,
+    evaluate
+};
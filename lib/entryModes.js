@@ -0,0 +1,97 @@
+// lib/entryModes.js - Entry modes, ticket caps and weighting bonuses
+
+const ENTRY_MODES = ['single', 'multi'];
+const ENTRY_SOURCES = ['redemption', 'chat'];
+const BONUS_ROLES = ['subscriber', 'vip'];
+const MAX_BONUS_MULTIPLIER = 10;
+
+// Validate the entry settings sent when a giveaway is created
+function normalizeEntryConfig({ entry_mode = 'single', entry_source = 'redemption', max_tickets_per_user = 0, bonuses = {} } = {}) {
+    if (!ENTRY_MODES.includes(entry_mode)) {
+        throw new Error(`Invalid entry_mode. Use ${ENTRY_MODES.join(' or ')}.`);
+    }
+
+    if (!ENTRY_SOURCES.includes(entry_source)) {
+        throw new Error(`Invalid entry_source. Use ${ENTRY_SOURCES.join(' or ')}.`);
+    }
+
+    const maxTickets = entry_mode === 'single' ? 1 : Number(max_tickets_per_user);
+    if (!Number.isInteger(maxTickets) || maxTickets < 0) {
+        throw new Error('max_tickets_per_user must be a whole number (0 = unlimited)');
+    }
+
+    // Chat commands cost nothing, so an uncapped chat giveaway would reward spamming
+    if (entry_source === 'chat' && maxTickets === 0) {
+        throw new Error('Chat entries need a max_tickets_per_user limit');
+    }
+
+    const normalizedBonuses = {};
+    for (const [role, multiplier] of Object.entries(bonuses || {})) {
+        if (!BONUS_ROLES.includes(role)) {
+            throw new Error(`Unknown bonus role: ${role}`);
+        }
+        if (!Number.isInteger(multiplier) || multiplier < 1 || multiplier > MAX_BONUS_MULTIPLIER) {
+            throw new Error(`Bonus multiplier for ${role} must be a whole number from 1 to ${MAX_BONUS_MULTIPLIER}`);
+        }
+        if (multiplier > 1) {
+            normalizedBonuses[role] = multiplier;
+        }
+    }
+
+    return {
+        mode: entry_mode,
+        source: entry_source,
+        maxTicketsPerUser: maxTickets,
+        bonuses: normalizedBonuses
+    };
+}
+
+// Channel points reward fields that enforce the ticket cap on Twitch's side too
+function rewardLimits(entryConfig) {
+    const capped = entryConfig.maxTicketsPerUser > 0;
+    return {
+        is_max_per_user_per_stream_enabled: capped,
+        max_per_user_per_stream: capped ? entryConfig.maxTicketsPerUser : 1
+    };
+}
+
+function hasBonuses(entryConfig) {
+    return Object.keys(entryConfig.bonuses).length > 0;
+}
+
+// The largest applicable bonus wins; bonuses do not stack
+function entryWeight(entryConfig, roles) {
+    return roles.reduce((weight, role) => Math.max(weight, entryConfig.bonuses[role] || 1), 1);
+}
+
+function ticketCount(entries, viewerId) {
+    return entries.filter(entry => entry.user_id === viewerId).length;
+}
+
+function canAddTicket(entryConfig, entries, viewerId) {
+    return entryConfig.maxTicketsPerUser === 0 || ticketCount(entries, viewerId) < entryConfig.maxTicketsPerUser;
+}
+
+// Per-viewer ticket and weight totals for stats
+function ticketsPerUser(entries) {
+    const totals = new Map();
+    for (const entry of entries) {
+        const total = totals.get(entry.user_id) || { user_id: entry.user_id, username: entry.username, tickets: 0, weight: 0 };
+        total.tickets += 1;
+        total.weight += entry.weight || 1;
+        totals.set(entry.user_id, total);
+    }
+    return Array.from(totals.values()).sort((a, b) => b.weight - a.weight);
+}
+
+module.exports = {
+    ENTRY_MODES,
+    ENTRY_SOURCES,
+    BONUS_ROLES,
+    normalizeEntryConfig,
+    rewardLimits,
+    hasBonuses,
+    entryWeight,
+    canAddTicket,
+    ticketsPerUser
+};
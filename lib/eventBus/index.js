@@ -0,0 +1,29 @@
+// lib/eventBus/index.js - Event bus factory
+const MemoryEventBus = require('./memory');
+const RedisEventBus = require('./redis');
+
+// Instances sharing redis storage default to sharing events too
+function createEventBus({
+    driver = process.env.EVENT_BUS_DRIVER || (process.env.STORAGE_DRIVER === 'redis' ? 'redis' : 'memory'),
+    redisUrl = process.env.REDIS_URL
+} = {}) {
+    switch (driver) {
+        case 'memory':
+            return new MemoryEventBus();
+
+        case 'redis':
+            if (!redisUrl) {
+                throw new Error('REDIS_URL is required for the redis event bus');
+            }
+            return new RedisEventBus({ url: redisUrl });
+
+        default:
+            throw new Error(`Unknown event bus driver: ${driver}`);
+    }
+}
+
+module.exports = {
+    createEventBus,
+    MemoryEventBus,
+    RedisEventBus
+};
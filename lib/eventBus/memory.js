@@ -0,0 +1,35 @@
+// lib/eventBus/memory.js - In-process event bus (a single instance of the service)
+
+class MemoryEventBus {
+    constructor() {
+        this.handlers = [];
+        this.lastId = 0;
+    }
+
+    async init() {}
+
+    // handler(userId, event, id) runs for every published event. IDs only ever increase;
+    // they start from the clock so IDs from before a restart are never handed out again.
+    subscribe(handler) {
+        this.handlers.push(handler);
+    }
+
+    publish(userId, event) {
+        this.lastId = Math.max(this.lastId + 1, Date.now());
+        this.deliver(userId, event, this.lastId);
+    }
+
+    deliver(userId, event, id) {
+        for (const handler of this.handlers) {
+            try {
+                handler(userId, event, id);
+            } catch (error) {
+                console.error(`Event handler failed (${event.type}):`, error);
+            }
+        }
+    }
+
+    async close() {}
+}
+
+module.exports = MemoryEventBus;
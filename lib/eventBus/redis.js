@@ -0,0 +1,70 @@
+// lib/eventBus/redis.js - Redis pub/sub event bus shared by every instance of the service
+const crypto = require('crypto');
+const Redis = require('ioredis');
+const MemoryEventBus = require('./memory');
+
+// Numbers the event from one shared counter and publishes it in the same step, so every
+// instance sees the same IDs in the same order
+const PUBLISH_SCRIPT = `
+local id = redis.call('INCR', KEYS[1])
+redis.call('PUBLISH', ARGV[1], id .. '\\n' .. ARGV[2])
+return id`;
+
+// Events go to every instance through `<prefix>:events`, so a webhook landing on one
+// instance reaches dashboards on all of them
+class RedisEventBus extends MemoryEventBus {
+    constructor({ url, prefix = 'giveaway' }) {
+        super();
+        this.url = url;
+        this.channel = `${prefix}:events`;
+        this.idKey = `${prefix}:event-id`;
+        this.instanceId = crypto.randomUUID();
+        this.publisher = null;
+        this.subscriber = null;
+    }
+
+    async init() {
+        this.publisher = new Redis(this.url, { lazyConnect: true });
+        this.subscriber = this.publisher.duplicate();
+        this.publisher.on('error', error => console.error('Redis event bus error:', error.message));
+        this.subscriber.on('error', error => console.error('Redis event bus subscriber error:', error.message));
+
+        await Promise.all([this.publisher.connect(), this.subscriber.connect()]);
+        await this.subscriber.subscribe(this.channel);
+        this.subscriber.on('message', (channel, message) => this.handleMessage(message));
+    }
+
+    handleMessage(message) {
+        const separator = message.indexOf('\n');
+        let parsed;
+        try {
+            parsed = JSON.parse(message.slice(separator + 1));
+        } catch (error) {
+            return;
+        }
+
+        // Our own events were delivered when the publish returned
+        if (parsed.origin !== this.instanceId) {
+            this.deliver(parsed.userId, parsed.event, Number(message.slice(0, separator)));
+        }
+    }
+
+    publish(userId, event) {
+        const payload = JSON.stringify({ origin: this.instanceId, userId, event });
+
+        // Replies arrive in the order the publishes were sent, so local delivery keeps that order
+        this.publisher.eval(PUBLISH_SCRIPT, 1, this.idKey, this.channel, payload)
+            .then(id => this.deliver(userId, event, Number(id)))
+            .catch(error => {
+                // Other instances miss this one, but dashboards connected here still get it (without an ID)
+                console.error(`Event publish failed (${event.type}):`, error.message);
+                this.deliver(userId, event, null);
+            });
+    }
+
+    async close() {
+        await Promise.all([this.publisher.quit(), this.subscriber.quit()]);
+    }
+}
+
+module.exports = RedisEventBus;
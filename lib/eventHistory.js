@@ -0,0 +1,39 @@
+// lib/eventHistory.js - Recent events per channel, replayed to live feeds that reconnect with Last-Event-ID
+
+class EventHistory {
+    constructor({ maxEvents = 250 } = {}) {
+        this.maxEvents = maxEvents;
+        this.events = new Map(); // userId -> [{ id, data }], oldest first
+    }
+
+    add(userId, id, data) {
+        if (!this.events.has(userId)) {
+            this.events.set(userId, []);
+        }
+
+        const events = this.events.get(userId);
+        events.push({ id, data });
+        if (events.length > this.maxEvents) {
+            events.splice(0, events.length - this.maxEvents);
+        }
+    }
+
+    lastId(userId) {
+        const events = this.events.get(userId);
+        return events && events.length > 0 ? events[events.length - 1].id : null;
+    }
+
+    // Events after lastEventId. Null when lastEventId is not in the history (dropped, or seen
+    // before a restart), because then there is no telling what was missed.
+    since(userId, lastEventId) {
+        const events = this.events.get(userId) || [];
+        const index = events.findIndex(event => event.id === lastEventId);
+        return index === -1 ? null : events.slice(index + 1);
+    }
+
+    delete(userId) {
+        this.events.delete(userId);
+    }
+}
+
+module.exports = EventHistory;
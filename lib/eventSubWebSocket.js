@@ -0,0 +1,205 @@
+// lib/eventSubWebSocket.js - EventSub WebSocket transport client (one per broadcaster)
+const WebSocket = require('ws');
+const MessageCache = require('./messageCache');
+
+const DEFAULT_URL = 'wss://eventsub.wss.twitch.tv/ws';
+const RECONNECT_DELAYS_MS = [1000, 2000, 5000, 10000, 30000];
+
+// Extra time on top of Twitch's keepalive window before the connection counts as dead
+const KEEPALIVE_GRACE_MS = 2000;
+
+function isObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Why a frame cannot be handled, or null if it can. Frames from Twitch always pass;
+// this keeps anything else from throwing inside the socket's message handler.
+function frameProblem(message) {
+    if (!isObject(message) || !isObject(message.metadata)) {
+        return 'no metadata';
+    }
+
+    const { message_id: messageId, message_type: messageType } = message.metadata;
+    if (typeof messageId !== 'string' || typeof messageType !== 'string') {
+        return 'no message ID or type';
+    }
+
+    const payload = isObject(message.payload) ? message.payload : {};
+    const session = isObject(payload.session) ? payload.session : {};
+    switch (messageType) {
+        case 'session_welcome':
+            return typeof session.id === 'string' && Number.isFinite(session.keepalive_timeout_seconds)
+                ? null
+                : 'welcome without a session';
+        case 'session_reconnect':
+            return typeof session.reconnect_url === 'string' ? null : 'reconnect without a URL';
+        case 'notification':
+            return isObject(payload.subscription) && isObject(payload.event) ? null : 'notification without an event';
+        case 'revocation':
+            return isObject(payload.subscription) ? null : 'revocation without a subscription';
+        default:
+            return null;
+    }
+}
+
+class EventSubWebSocketClient {
+    // onSession(sessionId) runs for every new session, which starts without subscriptions.
+    // A session_reconnect keeps the subscriptions, so it does not trigger onSession.
+    constructor({ url = DEFAULT_URL, userId, onSession, onNotification, onRevocation }) {
+        this.url = url;
+        this.userId = userId;
+        this.onSession = onSession;
+        this.onNotification = onNotification;
+        this.onRevocation = onRevocation;
+
+        this.socket = null;
+        this.sessionId = null;
+        this.keepaliveTimer = null;
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        this.closed = false;
+        // One channel's messages over the default 10 minutes, at up to 10 a second
+        this.seenMessages = new MessageCache({
+            maxSize: 6000,
+            onEvict: messageId => console.log(`⚠️ EventSub WebSocket for ${userId} forgot message ${messageId} early`)
+        });
+    }
+
+    // True while a welcomed session is open
+    get connected() {
+        return !!this.socket && this.socket.readyState === WebSocket.OPEN && !!this.sessionId;
+    }
+
+    connect() {
+        this.closed = false;
+        this.openSocket(this.url, false);
+    }
+
+    openSocket(url, isMigration) {
+        const socket = new WebSocket(url);
+
+        if (!isMigration) {
+            this.socket = socket;
+        }
+
+        socket.on('message', data => {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (error) {
+                console.log(`Invalid JSON on EventSub WebSocket for ${this.userId}`);
+                return;
+            }
+
+            const problem = frameProblem(message);
+            if (problem) {
+                console.log(`Malformed EventSub WebSocket frame for ${this.userId} dropped: ${problem}`);
+                return;
+            }
+            this.handleMessage(socket, message);
+        });
+
+        socket.on('close', code => {
+            // Old sockets closed after a session_reconnect are expected
+            if (this.closed || socket !== this.socket) return;
+
+            console.log(`⚠️ EventSub WebSocket closed for ${this.userId} (code ${code})`);
+            this.sessionId = null;
+            clearTimeout(this.keepaliveTimer);
+            this.scheduleReconnect();
+        });
+
+        socket.on('error', error => {
+            console.error(`EventSub WebSocket error for ${this.userId}:`, error.message);
+        });
+    }
+
+    handleMessage(socket, { metadata, payload }) {
+        if (this.seenMessages.has(metadata.message_id)) return;
+        this.seenMessages.add(metadata.message_id);
+
+        switch (metadata.message_type) {
+            case 'session_welcome': {
+                const previousSocket = this.socket;
+                const isMigration = socket !== previousSocket;
+
+                this.socket = socket;
+                this.sessionId = payload.session.id;
+                this.keepaliveMs = payload.session.keepalive_timeout_seconds * 1000 + KEEPALIVE_GRACE_MS;
+                this.reconnectAttempts = 0;
+                this.resetKeepalive();
+
+                if (isMigration) {
+                    // Subscriptions moved with us; the old connection can go
+                    if (previousSocket) previousSocket.close(1000);
+                    console.log(`🔁 EventSub WebSocket migrated for ${this.userId} (session ${this.sessionId})`);
+                } else {
+                    console.log(`✅ EventSub WebSocket connected for ${this.userId} (session ${this.sessionId})`);
+                    this.onSession(this.sessionId);
+                }
+                break;
+            }
+
+            case 'session_keepalive':
+                this.resetKeepalive();
+                break;
+
+            case 'notification':
+                this.resetKeepalive();
+                this.onNotification(payload);
+                break;
+
+            case 'session_reconnect':
+                console.log(`EventSub WebSocket reconnect requested for ${this.userId}`);
+                this.openSocket(payload.session.reconnect_url, true);
+                break;
+
+            case 'revocation':
+                this.onRevocation(payload);
+                break;
+
+            default:
+                console.log('Unknown EventSub WebSocket message type:', metadata.message_type);
+        }
+    }
+
+    // No message within the keepalive window means the connection is dead
+    resetKeepalive() {
+        clearTimeout(this.keepaliveTimer);
+        this.keepaliveTimer = setTimeout(() => {
+            console.log(`⚠️ EventSub WebSocket keepalive missed for ${this.userId}, reconnecting`);
+            if (this.socket) {
+                const socket = this.socket;
+                this.socket = null;
+                socket.terminate();
+            }
+            this.sessionId = null;
+            this.scheduleReconnect();
+        }, this.keepaliveMs);
+    }
+
+    scheduleReconnect() {
+        if (this.closed || this.reconnectTimer) return;
+
+        const delay = RECONNECT_DELAYS_MS[Math.min(this.reconnectAttempts, RECONNECT_DELAYS_MS.length - 1)];
+        this.reconnectAttempts++;
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.openSocket(this.url, false);
+        }, delay);
+    }
+
+    close() {
+        this.closed = true;
+        clearTimeout(this.keepaliveTimer);
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        if (this.socket) {
+            this.socket.close(1000);
+            this.socket = null;
+        }
+    }
+}
+
+module.exports = EventSubWebSocketClient;
@@ -0,0 +1,111 @@
+// lib/export.js - CSV / JSON export of giveaway entries and winners
+
+const ENTRY_COLUMNS = [
+    'giveaway_id',
+    'username',
+    'user_id',
+    'redemption_id',
+    'redemption_status',
+    'reward_cost',
+    'redeemed_at',
+    'user_tickets',
+    'weight',
+    'won',
+    'winner_status',
+    'claimed_at'
+];
+
+// Quote when needed and defuse spreadsheet formulas (including ones behind a tab or carriage return)
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per entry, with the viewer's ticket count and the entry's winner state.
+// Rows are produced as they are read; entries arriving meanwhile are left out.
+function* entryRows(giveaway) {
+    const entries = giveaway.entries.slice();
+    const ticketCounts = new Map();
+    entries.forEach(entry => ticketCounts.set(entry.user_id, (ticketCounts.get(entry.user_id) || 0) + 1));
+
+    const winnersByRedemption = new Map((giveaway.winners || []).map(w => [w.redemption_id, w]));
+
+    for (const entry of entries) {
+        const winner = winnersByRedemption.get(entry.redemption_id);
+        yield {
+            giveaway_id: giveaway.id,
+            username: entry.username,
+            user_id: entry.user_id,
+            redemption_id: entry.redemption_id,
+            redemption_status: entry.redemption_status || null,
+            reward_cost: entry.reward_cost,
+            redeemed_at: entry.redeemed_at,
+            user_tickets: ticketCounts.get(entry.user_id),
+            weight: entry.weight || 1,
+            won: !!winner && !['expired', 'rerolled'].includes(winner.status),
+            winner_status: winner ? winner.status : null,
+            claimed_at: winner ? winner.claimedAt : null
+        };
+    }
+}
+
+// Resolves true once the response takes more data, false if the client went away first
+function drained(res) {
+    return new Promise(resolve => {
+        const finish = result => {
+            res.off('drain', onDrain);
+            res.off('close', onClose);
+            resolve(result);
+        };
+        const onDrain = () => finish(true);
+        const onClose = () => finish(false);
+        res.on('drain', onDrain);
+        res.on('close', onClose);
+    });
+}
+
+// Writes chunk by chunk, pausing whenever the socket buffer is full so large giveaways
+// never sit in memory as one big string. Stops early if the client disconnects.
+async function writeChunks(res, chunks) {
+    for (const chunk of chunks) {
+        if (res.destroyed) return;
+        if (!res.write(chunk) && !(await drained(res))) return;
+    }
+    res.end();
+}
+
+function* csvChunks(giveaway) {
+    yield ENTRY_COLUMNS.join(',') + '\r\n';
+    for (const row of entryRows(giveaway)) {
+        yield ENTRY_COLUMNS.map(column => csvCell(row[column])).join(',') + '\r\n';
+    }
+}
+
+function* jsonChunks(giveaway, summary) {
+    yield `{"giveaway":${JSON.stringify(summary)},"winners":${JSON.stringify(giveaway.winners || [])},"entries":[`;
+    let index = 0;
+    for (const row of entryRows(giveaway)) {
+        yield (index++ > 0 ? ',' : '') + JSON.stringify(row);
+    }
+    yield ']}';
+}
+
+function streamCsv(res, giveaway) {
+    return writeChunks(res, csvChunks(giveaway));
+}
+
+function streamJson(res, giveaway, summary) {
+    return writeChunks(res, jsonChunks(giveaway, summary));
+}
+
+module.exports = {
+    ENTRY_COLUMNS,
+    csvCell,
+    entryRows,
+    streamCsv,
+    streamJson
+};
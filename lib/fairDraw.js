@@ -0,0 +1,163 @@
+// lib/fairDraw.js - Provably fair (commit-reveal) winner selection
+const crypto = require('crypto');
+
+// With every weight at 1 this is simply HMAC mod entryCount
+const ALGORITHM = 'target = BigInt(HMAC-SHA256(key=seed, data=entriesHash, or entriesHash + ":" + round after the first winner)) mod totalWeight; '
+    + 'winnerIndex = first eligible entry whose running weight total exceeds target (weight defaults to 1); '
+    + 'each winner\'s other entries and excludedUsers are not eligible';
+
+// Draws from this version on publish pseudonymous entries; earlier draws published the raw ones
+const DRAW_VERSION = 2;
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// A fresh seed is generated before the draw; only its hash is published
+function createCommitment() {
+    const seed = crypto.randomBytes(32).toString('hex');
+    return {
+        seed,
+        commitment: sha256(seed),
+        committedAt: new Date().toISOString()
+    };
+}
+
+// Keyed with the draw's seed, so nobody can match IDs before the draw. Once the seed is
+// revealed a viewer can find their own entry with HMAC-SHA256(key=seed, data=user_id).
+function pseudonym(seed, id) {
+    return crypto.createHmac('sha256', seed).update(String(id)).digest('hex');
+}
+
+// What a draw publishes about each entry, in arrival order: pseudonymous redemption and
+// user IDs, and the weight of weighted entries. Usernames are not published.
+function publicEntries(seed, entries) {
+    return entries.map(entry => ({
+        redemption: pseudonym(seed, entry.redemption_id),
+        user: pseudonym(seed, entry.user_id),
+        weight: entry.weight > 1 ? entry.weight : undefined
+    }));
+}
+
+// Entry format of draws before DRAW_VERSION 2.
+// weight is left out for unweighted entries so their hash is unchanged.
+function canonicalEntries(entries) {
+    return entries.map(entry => ({
+        redemption_id: entry.redemption_id,
+        user_id: entry.user_id,
+        username: entry.username,
+        weight: entry.weight > 1 ? entry.weight : undefined
+    }));
+}
+
+function hashEntries(entries) {
+    return sha256(JSON.stringify(entries));
+}
+
+function pickIndex(seed, entriesHash, entries) {
+    const weights = entries.map(entry => BigInt(entry.weight || 1));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0n);
+
+    const digest = crypto.createHmac('sha256', seed).update(entriesHash).digest('hex');
+    const target = BigInt(`0x${digest}`) % totalWeight;
+
+    let runningTotal = 0n;
+    for (let i = 0; i < weights.length; i++) {
+        runningTotal += weights[i];
+        if (target < runningTotal) {
+            return i;
+        }
+    }
+}
+
+// Draw winners without replacement: each round skips viewers who already won
+// (or were excluded up front). Round 0 hashes entriesHash alone, later rounds
+// use `${entriesHash}:${round}`. userField names the entry field that identifies the viewer.
+function pickWinners(seed, entriesHash, entries, count, excludedUsers, userField) {
+    const excluded = new Set(excludedUsers);
+    const picks = [];
+
+    for (let round = 0; round < count; round++) {
+        const candidates = entries
+            .map((entry, index) => ({ entry, index }))
+            .filter(candidate => !excluded.has(candidate.entry[userField]));
+        if (candidates.length === 0) break;
+
+        const data = round === 0 ? entriesHash : `${entriesHash}:${round}`;
+        const { entry, index } = candidates[pickIndex(seed, data, candidates.map(c => c.entry))];
+
+        picks.push({ round, winnerIndex: index, winner: entry });
+        excluded.add(entry[userField]);
+    }
+
+    return picks;
+}
+
+// Reveal the seed and pick winners from the given entries. Picks refer to the published
+// entries; winnerIndex is also the index into the entries passed in.
+function draw(commitment, entries, { count = 1, excludedUserIds = [] } = {}) {
+    const snapshot = publicEntries(commitment.seed, entries);
+    const excludedUsers = excludedUserIds.map(id => pseudonym(commitment.seed, id));
+    const entriesHash = hashEntries(snapshot);
+    const winners = pickWinners(commitment.seed, entriesHash, snapshot, count, excludedUsers, 'user');
+
+    return {
+        id: crypto.randomUUID(),
+        version: DRAW_VERSION,
+        seed: commitment.seed,
+        commitment: commitment.commitment,
+        committedAt: commitment.committedAt,
+        entriesHash,
+        entryCount: snapshot.length,
+        entries: snapshot,
+        excludedUsers,
+        winners,
+        winnerIndex: winners.length > 0 ? winners[0].winnerIndex : null,
+        winner: winners.length > 0 ? winners[0].winner : null,
+        drawnAt: new Date().toISOString()
+    };
+}
+
+// Recompute a draw from its published inputs
+function verify({ version, seed, commitment, entries, entriesHash, winnerIndex, winners, excludedUsers = [], excludedUserIds = [] }) {
+    const legacy = !version || version < 2;
+    const snapshot = legacy
+        ? canonicalEntries(entries)
+        : entries.map(({ redemption, user, weight }) => ({ redemption, user, weight }));
+    const recomputedHash = hashEntries(snapshot);
+    const count = winners ? winners.length : 1;
+    const picks = legacy
+        ? pickWinners(seed, recomputedHash, snapshot, count, excludedUserIds, 'user_id')
+        : pickWinners(seed, recomputedHash, snapshot, count, excludedUsers, 'user');
+    const recomputedIndexes = picks.map(pick => pick.winnerIndex);
+
+    const expectedIndexes = winners ? winners.map(w => w.winnerIndex) : [winnerIndex];
+    const checks = {
+        commitmentMatchesSeed: sha256(seed) === commitment,
+        entriesHashMatches: entriesHash === undefined || entriesHash === recomputedHash,
+        winnerIndexMatches: (winners === undefined && winnerIndex === undefined)
+            || JSON.stringify(expectedIndexes) === JSON.stringify(recomputedIndexes)
+    };
+
+    return {
+        valid: Object.values(checks).every(Boolean),
+        checks,
+        entriesHash: recomputedHash,
+        winnerIndex: picks.length > 0 ? picks[0].winnerIndex : null,
+        winner: picks.length > 0 ? picks[0].winner : null,
+        winners: picks,
+        algorithm: ALGORITHM
+    };
+}
+
+module.exports = {
+    ALGORITHM,
+    DRAW_VERSION,
+    createCommitment,
+    pseudonym,
+    publicEntries,
+    canonicalEntries,
+    hashEntries,
+    draw,
+    verify
+};
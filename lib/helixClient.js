@@ -0,0 +1,282 @@
+// lib/helixClient.js - Every Twitch Helix API call goes through here: tokens, rate limits, retries, errors
+
+const DEFAULT_BASE_URL = 'https://api.twitch.tv/helix';
+
+// Retries after the first attempt, for 429, 5xx and network failures
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 500;
+
+// A request that would have to wait longer than this for its rate-limit bucket fails instead
+const MAX_RATE_LIMIT_WAIT_MS = 10 * 1000;
+
+// A POST that failed with a 5xx may still have gone through (a reward or subscription created
+// twice), so only requests that are safe to repeat are retried after a server error
+const RETRYABLE_METHODS = ['GET', 'PATCH', 'PUT', 'DELETE'];
+
+class HelixError extends Error {
+    // detail is Twitch's own message, status the HTTP status (null when there was no response)
+    constructor(message, { status = null, endpoint = null, detail = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.endpoint = endpoint;
+        this.detail = detail;
+    }
+}
+
+// The broadcaster token is gone or was rejected and could not be refreshed; they need to sign in again.
+// 401s for the app token or a token handed in by the caller are plain HelixErrors, and a refresh that
+// failed for a passing reason (Twitch's token endpoint down) is a HelixUnavailableError.
+class HelixAuthError extends HelixError {}
+
+class HelixNotFoundError extends HelixError {}
+
+class HelixRateLimitError extends HelixError {
+    constructor(message, { retryAfter, ...details }) {
+        super(message, { status: 429, ...details });
+        this.retryAfter = retryAfter; // seconds
+    }
+}
+
+// 5xx or no response at all, after the retries
+class HelixUnavailableError extends HelixError {}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class HelixClient {
+    // tokens: TokenManager for broadcaster and app tokens.
+    // onResponse(endpoint, status) sees every response ('network_error' when there was none).
+    constructor({ clientId, tokens, baseUrl = DEFAULT_BASE_URL, maxRetries = MAX_RETRIES, maxRateLimitWaitMs = MAX_RATE_LIMIT_WAIT_MS, onResponse = () => {} }) {
+        this.clientId = clientId;
+        this.tokens = tokens;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.maxRetries = maxRetries;
+        this.maxRateLimitWaitMs = maxRateLimitWaitMs;
+        this.onResponse = onResponse;
+        this.rateLimits = new Map(); // bucket ('app' or 'user:<id>') -> { remaining, resetAt }
+    }
+
+    // With the broadcaster's token; a 401 refreshes it once and retries.
+    // accessToken overrides the stored one (sign-in, before there is a session).
+    // Resolves with the parsed body, null for an empty response.
+    request(userId, path, { method = 'GET', query = {}, body, accessToken = null } = {}) {
+        return this.send({ userId, accessToken, path, method, query, body });
+    }
+
+    // With the app token (webhook subscriptions)
+    appRequest(path, { method = 'GET', query = {}, body } = {}) {
+        return this.send({ userId: null, accessToken: null, path, method, query, body });
+    }
+
+    // path is relative to the base URL, or absolute for endpoints configured separately.
+    // Array query values become repeated parameters (?id=1&id=2).
+    url(path, query) {
+        const url = new URL(/^https?:\/\//.test(path) ? path : `${this.baseUrl}${path}`);
+        for (const [name, value] of Object.entries(query)) {
+            for (const item of [].concat(value)) {
+                if (item !== undefined && item !== null) {
+                    url.searchParams.append(name, item);
+                }
+            }
+        }
+        return url;
+    }
+
+    // The path without the base URL and query; IDs in the query would make poor metric labels
+    endpoint(url) {
+        const basePath = new URL(this.baseUrl).pathname.replace(/\/+$/, '');
+        return url.pathname.startsWith(`${basePath}/`) ? url.pathname.slice(basePath.length) : url.pathname;
+    }
+
+    async send({ userId, accessToken, path, method, query, body }) {
+        const url = this.url(path, query);
+        const endpoint = this.endpoint(url);
+        const bucket = accessToken ? 'sign-in' : (userId ? `user:${userId}` : 'app');
+        let retries = 0;
+        let refreshed = false;
+
+        for (;;) {
+            await this.waitForRateLimit(bucket, endpoint);
+            const token = await this.token(userId, accessToken, endpoint);
+
+            let response;
+            try {
+                response = await fetch(url, {
+                    method,
+                    headers: {
+                        'Authorization': `Bearer ${token}`,
+                        'Client-Id': this.clientId,
+                        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+                    },
+                    body: body !== undefined ? JSON.stringify(body) : undefined
+                });
+            } catch (error) {
+                this.onResponse(endpoint, 'network_error');
+                if (retries < this.maxRetries && RETRYABLE_METHODS.includes(method)) {
+                    await sleep(this.backoff(retries++));
+                    continue;
+                }
+                throw new HelixUnavailableError(`Helix ${method} ${endpoint} failed: ${error.message}`, { endpoint, detail: error.message });
+            }
+
+            this.onResponse(endpoint, response.status);
+            this.updateRateLimit(bucket, response);
+
+            if (response.ok) {
+                const text = await response.text();
+                return text ? JSON.parse(text) : null;
+            }
+
+            // Tokens we manage get one refresh; one handed in by the caller cannot be refreshed
+            if (response.status === 401 && !refreshed && !accessToken) {
+                refreshed = true;
+                if (userId) {
+                    console.log(`Helix returned 401 for ${userId}, refreshing token and retrying`);
+                    if (await this.tokens.refresh(userId)) continue;
+
+                    // The refresh token was not rejected; the refresh failed for a reason that may pass
+                    if (!this.tokens.needsReauth(userId)) {
+                        throw new HelixUnavailableError(`Helix ${method} ${endpoint} failed: the token could not be refreshed`, {
+                            status: response.status,
+                            endpoint,
+                            detail: 'Token refresh failed'
+                        });
+                    }
+                } else {
+                    this.tokens.invalidateAppToken();
+                    continue;
+                }
+            }
+
+            if (response.status === 429 && retries < this.maxRetries) {
+                const waitMs = this.resetDelay(response) || this.backoff(retries);
+                if (waitMs <= this.maxRateLimitWaitMs) {
+                    console.log(`Helix rate limit hit on ${endpoint}, retrying in ${waitMs}ms`);
+                    retries++;
+                    await sleep(waitMs);
+                    continue;
+                }
+            }
+
+            if (response.status >= 500 && retries < this.maxRetries && RETRYABLE_METHODS.includes(method)) {
+                await sleep(this.backoff(retries++));
+                continue;
+            }
+
+            throw await this.errorFor(response, method, endpoint, { userToken: Boolean(userId) && !accessToken });
+        }
+    }
+
+    async token(userId, accessToken, endpoint) {
+        if (accessToken) return accessToken;
+        if (!userId) return this.tokens.getAppToken();
+
+        const token = this.tokens.userToken(userId);
+        if (!token) {
+            throw new HelixAuthError(`No usable Twitch token for ${userId}`, { status: 401, endpoint });
+        }
+        return token;
+    }
+
+    backoff(retries) {
+        return RETRY_BASE_DELAY_MS * 2 ** retries;
+    }
+
+    // Ratelimit-Reset is when the bucket is full again, in epoch seconds
+    resetDelay(response) {
+        const reset = Number(response.headers.get('Ratelimit-Reset'));
+        return reset > 0 ? Math.max(0, reset * 1000 - Date.now()) : 0;
+    }
+
+    updateRateLimit(bucket, response) {
+        const remaining = response.headers.get('Ratelimit-Remaining');
+        const reset = Number(response.headers.get('Ratelimit-Reset'));
+        if (remaining !== null && reset > 0) {
+            this.rateLimits.set(bucket, { remaining: Number(remaining), resetAt: reset * 1000 });
+        }
+    }
+
+    // Waits out an empty bucket instead of sending a request Twitch would answer with 429
+    async waitForRateLimit(bucket, endpoint) {
+        const limit = this.rateLimits.get(bucket);
+        if (!limit) return;
+
+        const waitMs = limit.resetAt - Date.now();
+        if (limit.remaining <= 0 && waitMs > 0) {
+            if (waitMs > this.maxRateLimitWaitMs) {
+                throw new HelixRateLimitError(`Helix rate limit reached for ${bucket}`, {
+                    endpoint,
+                    retryAfter: Math.ceil(waitMs / 1000)
+                });
+            }
+            console.log(`Helix rate limit reached for ${bucket}, waiting ${waitMs}ms`);
+            await sleep(waitMs);
+            this.rateLimits.delete(bucket);
+            return;
+        }
+
+        // Count requests in flight, so a burst does not overrun the bucket before the headers come back
+        limit.remaining--;
+    }
+
+    // userToken: the request used the broadcaster's stored token
+    async errorFor(response, method, endpoint, { userToken }) {
+        const text = await response.text().catch(() => '');
+        let detail = text;
+        try {
+            const data = JSON.parse(text);
+            detail = data.message || data.error || text;
+        } catch (error) {
+            // Not JSON; keep the raw text
+        }
+
+        const message = `Helix ${method} ${endpoint} failed (${response.status}): ${detail}`;
+        const details = { status: response.status, endpoint, detail };
+
+        if (response.status === 401 && userToken) return new HelixAuthError(message, details);
+        if (response.status === 404) return new HelixNotFoundError(message, details);
+        if (response.status === 429) {
+            return new HelixRateLimitError(message, { ...details, retryAfter: Math.ceil(this.resetDelay(response) / 1000) || 1 });
+        }
+        if (response.status >= 500) return new HelixUnavailableError(message, details);
+        return new HelixError(message, details);
+    }
+}
+
+// The API response for a failed Helix call, the same from every route: { status, body, retryAfter }.
+// Null for errors that did not come from Helix.
+function errorResponse(error) {
+    if (error instanceof HelixAuthError) {
+        return { status: 401, body: { error: 'Twitch authorization expired', reauth_required: true } };
+    }
+    if (error instanceof HelixNotFoundError) {
+        return { status: 404, body: { error: `Not found on Twitch: ${error.detail}` } };
+    }
+    if (error instanceof HelixRateLimitError) {
+        return {
+            status: 429,
+            body: { error: 'Twitch rate limit reached, please try again shortly', retry_after: error.retryAfter },
+            retryAfter: error.retryAfter
+        };
+    }
+    if (error instanceof HelixUnavailableError) {
+        return { status: 503, body: { error: 'Twitch is not responding, please try again shortly' } };
+    }
+    if (error instanceof HelixError) {
+        return { status: 502, body: { error: `Twitch rejected the request: ${error.detail}`, twitch_status: error.status } };
+    }
+    return null;
+}
+
+module.exports = {
+    DEFAULT_BASE_URL,
+    HelixClient,
+    HelixError,
+    HelixAuthError,
+    HelixNotFoundError,
+    HelixRateLimitError,
+    HelixUnavailableError,
+    errorResponse
+};
@@ -0,0 +1,101 @@
+// lib/leaderLock.js - Picks the one instance that runs background work when several share Redis
+const crypto = require('crypto');
+const Redis = require('ioredis');
+
+// Extend or release the lock only while we still hold it
+const RENEW_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0`;
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+class LeaderLock {
+    // Without a Redis URL there is nobody to share with, so this instance leads from the start.
+    // onAcquired / onLost are called whenever leadership changes.
+    constructor({ url = null, key = 'giveaway:leader', ttlMs = 15000, onAcquired = () => {}, onLost = () => {} }) {
+        this.url = url;
+        this.key = key;
+        this.ttlMs = ttlMs;
+        this.onAcquired = onAcquired;
+        this.onLost = onLost;
+        this.instanceId = crypto.randomUUID();
+        this.isLeader = false;
+        this.client = null;
+        this.timer = null;
+        this.checking = false;
+    }
+
+    async start() {
+        if (!this.url) {
+            this.isLeader = true;
+            this.onAcquired();
+            return;
+        }
+
+        this.client = new Redis(this.url, { lazyConnect: true });
+        this.client.on('error', error => console.error('Redis leader lock error:', error.message));
+        await this.client.connect();
+
+        await this.check();
+        this.timer = setInterval(() => this.check(), Math.floor(this.ttlMs / 3));
+    }
+
+    async check() {
+        if (this.checking) return;
+        this.checking = true;
+
+        try {
+            if (this.isLeader) {
+                const renewed = await this.client.eval(RENEW_SCRIPT, 1, this.key, this.instanceId, this.ttlMs);
+                if (!renewed) {
+                    this.setLeader(false);
+                }
+            } else {
+                const acquired = await this.client.set(this.key, this.instanceId, 'PX', this.ttlMs, 'NX');
+                if (acquired) {
+                    this.setLeader(true);
+                }
+            }
+        } catch (error) {
+            // Redis is unreachable; the lock will lapse, so another instance may take over
+            console.error('Leader lock check failed:', error.message);
+            if (this.isLeader) {
+                this.setLeader(false);
+            }
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    setLeader(isLeader) {
+        if (this.isLeader === isLeader) return;
+        this.isLeader = isLeader;
+
+        if (isLeader) {
+            console.log('👑 This instance is now the leader');
+            this.onAcquired();
+        } else {
+            console.log('👑 This instance is no longer the leader');
+            this.onLost();
+        }
+    }
+
+    // Hand leadership over right away instead of waiting for the lock to expire
+    async stop() {
+        clearInterval(this.timer);
+        if (!this.client) return;
+
+        if (this.isLeader) {
+            await this.client.eval(RELEASE_SCRIPT, 1, this.key, this.instanceId)
+                .catch(error => console.error('Leader lock release failed:', error.message));
+        }
+        await this.client.quit();
+    }
+}
+
+module.exports = LeaderLock;
@@ -0,0 +1,48 @@
+// lib/messageCache.js - Bounded, expiring set of recently seen message IDs
+
+class MessageCache {
+    // maxSize only guards memory; size it for the busiest expected rate over ttlMs. IDs pushed
+    // out before they expire could be accepted again, so each one is counted and reported.
+    constructor({ maxSize = 10000, ttlMs = 10 * 60 * 1000, onEvict = null } = {}) {
+        this.maxSize = maxSize;
+        this.ttlMs = ttlMs;
+        this.onEvict = onEvict;
+        this.seen = new Map(); // messageId -> expiresAt, oldest first
+        this.evicted = 0;
+    }
+
+    has(messageId) {
+        const expiresAt = this.seen.get(messageId);
+        if (expiresAt === undefined) return false;
+        if (expiresAt <= Date.now()) {
+            this.seen.delete(messageId);
+            return false;
+        }
+        return true;
+    }
+
+    add(messageId) {
+        this.seen.delete(messageId);
+        this.seen.set(messageId, Date.now() + this.ttlMs);
+        this.prune();
+    }
+
+    // Entries are in insertion order, so expired ones and overflow sit at the front
+    prune() {
+        const now = Date.now();
+        for (const [messageId, expiresAt] of this.seen) {
+            if (expiresAt > now && this.seen.size <= this.maxSize) break;
+            this.seen.delete(messageId);
+            if (expiresAt > now) {
+                this.evicted++;
+                if (this.onEvict) this.onEvict(messageId);
+            }
+        }
+    }
+
+    get size() {
+        return this.seen.size;
+    }
+}
+
+module.exports = MessageCache;
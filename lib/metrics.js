@@ -0,0 +1,160 @@
+// lib/metrics.js - Counters, gauges and histograms rendered in the Prometheus text format
+
+// Seconds; sized for webhook handling and Helix calls
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Series are keyed by their label values in labelNames order, so { a, b } and { b, a } match
+class Metric {
+    constructor({ name, help, type, labelNames = [] }) {
+        this.name = name;
+        this.help = help;
+        this.type = type;
+        this.labelNames = labelNames;
+        this.series = new Map(); // JSON of label values -> { labels, value }
+    }
+
+    seriesFor(labels, initial) {
+        const picked = {};
+        for (const name of this.labelNames) {
+            picked[name] = labels[name] === undefined ? '' : String(labels[name]);
+        }
+
+        const key = JSON.stringify(Object.values(picked));
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: picked, value: initial() });
+        }
+        return this.series.get(key);
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+
+    render() {
+        return [
+            ...this.header(),
+            ...Array.from(this.series.values(), ({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`)
+        ];
+    }
+}
+
+class Counter extends Metric {
+    constructor(options) {
+        super({ ...options, type: 'counter' });
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.seriesFor(labels, () => 0).value += amount;
+    }
+}
+
+// collect() runs on every scrape, for values that are cheaper to read than to track
+class Gauge extends Metric {
+    constructor({ collect = null, ...options }) {
+        super({ ...options, type: 'gauge' });
+        this.collect = collect;
+    }
+
+    set(labels, value) {
+        this.seriesFor(labels, () => 0).value = value;
+    }
+
+    render() {
+        if (this.collect) {
+            this.series.clear();
+            this.collect(this);
+        }
+        return super.render();
+    }
+}
+
+class Histogram extends Metric {
+    constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+        super({ ...options, type: 'histogram' });
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const series = this.seriesFor(labels, () => ({
+            counts: this.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        })).value;
+
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    // Starts a timer; calling the returned function records the elapsed seconds and returns them
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            this.observe({ ...labels, ...extraLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    render() {
+        const lines = this.header();
+        for (const { labels, value } of this.series.values()) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${value.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${value.sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+        }
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map(); // name -> metric
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(options) {
+        return this.register(new Counter(options));
+    }
+
+    gauge(options) {
+        return this.register(new Gauge(options));
+    }
+
+    histogram(options) {
+        return this.register(new Histogram(options));
+    }
+
+    render() {
+        return Array.from(this.metrics.values(), metric => metric.render().join('\n')).join('\n\n') + '\n';
+    }
+}
+
+module.exports = {
+    CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+    MetricsRegistry,
+    Counter,
+    Gauge,
+    Histogram
+};
@@ -0,0 +1,42 @@
+// lib/moderators.js - Moderators a broadcaster invited to help run their giveaways
+
+// view: entries, stats and the live feed; control: open, close and schedule; draw: draw, claim and reroll.
+// Creating giveaways, editing or deleting rewards and channel settings stay with the broadcaster.
+const MODERATOR_PERMISSIONS = ['view', 'control', 'draw'];
+
+const MAX_MODERATORS = 50;
+const LOGIN_PATTERN = /^[a-z0-9_]{1,25}$/;
+
+function normalizeLogin(login) {
+    const normalized = typeof login === 'string' ? login.trim().replace(/^@/, '').toLowerCase() : '';
+    if (!LOGIN_PATTERN.test(normalized)) {
+        throw new Error('login must be a Twitch username');
+    }
+    return normalized;
+}
+
+// Every moderator can at least watch; leaving permissions out grants all of them
+function normalizePermissions(permissions = MODERATOR_PERMISSIONS) {
+    if (!Array.isArray(permissions)) {
+        throw new Error(`permissions must be a list of ${MODERATOR_PERMISSIONS.join(', ')}`);
+    }
+
+    const invalid = permissions.filter(permission => !MODERATOR_PERMISSIONS.includes(permission));
+    if (invalid.length > 0) {
+        throw new Error(`Unknown permissions: ${invalid.join(', ')}`);
+    }
+
+    return MODERATOR_PERMISSIONS.filter(permission => permission === 'view' || permissions.includes(permission));
+}
+
+function findModerator(moderators, userId) {
+    return (moderators || []).find(moderator => moderator.user_id === userId) || null;
+}
+
+module.exports = {
+    MODERATOR_PERMISSIONS,
+    MAX_MODERATORS,
+    normalizeLogin,
+    normalizePermissions,
+    findModerator
+};
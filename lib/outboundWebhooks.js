@@ -0,0 +1,516 @@
+// lib/outboundWebhooks.js - Streamer-registered webhooks (plain JSON or Discord) for giveaway events
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const WEBHOOK_EVENTS = ['giveaway_started', 'giveaway_entry', 'giveaway_closed', 'winner_drawn'];
+const WEBHOOK_FORMATS = ['json', 'discord'];
+
+const MAX_HOOKS_PER_USER = 10;
+const MAX_BATCH_SECONDS = 300;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Attempt n+1 waits RETRY_DELAYS_MS[n]; after the last one the delivery is marked failed
+const RETRY_DELAYS_MS = [10 * 1000, 60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000];
+
+const SIGNATURE_HEADER = 'X-Giveaway-Signature';
+const TIMESTAMP_HEADER = 'X-Giveaway-Timestamp';
+
+const DISCORD_HOSTS = ['discord.com', 'discordapp.com', 'ptb.discord.com', 'canary.discord.com'];
+const DISCORD_COLOR = 0x9146FF;
+const MAX_DISCORD_NAMES = 40;
+
+// Addresses a webhook must never reach: this host, private networks, link-local (cloud metadata),
+// CGNAT, NAT64, multicast and reserved ranges. IPv4 rules also match IPv4-mapped IPv6 (::ffff:127.0.0.1).
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Hostnames that must not be reachable from the server through a streamer's webhook.
+// Only catches what the URL itself gives away; deliveries check the resolved addresses too.
+function isPrivateHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    return host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host);
+}
+
+function blockedAddressError(hostname) {
+    const error = new Error(`${hostname} resolves to a private address`);
+    error.code = 'EBLOCKEDADDRESS';
+    return error;
+}
+
+// dns.lookup that refuses hostnames with any private address. Used for every connection, so a
+// name that re-resolves to an internal address after it was saved (DNS rebinding) is still refused.
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (addresses.some(({ address }) => isPrivateAddress(address))) {
+            return callback(blockedAddressError(hostname));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// POST that never follows redirects and drains the response body; resolves with the response
+function post(url, { headers, body, allowPrivate }) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        // IP literals skip the lookup, so they are checked here
+        const host = target.hostname.replace(/^\[|\]$/g, '');
+        if (!allowPrivate && isPrivateAddress(host)) {
+            reject(blockedAddressError(host));
+            return;
+        }
+
+        const transport = target.protocol === 'http:' ? http : https;
+        const request = transport.request(target, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup: allowPrivate ? undefined : publicLookup
+        }, response => {
+            response.on('error', () => {});
+            response.resume();
+            resolve(response);
+        });
+
+        const timer = setTimeout(() => {
+            const error = new Error('Timed out');
+            error.name = 'TimeoutError';
+            request.destroy(error);
+        }, REQUEST_TIMEOUT_MS);
+        request.on('close', () => clearTimeout(timer));
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+// What a failed attempt records. Connection errors are not told apart, so the delivery log and
+// test-fire cannot be used to probe which ports a host has open.
+function deliveryError(error) {
+    if (error.name === 'TimeoutError') return 'Timed out';
+    if (error.code === 'EBLOCKEDADDRESS') return 'Host resolves to a private address';
+    if (error.code === 'ENOTFOUND' || error.code === 'EAI_AGAIN') return 'Could not resolve host';
+    return 'Could not connect';
+}
+
+function parseUrl(value, allowPrivate) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        throw new Error('url must be a valid URL');
+    }
+
+    // Plain http and local targets are only for development (e.g. a local request bin)
+    if (url.protocol !== 'https:' && !(allowPrivate && url.protocol === 'http:')) {
+        throw new Error('url must use https');
+    }
+    if (!allowPrivate && isPrivateHost(url.hostname)) {
+        throw new Error('url must point to a public host');
+    }
+    return url;
+}
+
+function isDiscordUrl(url) {
+    return DISCORD_HOSTS.includes(url.hostname) && url.pathname.startsWith('/api/webhooks/');
+}
+
+// Validate a new webhook, or changes to an existing one (fields left out keep their value)
+function normalizeHook({ url, format, events, batch_seconds, label, enabled } = {}, existing = null, { allowPrivate = false } = {}) {
+    const hook = existing ? { ...existing } : {
+        enabled: true,
+        events: WEBHOOK_EVENTS.slice(),
+        batchSeconds: 0,
+        label: null
+    };
+
+    if (url !== undefined || !existing) {
+        if (typeof url !== 'string') {
+            throw new Error('url is required');
+        }
+        const parsed = parseUrl(url, allowPrivate);
+        hook.url = parsed.toString();
+        if (format === undefined && !existing) {
+            hook.format = isDiscordUrl(parsed) ? 'discord' : 'json';
+        }
+    }
+
+    if (format !== undefined) {
+        if (!WEBHOOK_FORMATS.includes(format)) {
+            throw new Error(`format must be ${WEBHOOK_FORMATS.join(' or ')}`);
+        }
+        hook.format = format;
+    }
+
+    if (events !== undefined) {
+        if (!Array.isArray(events) || events.length === 0) {
+            throw new Error(`events must be a non-empty list of ${WEBHOOK_EVENTS.join(', ')}`);
+        }
+        const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown events: ${unknown.join(', ')}`);
+        }
+        hook.events = WEBHOOK_EVENTS.filter(event => events.includes(event));
+    }
+
+    if (batch_seconds !== undefined) {
+        if (!Number.isInteger(batch_seconds) || batch_seconds < 0 || batch_seconds > MAX_BATCH_SECONDS) {
+            throw new Error(`batch_seconds must be a whole number from 0 to ${MAX_BATCH_SECONDS}`);
+        }
+        hook.batchSeconds = batch_seconds;
+    }
+
+    if (label !== undefined) {
+        hook.label = label ? String(label).slice(0, 100) : null;
+    }
+
+    if (enabled !== undefined) {
+        if (typeof enabled !== 'boolean') {
+            throw new Error('enabled must be true or false');
+        }
+        hook.enabled = enabled;
+    }
+
+    return hook;
+}
+
+// Receivers check this over `${timestamp}.${body}` with the hook's secret
+function sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function discordEmbed(type, data, channel) {
+    const channelName = channel ? channel.display_name : 'the channel';
+    const prize = data.giveaway ? data.giveaway.prize || data.giveaway.title : 'the giveaway';
+
+    switch (type) {
+        case 'giveaway_started':
+            return { title: '🎉 Giveaway started', description: `${channelName} is giving away **${prize}**!` };
+        case 'giveaway_closed':
+            return { title: '🔒 Giveaway closed', description: `The ${prize} giveaway closed with ${data.giveaway.total_entries} entries.` };
+        case 'giveaway_entry': {
+            const names = data.entries.map(entry => entry.username);
+            const shown = names.slice(0, MAX_DISCORD_NAMES).join(', ');
+            const more = names.length > MAX_DISCORD_NAMES ? ` and ${names.length - MAX_DISCORD_NAMES} more` : '';
+            return {
+                title: names.length === 1 ? '🎟️ New entry' : `🎟️ ${names.length} new entries`,
+                description: shown + more
+            };
+        }
+        case 'winner_drawn':
+            return { title: '🏆 Winner drawn', description: `**${data.winner.username}** won ${prize}!` };
+        default:
+            return { title: '🔔 Test notification', description: `Webhook for ${channelName} is working.` };
+    }
+}
+
+// The request body for one hook; JSON hooks get the event as-is, Discord hooks an embed
+function formatPayload(hook, delivery, channel) {
+    if (hook.format === 'discord') {
+        return {
+            username: 'Giveaways',
+            embeds: [{
+                ...discordEmbed(delivery.event, delivery.data, channel),
+                color: DISCORD_COLOR,
+                timestamp: delivery.created_at,
+                footer: channel ? { text: channel.display_name } : undefined
+            }]
+        };
+    }
+
+    return {
+        id: delivery.id,
+        type: delivery.event,
+        channel,
+        occurred_at: delivery.created_at,
+        data: delivery.data
+    };
+}
+
+class WebhookDispatcher {
+    // hooks: PersistentMap userId -> [hook]; deliveries: list-valued PersistentMap (itemId 'id') of
+    // userId -> [delivery], oldest first, so each delivery is saved on its own.
+    // getChannel(userId) and getGiveaway(userId) describe the channel and current giveaway for payloads.
+    // allowPrivate lets deliveries reach local receivers (development only, like normalizeHook's).
+    constructor({ hooks, deliveries, getChannel, getGiveaway, maxLogEntries = 200, allowPrivate = false }) {
+        this.hooks = hooks;
+        this.deliveries = deliveries;
+        this.getChannel = getChannel;
+        this.getGiveaway = getGiveaway;
+        this.maxLogEntries = maxLogEntries;
+        this.allowPrivate = allowPrivate;
+        this.retryTimers = new Map(); // deliveryId -> timeout
+        this.batches = new Map(); // hookId -> { timer, entries }
+    }
+
+    // Fed with every event pushed to the dashboard; only webhook event types go out
+    handleEvent(userId, event) {
+        if (!WEBHOOK_EVENTS.includes(event.type)) return;
+
+        const hooks = (this.hooks.get(userId) || []).filter(hook => hook.enabled && hook.events.includes(event.type));
+        if (hooks.length === 0) return;
+
+        const { type, ...data } = event;
+        const giveaway = this.getGiveaway(userId);
+        for (const hook of hooks) {
+            if (type === 'giveaway_entry') {
+                this.queueEntry(userId, hook, giveaway, data);
+            } else {
+                this.enqueue(userId, hook, type, { giveaway, ...data });
+            }
+        }
+    }
+
+    // Entries always arrive as a list, so receivers handle batched and unbatched hooks alike
+    queueEntry(userId, hook, giveaway, entry) {
+        if (!hook.batchSeconds) {
+            this.enqueue(userId, hook, 'giveaway_entry', { giveaway, entries: [entry], count: 1 });
+            return;
+        }
+
+        let batch = this.batches.get(hook.id);
+        if (!batch) {
+            batch = { userId, giveaway, entries: [] };
+            batch.timer = setTimeout(() => this.flushBatch(userId, hook.id), hook.batchSeconds * 1000);
+            this.batches.set(hook.id, batch);
+        }
+        batch.entries.push(entry);
+    }
+
+    // sendNow false only queues the delivery (used on shutdown; restorePending sends it later)
+    flushBatch(userId, hookId, { sendNow = true } = {}) {
+        const batch = this.batches.get(hookId);
+        if (!batch) return;
+
+        clearTimeout(batch.timer);
+        this.batches.delete(hookId);
+
+        const hook = this.findHook(userId, hookId);
+        if (hook && batch.entries.length > 0) {
+            const data = { giveaway: batch.giveaway, entries: batch.entries, count: batch.entries.length };
+            this.enqueue(userId, hook, 'giveaway_entry', data, { sendNow });
+        }
+    }
+
+    findHook(userId, hookId) {
+        return (this.hooks.get(userId) || []).find(hook => hook.id === hookId) || null;
+    }
+
+    enqueue(userId, hook, event, data, { sendNow = true } = {}) {
+        const delivery = {
+            id: crypto.randomUUID(),
+            hook_id: hook.id,
+            event,
+            data,
+            status: 'pending',
+            attempts: 0,
+            response_status: null,
+            error: null,
+            created_at: new Date().toISOString(),
+            last_attempt_at: null,
+            next_attempt_at: new Date().toISOString(),
+            delivered_at: null
+        };
+
+        this.logDelivery(userId, delivery);
+
+        if (sendNow) {
+            this.attempt(userId, delivery.id);
+        }
+        return delivery;
+    }
+
+    // Deliveries past maxLogEntries drop off the log, and their retries with them
+    logDelivery(userId, delivery) {
+        this.deliveries.append(userId, 'items', delivery);
+        for (const dropped of this.deliveries.trimList(userId, 'items', this.maxLogEntries)) {
+            clearTimeout(this.retryTimers.get(dropped.id));
+            this.retryTimers.delete(dropped.id);
+        }
+    }
+
+    // One POST; returns { ok, status, error }
+    async send(hook, delivery, channel) {
+        const body = JSON.stringify(formatPayload(hook, delivery, channel));
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+
+        try {
+            const response = await post(hook.url, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'TwitchGiveawayService-Webhooks/1.0',
+                    'X-Giveaway-Event': delivery.event,
+                    'X-Giveaway-Delivery': delivery.id,
+                    [TIMESTAMP_HEADER]: timestamp,
+                    [SIGNATURE_HEADER]: sign(hook.secret, timestamp, body)
+                },
+                body,
+                allowPrivate: this.allowPrivate
+            });
+
+            // Discord asks rate-limited clients to come back after Retry-After seconds
+            const ok = response.statusCode >= 200 && response.statusCode < 300;
+            const retryAfter = Number(response.headers['retry-after']);
+            return {
+                ok,
+                status: response.statusCode,
+                error: ok ? null : `HTTP ${response.statusCode}`,
+                retryAfterMs: response.statusCode === 429 && retryAfter > 0 ? retryAfter * 1000 : null
+            };
+        } catch (error) {
+            return { ok: false, status: null, error: deliveryError(error) };
+        }
+    }
+
+    async attempt(userId, deliveryId) {
+        this.retryTimers.delete(deliveryId);
+
+        const log = this.deliveries.get(userId) || [];
+        const delivery = log.find(entry => entry.id === deliveryId);
+        if (!delivery || delivery.status !== 'pending') return;
+
+        const hook = this.findHook(userId, delivery.hook_id);
+        if (!hook) {
+            delivery.status = 'failed';
+            delivery.error = 'Webhook was deleted';
+            this.deliveries.persistItems(userId, 'items', [delivery]);
+            return;
+        }
+
+        const result = await this.send(hook, delivery, this.getChannel(userId));
+        delivery.attempts += 1;
+        delivery.last_attempt_at = new Date().toISOString();
+        delivery.response_status = result.status;
+        delivery.error = result.error;
+
+        // Client errors other than rate limits will not get better by retrying
+        const permanent = result.status >= 400 && result.status < 500 && result.status !== 429 && result.status !== 408;
+
+        if (result.ok) {
+            delivery.status = 'delivered';
+            delivery.delivered_at = delivery.last_attempt_at;
+            delivery.next_attempt_at = null;
+        } else if (permanent || delivery.attempts > RETRY_DELAYS_MS.length) {
+            delivery.status = 'failed';
+            delivery.next_attempt_at = null;
+            console.log(`⚠️ Webhook delivery ${delivery.id} (${delivery.event}) to ${hook.url} failed: ${result.error}`);
+        } else {
+            const delay = result.retryAfterMs || RETRY_DELAYS_MS[delivery.attempts - 1];
+            delivery.next_attempt_at = new Date(Date.now() + delay).toISOString();
+            this.scheduleAttempt(userId, delivery);
+        }
+
+        this.deliveries.persistItems(userId, 'items', [delivery]);
+    }
+
+    scheduleAttempt(userId, delivery) {
+        clearTimeout(this.retryTimers.get(delivery.id));
+        const delay = Math.max(new Date(delivery.next_attempt_at) - Date.now(), 0);
+        this.retryTimers.set(delivery.id, setTimeout(() => this.attempt(userId, delivery.id), delay));
+    }
+
+    // Pick up retries that were waiting before a restart
+    restorePending() {
+        for (const [userId, log] of this.deliveries) {
+            for (const delivery of log) {
+                if (delivery.status === 'pending') {
+                    this.scheduleAttempt(userId, delivery);
+                }
+            }
+        }
+    }
+
+    // Test-fire: one attempt, logged like any other delivery, result returned to the caller
+    async test(userId, hook) {
+        const delivery = {
+            id: crypto.randomUUID(),
+            hook_id: hook.id,
+            event: 'test',
+            data: { message: 'Test notification' },
+            created_at: new Date().toISOString()
+        };
+
+        const result = await this.send(hook, delivery, this.getChannel(userId));
+        const logged = {
+            ...delivery,
+            status: result.ok ? 'delivered' : 'failed',
+            attempts: 1,
+            response_status: result.status,
+            error: result.error,
+            last_attempt_at: new Date().toISOString(),
+            next_attempt_at: null,
+            delivered_at: result.ok ? new Date().toISOString() : null
+        };
+
+        this.logDelivery(userId, logged);
+        return logged;
+    }
+
+    // Newest first, optionally for one hook
+    listDeliveries(userId, { hookId, limit = 50 } = {}) {
+        return (this.deliveries.get(userId) || [])
+            .filter(delivery => !hookId || delivery.hook_id === hookId)
+            .slice(-limit)
+            .reverse();
+    }
+
+    // Forget a hook's queued batch and retries (the hook itself is removed by the caller)
+    forgetHook(userId, hookId) {
+        const batch = this.batches.get(hookId);
+        if (batch) {
+            clearTimeout(batch.timer);
+            this.batches.delete(hookId);
+        }
+
+        const forgotten = (this.deliveries.get(userId) || [])
+            .filter(delivery => delivery.hook_id === hookId && delivery.status === 'pending');
+        for (const delivery of forgotten) {
+            clearTimeout(this.retryTimers.get(delivery.id));
+            this.retryTimers.delete(delivery.id);
+            delivery.status = 'failed';
+            delivery.error = 'Webhook was deleted';
+            delivery.next_attempt_at = null;
+        }
+        this.deliveries.persistItems(userId, 'items', forgotten);
+    }
+
+    // Retries and unsent batches stay pending in storage and go out after the restart
+    stop() {
+        for (const [hookId, batch] of Array.from(this.batches)) {
+            this.flushBatch(batch.userId, hookId, { sendNow: false });
+        }
+
+        for (const timer of this.retryTimers.values()) {
+            clearTimeout(timer);
+        }
+        this.retryTimers.clear();
+    }
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    WEBHOOK_FORMATS,
+    MAX_HOOKS_PER_USER,
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    isPrivateAddress,
+    normalizeHook,
+    sign,
+    formatPayload,
+    WebhookDispatcher
+};
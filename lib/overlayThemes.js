@@ -0,0 +1,113 @@
+// lib/overlayThemes.js - Appearance settings for the OBS overlay pages
+
+const OVERLAY_KINDS = ['entries', 'winner', 'timer'];
+
+const THEME_DEFAULTS = {
+    background: 'transparent',
+    text_color: '#FFFFFF',
+    accent_color: '#9146FF',
+    font_family: 'Segoe UI, sans-serif',
+    font_size: 32,
+    align: 'center',
+    animation: 'slide',
+    max_entries: 5,
+    winner_style: 'wheel',
+    show_count: true
+};
+
+const MAX_THEME_NAME_LENGTH = 32;
+
+const COLOR_PATTERN = /^(transparent|#[0-9a-fA-F]{3}|#[0-9a-fA-F]{6}|#[0-9a-fA-F]{8})$/;
+
+// Only plain font names: the value ends up inside a CSS declaration
+const FONT_PATTERN = /^[\w\s,'-]{1,100}$/;
+
+const CHOICES = {
+    align: ['left', 'center', 'right'],
+    animation: ['slide', 'fade', 'none'],
+    winner_style: ['wheel', 'reveal']
+};
+
+const RANGES = {
+    font_size: [8, 200],
+    max_entries: [1, 50]
+};
+
+// Query strings only carry text, so numbers and booleans may arrive as strings
+function toInteger(value) {
+    return typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+}
+
+function toBoolean(value) {
+    if (value === 'true' || value === '1') return true;
+    if (value === 'false' || value === '0') return false;
+    return value;
+}
+
+// Validate theme fields; unknown fields are ignored so query strings can carry other parameters (like token)
+function normalizeTheme(input = {}) {
+    const theme = {};
+
+    for (const field of ['background', 'text_color', 'accent_color']) {
+        if (input[field] === undefined) continue;
+        if (typeof input[field] !== 'string' || !COLOR_PATTERN.test(input[field])) {
+            throw new Error(`${field} must be a hex color (#RGB, #RRGGBB, #RRGGBBAA) or transparent`);
+        }
+        theme[field] = input[field];
+    }
+
+    if (input.font_family !== undefined) {
+        if (typeof input.font_family !== 'string' || !FONT_PATTERN.test(input.font_family)) {
+            throw new Error('font_family may only contain letters, digits, spaces, commas, quotes and dashes');
+        }
+        theme.font_family = input.font_family;
+    }
+
+    for (const [field, [min, max]] of Object.entries(RANGES)) {
+        if (input[field] === undefined) continue;
+        const value = toInteger(input[field]);
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw new Error(`${field} must be a whole number from ${min} to ${max}`);
+        }
+        theme[field] = value;
+    }
+
+    for (const [field, options] of Object.entries(CHOICES)) {
+        if (input[field] === undefined) continue;
+        if (!options.includes(input[field])) {
+            throw new Error(`${field} must be one of: ${options.join(', ')}`);
+        }
+        theme[field] = input[field];
+    }
+
+    if (input.show_count !== undefined) {
+        const value = toBoolean(input.show_count);
+        if (typeof value !== 'boolean') {
+            throw new Error('show_count must be true or false');
+        }
+        theme.show_count = value;
+    }
+
+    return theme;
+}
+
+function validThemeName(name) {
+    return typeof name === 'string' && name.length <= MAX_THEME_NAME_LENGTH && /^[\w-]+$/.test(name);
+}
+
+// Defaults, then the saved theme, then query parameters
+function resolveTheme(savedTheme, query) {
+    return {
+        ...THEME_DEFAULTS,
+        ...(savedTheme || {}),
+        ...normalizeTheme(query)
+    };
+}
+
+module.exports = {
+    OVERLAY_KINDS,
+    THEME_DEFAULTS,
+    normalizeTheme,
+    validThemeName,
+    resolveTheme
+};
@@ -0,0 +1,48 @@
+// lib/redemptions.js - Batched redemption status updates (fulfill / refund)
+
+const REDEMPTIONS_PATH = '/channel_points/custom_rewards/redemptions';
+
+// Helix accepts at most 50 redemption IDs per request
+const BATCH_SIZE = 50;
+
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+// Set the status of the given redemptions, one batch at a time.
+// Returns { updated: [ids], failed: [ids] }; onBatch is called after every batch.
+async function updateRedemptionStatus({ helix, userId, rewardId, redemptionIds, status, onBatch }) {
+    const updated = [];
+    const failed = [];
+
+    for (const batch of chunk(redemptionIds, BATCH_SIZE)) {
+        try {
+            const data = await helix.request(userId, REDEMPTIONS_PATH, {
+                method: 'PATCH',
+                query: { broadcaster_id: userId, reward_id: rewardId, id: batch },
+                body: { status }
+            });
+
+            const returned = new Set(data.data.map(redemption => redemption.id));
+            batch.forEach(id => (returned.has(id) ? updated : failed).push(id));
+        } catch (error) {
+            console.error(`Redemption update to ${status} failed:`, error.message);
+            failed.push(...batch);
+        }
+
+        if (onBatch) {
+            onBatch({ status, processed: updated.length + failed.length, total: redemptionIds.length, failed: failed.length });
+        }
+    }
+
+    return { updated, failed };
+}
+
+module.exports = {
+    BATCH_SIZE,
+    updateRedemptionStatus
+};
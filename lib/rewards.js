@@ -0,0 +1,104 @@
+// lib/rewards.js - Channel points reward lookups and edits (rewards created by this app only)
+
+const { HelixNotFoundError } = require('./helixClient');
+
+const REWARDS_PATH = '/channel_points/custom_rewards';
+
+const MAX_TITLE_LENGTH = 45;
+const MAX_PROMPT_LENGTH = 200;
+const MAX_COOLDOWN_SECONDS = 7 * 24 * 60 * 60;
+
+// Validate a PATCH body and turn it into Helix reward fields
+function normalizeRewardUpdate({ title, cost, prompt, background_color, global_cooldown_seconds } = {}) {
+    const changes = {};
+
+    if (title !== undefined) {
+        if (typeof title !== 'string' || title.trim().length === 0 || title.length > MAX_TITLE_LENGTH) {
+            throw new Error(`title must be 1 to ${MAX_TITLE_LENGTH} characters`);
+        }
+        changes.title = title;
+    }
+
+    if (cost !== undefined) {
+        if (!Number.isInteger(cost) || cost < 1) {
+            throw new Error('cost must be a whole number of at least 1');
+        }
+        changes.cost = cost;
+    }
+
+    if (prompt !== undefined) {
+        if (typeof prompt !== 'string' || prompt.length > MAX_PROMPT_LENGTH) {
+            throw new Error(`prompt must be at most ${MAX_PROMPT_LENGTH} characters`);
+        }
+        changes.prompt = prompt;
+    }
+
+    if (background_color !== undefined) {
+        if (typeof background_color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(background_color)) {
+            throw new Error('background_color must be a hex color like #9146FF');
+        }
+        changes.background_color = background_color;
+    }
+
+    // 0 turns the cooldown off
+    if (global_cooldown_seconds !== undefined) {
+        if (!Number.isInteger(global_cooldown_seconds) || global_cooldown_seconds < 0 || global_cooldown_seconds > MAX_COOLDOWN_SECONDS) {
+            throw new Error(`global_cooldown_seconds must be a whole number from 0 to ${MAX_COOLDOWN_SECONDS}`);
+        }
+        changes.is_global_cooldown_enabled = global_cooldown_seconds > 0;
+        if (global_cooldown_seconds > 0) {
+            changes.global_cooldown_seconds = global_cooldown_seconds;
+        }
+    }
+
+    if (Object.keys(changes).length === 0) {
+        throw new Error('Nothing to update');
+    }
+
+    return changes;
+}
+
+// Twitch only lets an app manage the rewards it created, so this is "our" rewards
+async function listManagedRewards({ helix, userId }) {
+    const data = await helix.request(userId, REWARDS_PATH, {
+        query: { broadcaster_id: userId, only_manageable_rewards: 'true' }
+    });
+    return data.data;
+}
+
+// Returns the updated reward, or null when it no longer exists
+async function updateReward({ helix, userId, rewardId, changes }) {
+    try {
+        const data = await helix.request(userId, REWARDS_PATH, {
+            method: 'PATCH',
+            query: { broadcaster_id: userId, id: rewardId },
+            body: changes
+        });
+        return data.data[0];
+    } catch (error) {
+        if (error instanceof HelixNotFoundError) return null;
+        throw error;
+    }
+}
+
+// Returns false when there was nothing left to delete
+async function deleteReward({ helix, userId, rewardId }) {
+    try {
+        await helix.request(userId, REWARDS_PATH, {
+            method: 'DELETE',
+            query: { broadcaster_id: userId, id: rewardId }
+        });
+        return true;
+    } catch (error) {
+        if (error instanceof HelixNotFoundError) return false;
+        throw error;
+    }
+}
+
+module.exports = {
+    REWARDS_PATH,
+    normalizeRewardUpdate,
+    listManagedRewards,
+    updateReward,
+    deleteReward
+};
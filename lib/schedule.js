@@ -0,0 +1,120 @@
+// lib/schedule.js - Timed giveaways: validation, due checks and countdowns
+
+// Longest a giveaway may be scheduled ahead or stay open
+const MAX_SCHEDULE_AHEAD_MS = 90 * 24 * 60 * 60 * 1000;
+const MAX_DURATION_SECONDS = 30 * 24 * 60 * 60;
+
+function parseTime(value, field) {
+    const time = new Date(value);
+    if (typeof value !== 'string' || Number.isNaN(time.getTime())) {
+        throw new Error(`${field} must be an ISO 8601 date`);
+    }
+    return time;
+}
+
+// Validate the schedule settings sent by the dashboard.
+// opens_at defaults to now; the close comes from closes_at or duration_seconds (or neither).
+function normalizeSchedule({ opens_at, closes_at, duration_seconds, max_entries = 0, auto_draw = false, winners = 1, claim_window_seconds = 0, auto_reroll = true } = {}, now = new Date()) {
+    const opensAt = opens_at === undefined ? now : parseTime(opens_at, 'opens_at');
+    if (opensAt - now > MAX_SCHEDULE_AHEAD_MS) {
+        throw new Error('opens_at is too far in the future');
+    }
+
+    if (closes_at !== undefined && duration_seconds !== undefined) {
+        throw new Error('Send either closes_at or duration_seconds, not both');
+    }
+
+    let closesAt = null;
+    if (closes_at !== undefined) {
+        closesAt = parseTime(closes_at, 'closes_at');
+    } else if (duration_seconds !== undefined) {
+        if (!Number.isInteger(duration_seconds) || duration_seconds < 1 || duration_seconds > MAX_DURATION_SECONDS) {
+            throw new Error(`duration_seconds must be a whole number from 1 to ${MAX_DURATION_SECONDS}`);
+        }
+        closesAt = new Date(Math.max(opensAt.getTime(), now.getTime()) + duration_seconds * 1000);
+    }
+
+    if (closesAt && closesAt <= opensAt) {
+        throw new Error('closes_at must be after opens_at');
+    }
+    if (closesAt && closesAt <= now) {
+        throw new Error('closes_at must be in the future');
+    }
+
+    if (!Number.isInteger(max_entries) || max_entries < 0) {
+        throw new Error('max_entries must be a whole number (0 = no cap)');
+    }
+
+    if (!closesAt && max_entries === 0 && auto_draw) {
+        throw new Error('auto_draw needs closes_at, duration_seconds or max_entries to know when to draw');
+    }
+
+    if (!Number.isInteger(winners) || winners < 1) {
+        throw new Error('winners must be a whole number of at least 1');
+    }
+    if (!Number.isInteger(claim_window_seconds) || claim_window_seconds < 0) {
+        throw new Error('claim_window_seconds must be a whole number (0 = no claim needed)');
+    }
+
+    return {
+        status: 'scheduled',
+        opensAt: opensAt.toISOString(),
+        closesAt: closesAt ? closesAt.toISOString() : null,
+        maxEntries: max_entries,
+        autoDraw: auto_draw === true ? {
+            winners,
+            claimWindowSeconds: claim_window_seconds,
+            autoReroll: claim_window_seconds > 0 && auto_reroll !== false
+        } : null,
+        createdAt: now.toISOString(),
+        openedAt: null,
+        closedAt: null,
+        closeReason: null
+    };
+}
+
+// What the scheduler should do now: 'open', 'close', 'missed' (closed before it could open) or null
+function dueAction(schedule, now = new Date()) {
+    if (!schedule) return null;
+
+    const closePassed = schedule.closesAt && new Date(schedule.closesAt) <= now;
+
+    if (schedule.status === 'scheduled') {
+        if (closePassed) return 'missed';
+        return new Date(schedule.opensAt) <= now ? 'open' : null;
+    }
+
+    if (schedule.status === 'open' && closePassed) {
+        return 'close';
+    }
+
+    return null;
+}
+
+// Countdown for overlays: the next scheduled moment and the seconds until it
+function countdown(schedule, now = new Date()) {
+    let phase = null;
+    let target = null;
+
+    if (schedule.status === 'scheduled') {
+        phase = 'opens';
+        target = schedule.opensAt;
+    } else if (schedule.status === 'open' && schedule.closesAt) {
+        phase = 'closes';
+        target = schedule.closesAt;
+    }
+
+    if (!phase) return null;
+
+    return {
+        phase,
+        target,
+        seconds_remaining: Math.max(Math.ceil((new Date(target) - now) / 1000), 0)
+    };
+}
+
+module.exports = {
+    normalizeSchedule,
+    dueAction,
+    countdown
+};
@@ -0,0 +1,236 @@
+// lib/storage/PersistentMap.js - Map that mirrors its entries into a storage adapter
+
+// The list field of maps whose values are lists themselves
+const ITEMS = 'items';
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Array.filter, but keeping the array other code holds
+function filterInPlace(list, keep) {
+    let kept = 0;
+    for (const item of list) {
+        if (keep(item)) list[kept++] = item;
+    }
+    list.length = kept;
+}
+
+class PersistentMap extends Map {
+    // lists: { field: idField } for array fields stored item by item (`<namespace>.<field>`) instead of
+    // inside the object, so instances appending to the same list at once never overwrite each other.
+    // itemId: the values are arrays themselves (e.g. a log per channel), stored item by item like a list
+    // field called 'items' - append(key, 'items', item) and so on. The namespace only records the keys.
+    constructor(storage, namespace, { lists = {}, itemId = null } = {}) {
+        super();
+        this.storage = storage;
+        this.namespace = namespace;
+        this.listValues = !!itemId;
+        this.lists = itemId ? { [ITEMS]: itemId } : lists;
+    }
+
+    listName(field) {
+        return `${this.namespace}.${field}`;
+    }
+
+    // Restore saved entries on boot, then follow writes made by other instances (shared storage only)
+    async load() {
+        const hasLists = Object.keys(this.lists).length > 0;
+        for (const [key, stored] of await this.storage.load(this.namespace)) {
+            if (this.listValues) {
+                super.set(key, await this.loadItems(key, stored));
+                continue;
+            }
+
+            // A copy, so the lists put on it never end up in the stored object
+            const value = hasLists && isPlainObject(stored) ? { ...stored } : stored;
+            super.set(key, value);
+            await this.loadLists(key, value);
+        }
+
+        if (this.storage.watch) {
+            this.storage.watch(this.namespace, (key, value) => this.applyRemote(key, value));
+            for (const field of Object.keys(this.lists)) {
+                this.storage.watch(this.listName(field), (key, change) => this.applyRemoteList(key, field, change));
+            }
+        }
+        return this;
+    }
+
+    async loadLists(key, value) {
+        let inline = false;
+        for (const field of Object.keys(this.lists)) {
+            const saved = value[field];
+            const items = await this.storage.loadList(this.listName(field), key);
+
+            // Saved before the field was kept apart: move the items into their list
+            if (Array.isArray(saved)) {
+                inline = true;
+                if (items.length === 0 && saved.length > 0) {
+                    await this.storage.replaceList(this.listName(field), key, this.listItems(field, saved));
+                    continue;
+                }
+            }
+            value[field] = items;
+        }
+        if (inline) {
+            this.persist(key);
+        }
+    }
+
+    // Values saved as one array before their items were kept apart move into the list
+    async loadItems(key, stored) {
+        const items = await this.storage.loadList(this.listName(ITEMS), key);
+        if (!Array.isArray(stored)) return items;
+
+        if (items.length === 0 && stored.length > 0) {
+            await this.storage.replaceList(this.listName(ITEMS), key, this.listItems(ITEMS, stored));
+        }
+        await this.storage.set(this.namespace, key, this.stored(stored));
+        return items.length > 0 ? items : stored;
+    }
+
+    listItems(field, items) {
+        return items.map(item => [item[this.lists[field]], item]);
+    }
+
+    // The object as stored, without the fields kept in lists
+    stored(value) {
+        if (this.listValues) return {};
+        if (!isPlainObject(value)) return value;
+        const stored = { ...value };
+        for (const field of Object.keys(this.lists)) {
+            delete stored[field];
+        }
+        return stored;
+    }
+
+    // The array a list field is kept in, created if missing
+    listOf(key, field) {
+        const value = super.get(key);
+        if (this.listValues) return value;
+        if (!isPlainObject(value)) return undefined;
+        return value[field] || (value[field] = []);
+    }
+
+    // Objects are updated in place so code holding a reference (e.g. across an await) sees the new state
+    applyRemote(key, value) {
+        if (value === null) {
+            super.delete(key);
+            return;
+        }
+
+        // Its items follow as their own changes
+        if (this.listValues) {
+            if (!super.has(key)) super.set(key, []);
+            return;
+        }
+
+        const current = super.get(key);
+        if (isPlainObject(current) && isPlainObject(value)) {
+            for (const field of Object.keys(current)) {
+                if (!(field in value) && !(field in this.lists)) delete current[field];
+            }
+            Object.assign(current, value);
+        } else {
+            // Its lists follow as their own changes
+            if (isPlainObject(value)) {
+                Object.keys(this.lists).forEach(field => { value[field] = []; });
+            }
+            super.set(key, value);
+        }
+    }
+
+    // change: { op: 'append' | 'update', id, item }, { op: 'remove', ids } or { op: 'replace', items: [[id, item]] }
+    applyRemoteList(key, field, change) {
+        const list = this.listOf(key, field);
+        if (!list) return;
+
+        const idField = this.lists[field];
+        if (change.op === 'replace') {
+            list.length = 0;
+            change.items.forEach(([, item]) => list.push(item));
+            return;
+        }
+        if (change.op === 'remove') {
+            const removed = new Set(change.ids);
+            filterInPlace(list, item => !removed.has(item[idField]));
+            return;
+        }
+
+        const existing = list.find(item => item[idField] === change.id);
+        if (existing) {
+            // A second append of the same id (e.g. a redelivered redemption) keeps the first
+            if (change.op === 'update') Object.assign(existing, change.item);
+        } else if (change.op === 'append') {
+            list.push(change.item);
+        }
+    }
+
+    set(key, value) {
+        super.set(key, value);
+        this.persist(key);
+        for (const field of Object.keys(this.lists)) {
+            const items = this.listValues ? value : value[field];
+            this.writeList(key, field, 'replaceList', this.listItems(field, items || []));
+        }
+        return this;
+    }
+
+    delete(key) {
+        const existed = super.delete(key);
+        if (existed) {
+            this.storage.delete(this.namespace, key)
+                .catch(error => console.error(`Storage delete failed (${this.namespace}/${key}):`, error));
+            for (const field of Object.keys(this.lists)) {
+                this.writeList(key, field, 'replaceList', []);
+            }
+        }
+        return existed;
+    }
+
+    // Call after mutating a stored object in place; list fields are saved with append and persistItems
+    persist(key) {
+        if (!super.has(key)) return;
+        this.storage.set(this.namespace, key, this.stored(super.get(key)))
+            .catch(error => console.error(`Storage write failed (${this.namespace}/${key}):`, error));
+    }
+
+    // Add one item to a list field, locally and in storage. List-valued maps start a missing key's list.
+    append(key, field, item) {
+        if (this.listValues && !super.has(key)) {
+            super.set(key, []);
+            this.persist(key);
+        }
+
+        const list = this.listOf(key, field);
+        if (!list) return;
+        list.push(item);
+        this.writeList(key, field, 'appendToList', item[this.lists[field]], item);
+    }
+
+    // Call after mutating items of a list field in place
+    persistItems(key, field, items) {
+        if (!super.has(key)) return;
+        for (const item of items) {
+            this.writeList(key, field, 'updateListItem', item[this.lists[field]], item);
+        }
+    }
+
+    // Drop the oldest items of a list field past max; returns what was dropped
+    trimList(key, field, max) {
+        const list = this.listOf(key, field);
+        if (!list || list.length <= max) return [];
+
+        const dropped = list.splice(0, list.length - max);
+        this.writeList(key, field, 'removeFromList', dropped.map(item => item[this.lists[field]]));
+        return dropped;
+    }
+
+    writeList(key, field, method, ...args) {
+        this.storage[method](this.listName(field), key, ...args)
+            .catch(error => console.error(`Storage write failed (${this.listName(field)}/${key}):`, error));
+    }
+}
+
+module.exports = PersistentMap;
@@ -0,0 +1,172 @@
+// lib/storage/file.js - JSON file storage adapter, one file per namespace
+const fs = require('fs');
+const path = require('path');
+
+class FileStorage {
+    constructor({ dataDir, legacyFileName = 'store.json', writeDelay = 1000 }) {
+        this.dataDir = dataDir;
+        this.legacyPath = path.join(dataDir, legacyFileName);
+        this.writeDelay = writeDelay;
+        this.data = {}; // namespace -> { key: value }; values are the objects the maps hold, serialized on flush
+        this.lists = {}; // list -> { key: Map(id -> item) }, saved as { key: [[id, item]] } in <list>.json
+        this.dirty = new Set(); // namespaces changed since the last flush
+        this.writeTimer = null;
+        this.writing = Promise.resolve();
+    }
+
+    async init() {
+        await fs.promises.mkdir(this.dataDir, { recursive: true });
+
+        // Older versions kept every namespace in a single store.json
+        const legacy = await this.readFile(this.legacyPath);
+        if (legacy) {
+            this.data = legacy;
+            Object.keys(legacy).forEach(namespace => this.dirty.add(namespace));
+            await this.flush();
+            await fs.promises.rename(this.legacyPath, `${this.legacyPath}.migrated`);
+            console.log(`📦 Moved ${this.legacyPath} to one file per namespace`);
+        }
+    }
+
+    filePath(namespace) {
+        return path.join(this.dataDir, `${namespace}.json`);
+    }
+
+    async readFile(filePath) {
+        try {
+            return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw new Error(`Failed to read storage file ${filePath}: ${error.message}`);
+        }
+    }
+
+    async load(namespace) {
+        if (!this.data[namespace]) {
+            this.data[namespace] = (await this.readFile(this.filePath(namespace))) || {};
+        }
+        return Object.entries(this.data[namespace]);
+    }
+
+    async loadList(list, key) {
+        return Array.from((await this.listMaps(list))[key] || [], ([, item]) => item);
+    }
+
+    async listMaps(list) {
+        if (!this.lists[list]) {
+            const saved = (await this.readFile(this.filePath(list))) || {};
+            this.lists[list] = {};
+            for (const [key, items] of Object.entries(saved)) {
+                this.lists[list][key] = new Map(items);
+            }
+        }
+        return this.lists[list];
+    }
+
+    async appendToList(list, key, id, item) {
+        const maps = await this.listMaps(list);
+        const items = maps[key] || (maps[key] = new Map());
+        if (!items.has(id)) {
+            items.set(id, item);
+            this.markDirty(list);
+        }
+    }
+
+    async updateListItem(list, key, id, item) {
+        const items = (await this.listMaps(list))[key];
+        if (items && items.has(id)) {
+            items.set(id, item);
+            this.markDirty(list);
+        }
+    }
+
+    async removeFromList(list, key, ids) {
+        const maps = await this.listMaps(list);
+        const items = maps[key];
+        if (!items) return;
+
+        ids.forEach(id => items.delete(id));
+        if (items.size === 0) {
+            delete maps[key];
+        }
+        this.markDirty(list);
+    }
+
+    async replaceList(list, key, items) {
+        const maps = await this.listMaps(list);
+        if (items.length > 0) {
+            maps[key] = new Map(items);
+        } else {
+            delete maps[key];
+        }
+        this.markDirty(list);
+    }
+
+    async set(namespace, key, value) {
+        if (!this.data[namespace]) {
+            this.data[namespace] = {};
+        }
+        this.data[namespace][key] = value;
+        this.markDirty(namespace);
+    }
+
+    async delete(namespace, key) {
+        if (this.data[namespace] && key in this.data[namespace]) {
+            delete this.data[namespace][key];
+            this.markDirty(namespace);
+        }
+    }
+
+    // Readiness: the next write will be able to land
+    async ping() {
+        await fs.promises.access(this.dataDir, fs.constants.W_OK);
+    }
+
+    // Batch bursts of entries into a single write
+    markDirty(namespace) {
+        this.dirty.add(namespace);
+        if (this.writeTimer) return;
+        this.writeTimer = setTimeout(() => {
+            this.writeTimer = null;
+            this.flush().catch(error => console.error('Storage write failed:', error));
+        }, this.writeDelay);
+    }
+
+    async flush() {
+        if (this.writeTimer) {
+            clearTimeout(this.writeTimer);
+            this.writeTimer = null;
+        }
+
+        // Serialized now, so changes made while the files are being written wait for the next flush
+        const files = Array.from(this.dirty, namespace => [namespace, JSON.stringify(this.lists[namespace]
+            ? Object.fromEntries(Object.entries(this.lists[namespace]).map(([key, items]) => [key, Array.from(items)]))
+            : this.data[namespace] || {})]);
+        this.dirty.clear();
+
+        // Write to a temp file and rename so a crash never leaves a half-written namespace
+        this.writing = this.writing.catch(() => {}).then(async () => {
+            let failure = null;
+            for (const [namespace, contents] of files) {
+                const filePath = this.filePath(namespace);
+                try {
+                    await fs.promises.writeFile(`${filePath}.tmp`, contents);
+                    await fs.promises.rename(`${filePath}.tmp`, filePath);
+                } catch (error) {
+                    // Try again with the next flush
+                    this.markDirty(namespace);
+                    failure = failure || error;
+                }
+            }
+            if (failure) throw failure;
+        });
+
+        return this.writing;
+    }
+
+    async close() {
+        await this.flush();
+    }
+}
+
+module.exports = FileStorage;
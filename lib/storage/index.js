@@ -0,0 +1,38 @@
+// lib/storage/index.js - Storage adapter factory
+const path = require('path');
+const MemoryStorage = require('./memory');
+const FileStorage = require('./file');
+const RedisStorage = require('./redis');
+const PersistentMap = require('./PersistentMap');
+
+function createStorage({
+    driver = process.env.STORAGE_DRIVER || 'file',
+    dataDir = process.env.DATA_DIR,
+    redisUrl = process.env.REDIS_URL
+} = {}) {
+    switch (driver) {
+        case 'memory':
+            return new MemoryStorage();
+
+        case 'file':
+            return new FileStorage({ dataDir: dataDir || path.join(__dirname, '..', '..', 'data') });
+
+        // Shared by several instances behind a load balancer
+        case 'redis':
+            if (!redisUrl) {
+                throw new Error('REDIS_URL is required for the redis storage driver');
+            }
+            return new RedisStorage({ url: redisUrl });
+
+        default:
+            throw new Error(`Unknown storage driver: ${driver}`);
+    }
+}
+
+module.exports = {
+    createStorage,
+    MemoryStorage,
+    FileStorage,
+    RedisStorage,
+    PersistentMap
+};
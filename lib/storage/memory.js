@@ -0,0 +1,79 @@
+// lib/storage/memory.js - In-memory storage adapter (tests and throwaway instances)
+
+class MemoryStorage {
+    constructor() {
+        this.namespaces = new Map(); // namespace -> Map(key -> serialized value)
+        this.lists = new Map(); // list -> Map(key -> Map(id -> serialized item))
+    }
+
+    async init() {}
+
+    namespace(name) {
+        if (!this.namespaces.has(name)) {
+            this.namespaces.set(name, new Map());
+        }
+        return this.namespaces.get(name);
+    }
+
+    async load(namespace) {
+        return Array.from(this.namespace(namespace), ([key, value]) => [key, JSON.parse(value)]);
+    }
+
+    async set(namespace, key, value) {
+        // Store a copy so later mutations only land when persisted explicitly
+        this.namespace(namespace).set(key, JSON.stringify(value));
+    }
+
+    async delete(namespace, key) {
+        this.namespace(namespace).delete(key);
+    }
+
+    list(name, key) {
+        if (!this.lists.has(name)) {
+            this.lists.set(name, new Map());
+        }
+        const lists = this.lists.get(name);
+        if (!lists.has(key)) {
+            lists.set(key, new Map());
+        }
+        return lists.get(key);
+    }
+
+    async loadList(list, key) {
+        return Array.from(this.list(list, key).values(), item => JSON.parse(item));
+    }
+
+    async appendToList(list, key, id, item) {
+        const items = this.list(list, key);
+        if (!items.has(id)) {
+            items.set(id, JSON.stringify(item));
+        }
+    }
+
+    async updateListItem(list, key, id, item) {
+        const items = this.list(list, key);
+        if (items.has(id)) {
+            items.set(id, JSON.stringify(item));
+        }
+    }
+
+    async removeFromList(list, key, ids) {
+        const items = this.list(list, key);
+        ids.forEach(id => items.delete(id));
+    }
+
+    async replaceList(list, key, items) {
+        this.list(list, key).clear();
+        for (const [id, item] of items) {
+            this.list(list, key).set(id, JSON.stringify(item));
+        }
+    }
+
+    async ping() {}
+
+    async flush() {}
+
+    async close() {}
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,220 @@
+// lib/storage/redis.js - Redis storage adapter shared by every instance of the service
+const crypto = require('crypto');
+const Redis = require('ioredis');
+
+// How long a batch that Redis did not take waits before it is sent again
+const RETRY_DELAY_MS = 1000;
+
+// Each namespace is one hash (`<prefix>:<namespace>`, key -> JSON). A list is kept per key as the item ids
+// in order (`<prefix>:<list>:<key>`) and a hash of the items (`...:items`, id -> JSON), so appends and
+// item updates from several instances land side by side. Every write is also published on
+// `<prefix>:changes` so the other instances can update the copy they keep in memory.
+class RedisStorage {
+    constructor({ url, prefix = 'giveaway' }) {
+        this.url = url;
+        this.prefix = prefix;
+        this.changesChannel = `${prefix}:changes`;
+        this.instanceId = crypto.randomUUID();
+        this.watchers = new Map(); // namespace -> (key, value | null) => void
+        this.pending = new Map(); // `${namespace}\n${key}` -> { namespace, key, value } waiting for the next flush
+        this.listOps = []; // { list, key, op, ... } in order, written after the pending values
+        this.flushTimer = null;
+        this.retryTimer = null;
+        this.client = null;
+        this.subscriber = null;
+    }
+
+    async init() {
+        this.client = new Redis(this.url, { lazyConnect: true });
+        this.subscriber = this.client.duplicate();
+        this.client.on('error', error => console.error('Redis storage error:', error.message));
+        this.subscriber.on('error', error => console.error('Redis storage subscriber error:', error.message));
+
+        await Promise.all([this.client.connect(), this.subscriber.connect()]);
+        await this.subscriber.subscribe(this.changesChannel);
+        this.subscriber.on('message', (channel, message) => this.handleChange(message));
+    }
+
+    hashKey(namespace) {
+        return `${this.prefix}:${namespace}`;
+    }
+
+    async load(namespace) {
+        const hash = await this.client.hgetall(this.hashKey(namespace));
+        return Object.entries(hash).map(([key, value]) => [key, JSON.parse(value)]);
+    }
+
+    listKeys(list, key) {
+        return [`${this.prefix}:${list}:${key}`, `${this.prefix}:${list}:${key}:items`];
+    }
+
+    async loadList(list, key) {
+        const [orderKey, itemsKey] = this.listKeys(list, key);
+        const [[, ids], [, items]] = await this.client.multi().lrange(orderKey, 0, -1).hgetall(itemsKey).exec();
+
+        // An id appended twice keeps its first place
+        return Array.from(new Set(ids)).filter(id => id in items).map(id => JSON.parse(items[id]));
+    }
+
+    // listener(key, value) runs for changes made by other instances; value is null for deletes.
+    // For lists, value is the change: { op: 'append' | 'update', id, item }, { op: 'remove', ids }
+    // or { op: 'replace', items }.
+    watch(namespace, listener) {
+        this.watchers.set(namespace, listener);
+    }
+
+    handleChange(message) {
+        let change;
+        try {
+            change = JSON.parse(message);
+        } catch (error) {
+            return;
+        }
+
+        if (change.origin === this.instanceId) return;
+
+        const listener = this.watchers.get(change.namespace);
+        if (!listener) return;
+
+        if (change.op) {
+            const { op, id, ids, item, items } = change;
+            listener(change.key, {
+                op,
+                id,
+                ids,
+                item: item && JSON.parse(item),
+                items: items && items.map(([itemId, value]) => [itemId, JSON.parse(value)])
+            });
+        } else {
+            listener(change.key, change.value === null ? null : JSON.parse(change.value));
+        }
+    }
+
+    async ping() {
+        await this.client.ping();
+    }
+
+    async set(namespace, key, value) {
+        this.queue(namespace, key, value);
+    }
+
+    async delete(namespace, key) {
+        this.queue(namespace, key, null);
+    }
+
+    async appendToList(list, key, id, item) {
+        this.queueList({ list, key, op: 'append', id, item: JSON.stringify(item) });
+    }
+
+    async updateListItem(list, key, id, item) {
+        this.queueList({ list, key, op: 'update', id, item: JSON.stringify(item) });
+    }
+
+    async removeFromList(list, key, ids) {
+        if (ids.length === 0) return;
+        this.queueList({ list, key, op: 'remove', ids });
+    }
+
+    // items: [[id, item]]; an empty list removes it
+    async replaceList(list, key, items) {
+        this.queueList({ list, key, op: 'replace', items: items.map(([id, item]) => [id, JSON.stringify(item)]) });
+    }
+
+    queueList(op) {
+        this.listOps.push(op);
+        this.scheduleFlush();
+    }
+
+    // Bursts of writes to the same key (e.g. entries arriving together) go out once, on the next tick
+    queue(namespace, key, value) {
+        this.pending.set(`${namespace}\n${key}`, { namespace, key, value });
+        this.scheduleFlush();
+    }
+
+    scheduleFlush() {
+        if (!this.flushTimer) {
+            this.flushTimer = setImmediate(() => {
+                this.flushTimer = null;
+                this.flush().catch(error => console.error('Redis storage write failed:', error.message));
+            });
+        }
+    }
+
+    async flush() {
+        if (this.flushTimer) {
+            clearImmediate(this.flushTimer);
+            this.flushTimer = null;
+        }
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        if (this.pending.size === 0 && this.listOps.length === 0) return;
+
+        // Taken off the queues now, so writes made while the batch is in flight wait for the next flush
+        const pending = this.pending;
+        const listOps = this.listOps;
+        this.pending = new Map();
+        this.listOps = [];
+
+        const batch = this.client.multi();
+        for (const { namespace, key, value } of pending.values()) {
+            const serialized = value === null ? null : JSON.stringify(value);
+            if (serialized === null) {
+                batch.hdel(this.hashKey(namespace), key);
+            } else {
+                batch.hset(this.hashKey(namespace), key, serialized);
+            }
+            batch.publish(this.changesChannel, JSON.stringify({ origin: this.instanceId, namespace, key, value: serialized }));
+        }
+
+        // After the values, so a new object reaches the other instances before its lists
+        for (const { list, key, op, id, ids, item, items } of listOps) {
+            const [orderKey, itemsKey] = this.listKeys(list, key);
+            if (op === 'append') {
+                batch.rpush(orderKey, id).hsetnx(itemsKey, id, item);
+            } else if (op === 'update') {
+                batch.hset(itemsKey, id, item);
+            } else if (op === 'remove') {
+                ids.forEach(removedId => batch.lrem(orderKey, 0, removedId));
+                batch.hdel(itemsKey, ...ids);
+            } else {
+                batch.del(orderKey, itemsKey);
+                if (items.length > 0) {
+                    batch.rpush(orderKey, ...items.map(([itemId]) => itemId));
+                    batch.hset(itemsKey, ...items.flat());
+                }
+            }
+            batch.publish(this.changesChannel, JSON.stringify({ origin: this.instanceId, namespace: list, key, op, id, ids, item, items }));
+        }
+
+        try {
+            await batch.exec();
+        } catch (error) {
+            this.requeue(pending, listOps);
+            throw error;
+        }
+    }
+
+    // Puts a failed batch back in front of the writes queued since, which win for the same key,
+    // and tries again shortly
+    requeue(pending, listOps) {
+        for (const [pendingKey, write] of this.pending) {
+            pending.set(pendingKey, write);
+        }
+        this.pending = pending;
+        this.listOps = listOps.concat(this.listOps);
+
+        if (!this.retryTimer) {
+            this.retryTimer = setTimeout(() => {
+                this.retryTimer = null;
+                this.flush().catch(error => console.error('Redis storage write failed:', error.message));
+            }, RETRY_DELAY_MS);
+        }
+    }
+
+    async close() {
+        await this.flush();
+        await Promise.all([this.client.quit(), this.subscriber.quit()]);
+    }
+}
+
+module.exports = RedisStorage;
@@ -0,0 +1,225 @@
+// lib/subscriptionReconciler.js - Keeps the app's EventSub webhook subscriptions in line with sessions
+
+const { HelixNotFoundError } = require('./helixClient');
+
+const REDEMPTION_TYPE = 'channel.channel_points_custom_reward_redemption.add';
+const SUBSCRIPTIONS_PATH = '/eventsub/subscriptions';
+
+const RECONCILE_INTERVAL_MS = 15 * 60 * 1000;
+
+const LIVE_STATUSES = ['enabled', 'webhook_callback_verification_pending'];
+
+// Revocations fixed by subscribing again; the rest (authorization_revoked,
+// user_removed) need the broadcaster to sign in again first
+const RECOVERABLE_STATUSES = ['notification_failures_exceeded', 'webhook_callback_verification_failed', 'version_removed'];
+
+class SubscriptionReconciler {
+    // createSubscription(userId, rewardId, callbackUrl) must resolve with the new subscription ID
+    constructor({ helix, sessions, createSubscription }) {
+        this.helix = helix;
+        this.sessions = sessions;
+        this.createSubscription = createSubscription;
+        this.health = new Map(); // userId -> latest health record
+        this.lastRun = null;
+        this.running = null;
+        this.timer = null;
+    }
+
+    start(intervalMs = RECONCILE_INTERVAL_MS) {
+        this.timer = setInterval(() => {
+            this.reconcileAll().catch(error => console.error('Subscription reconcile loop failed:', error));
+        }, intervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // All of the app's redemption subscriptions, following pagination
+    async listSubscriptions() {
+        const subscriptions = [];
+        let cursor = null;
+
+        do {
+            const data = await this.helix.appRequest(SUBSCRIPTIONS_PATH, {
+                query: { type: REDEMPTION_TYPE, after: cursor }
+            });
+            subscriptions.push(...data.data);
+            cursor = data.pagination && data.pagination.cursor;
+        } while (cursor);
+
+        return subscriptions;
+    }
+
+    async deleteSubscription(subscriptionId) {
+        try {
+            await this.helix.appRequest(SUBSCRIPTIONS_PATH, { method: 'DELETE', query: { id: subscriptionId } });
+        } catch (error) {
+            // Already gone counts as deleted
+            if (!(error instanceof HelixNotFoundError)) throw error;
+        }
+    }
+
+    // Only webhook sessions are reconciled; WebSocket subscriptions live and die with their socket
+    wantsWebhook(session) {
+        return !!(session && session.rewardId && session.subscriptionId && (session.transport || 'webhook') === 'webhook');
+    }
+
+    // Runs are shared so a scheduled run and a manual one never overlap
+    reconcileAll() {
+        if (!this.running) {
+            this.running = this.performReconcile()
+                .finally(() => { this.running = null; });
+        }
+        return this.running;
+    }
+
+    async performReconcile() {
+        const startedAt = new Date().toISOString();
+        const subscriptions = await this.listSubscriptions();
+
+        const byBroadcaster = new Map();
+        for (const subscription of subscriptions) {
+            const userId = subscription.condition.broadcaster_user_id;
+            if (!byBroadcaster.has(userId)) byBroadcaster.set(userId, []);
+            byBroadcaster.get(userId).push(subscription);
+        }
+
+        const userIds = new Set([
+            ...byBroadcaster.keys(),
+            ...Array.from(this.sessions.keys()).filter(userId => this.wantsWebhook(this.sessions.get(userId)))
+        ]);
+
+        const summary = { checked: subscriptions.length, users: userIds.size, deleted: 0, recreated: 0, errors: 0 };
+        for (const userId of userIds) {
+            const record = await this.reconcileUser(userId, byBroadcaster.get(userId) || []);
+            summary.deleted += record.deleted;
+            summary.recreated += record.status === 'recreated' ? 1 : 0;
+            summary.errors += record.status === 'error' ? 1 : 0;
+        }
+
+        this.lastRun = { ...summary, startedAt, finishedAt: new Date().toISOString() };
+        console.log(`🧹 Subscriptions reconciled: ${summary.checked} checked, ${summary.deleted} deleted, ${summary.recreated} recreated`);
+        return this.lastRun;
+    }
+
+    // Keep one live subscription for the session's reward, delete the rest, recreate if none is left
+    async reconcileUser(userId, owned) {
+        const session = this.sessions.get(userId);
+        const record = {
+            userId,
+            transport: 'webhook',
+            status: 'healthy',
+            subscriptionId: null,
+            subscriptionStatus: null,
+            deleted: 0,
+            error: null,
+            checkedAt: new Date().toISOString()
+        };
+
+        let keep = null;
+        if (this.wantsWebhook(session)) {
+            const live = owned.filter(s => s.condition.reward_id === session.rewardId && LIVE_STATUSES.includes(s.status));
+            keep = live.find(s => s.id === session.subscriptionId) || live[0] || null;
+        }
+
+        for (const subscription of owned) {
+            if (subscription === keep) continue;
+            try {
+                await this.deleteSubscription(subscription.id);
+                record.deleted++;
+            } catch (error) {
+                console.error(error.message);
+            }
+        }
+
+        if (!this.wantsWebhook(session)) {
+            // Orphans only: nothing to keep track of for this broadcaster
+            this.health.delete(userId);
+            return { ...record, status: 'orphaned' };
+        }
+
+        if (keep) {
+            if (keep.id !== session.subscriptionId) {
+                session.subscriptionId = keep.id;
+                this.sessions.persist(userId);
+            }
+            record.subscriptionId = keep.id;
+            record.subscriptionStatus = keep.status;
+        } else {
+            const previous = owned.find(s => s.id === session.subscriptionId);
+            record.subscriptionId = session.subscriptionId;
+            record.subscriptionStatus = previous ? previous.status : 'missing';
+
+            if (previous && !RECOVERABLE_STATUSES.includes(previous.status)) {
+                record.status = 'revoked';
+            } else if (session.needsReauth) {
+                record.status = 'reauth_required';
+            } else {
+                await this.recreate(userId, session, owned, record);
+            }
+        }
+
+        this.health.set(userId, record);
+        return record;
+    }
+
+    async recreate(userId, session, owned, record) {
+        const callbackUrl = session.webhookCallback || (owned[0] && owned[0].transport.callback);
+        if (!callbackUrl) {
+            record.status = 'error';
+            record.error = 'No webhook callback URL known for this session';
+            return;
+        }
+
+        try {
+            const subscriptionId = await this.createSubscription(userId, session.rewardId, callbackUrl);
+            session.subscriptionId = subscriptionId;
+            this.sessions.persist(userId);
+
+            record.status = 'recreated';
+            record.subscriptionId = subscriptionId;
+            record.subscriptionStatus = 'webhook_callback_verification_pending';
+            console.log(`🔁 Recreated EventSub subscription for ${userId} (ID: ${subscriptionId})`);
+        } catch (error) {
+            record.status = 'error';
+            record.error = error.message;
+            console.error(`Recreating subscription for ${userId} failed:`, error.message);
+        }
+    }
+
+    // Revocation notice from Twitch: recover right away when subscribing again can help
+    async handleRevocation(userId, subscription) {
+        const session = this.sessions.get(userId);
+        if (!this.wantsWebhook(session) || session.subscriptionId !== subscription.id) {
+            return null;
+        }
+
+        if (!RECOVERABLE_STATUSES.includes(subscription.status)) {
+            const record = {
+                userId,
+                transport: 'webhook',
+                status: 'revoked',
+                subscriptionId: subscription.id,
+                subscriptionStatus: subscription.status,
+                deleted: 0,
+                error: null,
+                checkedAt: new Date().toISOString()
+            };
+            this.health.set(userId, record);
+            return record;
+        }
+
+        const owned = (await this.listSubscriptions())
+            .filter(s => s.condition.broadcaster_user_id === userId);
+        return this.reconcileUser(userId, owned);
+    }
+}
+
+module.exports = {
+    REDEMPTION_TYPE,
+    RECOVERABLE_STATUSES,
+    SubscriptionReconciler
+};
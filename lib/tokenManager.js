@@ -0,0 +1,244 @@
+// lib/tokenManager.js - OAuth token validation and refresh for broadcaster sessions
+
+const DEFAULT_AUTH_URL = 'https://id.twitch.tv/oauth2';
+
+// Twitch asks apps to validate tokens hourly
+const VALIDATE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Refresh proactively when a token has less than this left
+const REFRESH_MARGIN_MS = 10 * 60 * 1000;
+
+// Readiness probes arrive every few seconds; the app credentials are checked at most this often
+const CREDENTIALS_CHECK_TTL_MS = 60 * 1000;
+
+class TokenManager {
+    // authUrl is Twitch's OAuth base (validate, token); onRefreshFailed(userId, reason) sees
+    // every refresh that did not produce a new token
+    constructor({ clientId, clientSecret, sessions, onReauthRequired, authUrl = DEFAULT_AUTH_URL, onRefreshFailed = () => {} }) {
+        this.clientId = clientId;
+        this.clientSecret = clientSecret;
+        this.sessions = sessions;
+        this.onReauthRequired = onReauthRequired;
+        this.validateUrl = `${authUrl}/validate`;
+        this.tokenUrl = `${authUrl}/token`;
+        this.onRefreshFailed = onRefreshFailed;
+        this.pendingRefreshes = new Map(); // userId -> Promise<boolean>
+        this.appToken = null; // { accessToken, expiresAt } from the client credentials grant
+        this.pendingAppToken = null;
+        this.credentialsCheck = null; // { checkedAt, promise } of the last app credentials check
+        this.validateTimer = null;
+    }
+
+    start(intervalMs = VALIDATE_INTERVAL_MS) {
+        this.validateTimer = setInterval(() => {
+            this.validateAll().catch(error => console.error('Token validation loop failed:', error));
+        }, intervalMs);
+        this.validateTimer.unref();
+    }
+
+    stop() {
+        clearInterval(this.validateTimer);
+        this.validateTimer = null;
+    }
+
+    async validateAll() {
+        for (const userId of Array.from(this.sessions.keys())) {
+            await this.validate(userId);
+        }
+    }
+
+    // Returns true when the session holds a usable token afterwards
+    async validate(userId) {
+        const session = this.sessions.get(userId);
+        if (!session || session.needsReauth) return false;
+
+        let response;
+        try {
+            response = await fetch(this.validateUrl, {
+                headers: { 'Authorization': `OAuth ${session.accessToken}` }
+            });
+        } catch (error) {
+            // Network trouble is not a reason to drop the session
+            console.error(`Token validation request failed for ${userId}:`, error.message);
+            return true;
+        }
+
+        if (response.status === 401) {
+            return this.refresh(userId);
+        }
+
+        if (!response.ok) {
+            console.error(`Token validation returned ${response.status} for ${userId}`);
+            return true;
+        }
+
+        const data = await response.json();
+        session.tokenExpiresAt = new Date(Date.now() + data.expires_in * 1000).toISOString();
+        session.lastValidatedAt = new Date().toISOString();
+        this.sessions.persist(userId);
+
+        if (data.expires_in * 1000 < REFRESH_MARGIN_MS) {
+            return this.refresh(userId);
+        }
+
+        return true;
+    }
+
+    // Concurrent callers share a single refresh per user
+    refresh(userId) {
+        if (!this.pendingRefreshes.has(userId)) {
+            const pending = this.performRefresh(userId)
+                .finally(() => this.pendingRefreshes.delete(userId));
+            this.pendingRefreshes.set(userId, pending);
+        }
+        return this.pendingRefreshes.get(userId);
+    }
+
+    async performRefresh(userId) {
+        const session = this.sessions.get(userId);
+        if (!session) return false;
+
+        if (!session.refreshToken) {
+            this.onRefreshFailed(userId, 'no_refresh_token');
+            this.requireReauth(userId, 'No refresh token available');
+            return false;
+        }
+
+        let response;
+        try {
+            response = await fetch(this.tokenUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: new URLSearchParams({
+                    client_id: this.clientId,
+                    client_secret: this.clientSecret,
+                    grant_type: 'refresh_token',
+                    refresh_token: session.refreshToken
+                })
+            });
+        } catch (error) {
+            console.error(`Token refresh request failed for ${userId}:`, error.message);
+            this.onRefreshFailed(userId, 'network_error');
+            return false;
+        }
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            console.error(`Token refresh rejected for ${userId}:`, errorText);
+
+            // 400/401 mean the refresh token itself is dead; anything else may be transient
+            if (response.status === 400 || response.status === 401) {
+                this.onRefreshFailed(userId, 'rejected');
+                this.requireReauth(userId, 'Refresh token was rejected');
+            } else {
+                this.onRefreshFailed(userId, 'error');
+            }
+            return false;
+        }
+
+        const tokenData = await response.json();
+        session.accessToken = tokenData.access_token;
+        session.refreshToken = tokenData.refresh_token || session.refreshToken;
+        session.tokenExpiresAt = new Date(Date.now() + tokenData.expires_in * 1000).toISOString();
+        session.refreshedAt = new Date().toISOString();
+        this.sessions.persist(userId);
+
+        console.log(`🔄 Access token refreshed for ${session.userInfo.display_name} (${userId})`);
+        return true;
+    }
+
+    requireReauth(userId, reason) {
+        const session = this.sessions.get(userId);
+        if (session) {
+            session.needsReauth = true;
+            this.sessions.persist(userId);
+        }
+
+        console.log(`⚠️ Re-authentication required for ${userId}: ${reason}`);
+        this.onReauthRequired(userId, reason);
+    }
+
+    // True once only a new sign-in can give the broadcaster a token again (or the session is gone)
+    needsReauth(userId) {
+        const session = this.sessions.get(userId);
+        return !session || !!session.needsReauth;
+    }
+
+    // The broadcaster's access token, null when there is none or they need to sign in again
+    userToken(userId) {
+        const session = this.sessions.get(userId);
+        return session && !session.needsReauth ? session.accessToken : null;
+    }
+
+    // App access token (client credentials), fetched on demand and shared by all callers
+    getAppToken() {
+        if (this.appToken && new Date(this.appToken.expiresAt).getTime() - Date.now() > REFRESH_MARGIN_MS) {
+            return Promise.resolve(this.appToken.accessToken);
+        }
+
+        if (!this.pendingAppToken) {
+            this.pendingAppToken = this.requestAppToken()
+                .finally(() => { this.pendingAppToken = null; });
+        }
+        return this.pendingAppToken;
+    }
+
+    async requestAppToken() {
+        const response = await fetch(this.tokenUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                client_id: this.clientId,
+                client_secret: this.clientSecret,
+                grant_type: 'client_credentials'
+            })
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`App token request failed: ${errorText}`);
+        }
+
+        const tokenData = await response.json();
+        this.appToken = {
+            accessToken: tokenData.access_token,
+            expiresAt: new Date(Date.now() + tokenData.expires_in * 1000).toISOString()
+        };
+        return this.appToken.accessToken;
+    }
+
+    // Twitch rejected the app token before it expired; the next caller fetches a new one
+    invalidateAppToken() {
+        this.appToken = null;
+    }
+
+    // Resolves when Twitch still accepts the client ID and secret, rejects with the reason otherwise.
+    // Results are shared for CREDENTIALS_CHECK_TTL_MS.
+    checkCredentials() {
+        const check = this.credentialsCheck;
+        if (!check || Date.now() - check.checkedAt > CREDENTIALS_CHECK_TTL_MS) {
+            this.credentialsCheck = { checkedAt: Date.now(), promise: this.performCredentialsCheck() };
+        }
+        return this.credentialsCheck.promise;
+    }
+
+    async performCredentialsCheck() {
+        const accessToken = await this.getAppToken();
+        const response = await fetch(this.validateUrl, {
+            headers: { 'Authorization': `OAuth ${accessToken}` }
+        });
+
+        // A cached app token can be revoked; a fresh one only fails when the credentials do
+        if (response.status === 401) {
+            this.invalidateAppToken();
+            await this.getAppToken();
+            return;
+        }
+
+        if (!response.ok) {
+            throw new Error(`Token validation returned ${response.status}`);
+        }
+    }
+}
+
+module.exports = TokenManager;
@@ -0,0 +1,67 @@
+// Shared helpers for the OBS overlay pages. The server injects window.OVERLAY_CONFIG
+// ({ userId, kind, token, theme }) into each page.
+(function () {
+    const config = window.OVERLAY_CONFIG;
+    const theme = config.theme;
+
+    // Same-origin URL carrying the read-only token, if the overlay was opened with one
+    function apiUrl(path) {
+        const url = new URL(path, window.location.origin);
+        if (config.token) {
+            url.searchParams.set('token', config.token);
+        }
+        return url.toString();
+    }
+
+    function applyTheme() {
+        const root = document.documentElement.style;
+        root.setProperty('--overlay-background', theme.background);
+        root.setProperty('--overlay-text', theme.text_color);
+        root.setProperty('--overlay-accent', theme.accent_color);
+        root.setProperty('--overlay-font', theme.font_family);
+        root.setProperty('--overlay-size', `${theme.font_size}px`);
+        root.setProperty('--overlay-align', theme.align);
+        root.setProperty('--overlay-justify', { left: 'flex-start', center: 'center', right: 'flex-end' }[theme.align]);
+        document.body.dataset.animation = theme.animation;
+    }
+
+    async function fetchJson(path) {
+        const response = await fetch(apiUrl(path), { credentials: 'same-origin' });
+        if (!response.ok) {
+            throw new Error(`Request failed with ${response.status}`);
+        }
+        return response.json();
+    }
+
+    // EventSource reconnects on its own, including after a server restart
+    function connect(onEvent) {
+        const source = new EventSource(apiUrl(`/events/${encodeURIComponent(config.userId)}`));
+        source.onmessage = (event) => {
+            let data;
+            try {
+                data = JSON.parse(event.data);
+            } catch (error) {
+                return;
+            }
+            onEvent(data);
+        };
+        return source;
+    }
+
+    function formatDuration(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const rest = String(seconds % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+    }
+
+    applyTheme();
+
+    window.Overlay = {
+        config,
+        theme,
+        fetchJson,
+        connect,
+        formatDuration
+    };
+})();
@@ -0,0 +1,199 @@
+// scripts/mock-eventsub-ws.js - Local stand-in for Twitch's EventSub WebSocket server
+//
+// Run with `npm run mock:eventsub`, then start the service with
+//   EVENTSUB_WS_URL=ws://localhost:8080/ws
+//   EVENTSUB_WS_SUBSCRIPTIONS_URL=http://localhost:8080/eventsub/subscriptions
+//
+// Trigger events with plain HTTP:
+//   curl -X POST localhost:8080/trigger/redemption -d '{"user_name":"viewer1"}'
+//   curl -X POST localhost:8080/trigger/reconnect
+//   curl -X POST localhost:8080/trigger/revoke
+//   curl -X POST localhost:8080/trigger/silence   (stop keepalives, like a dead connection)
+//   curl localhost:8080/subscriptions
+const http = require('http');
+const crypto = require('crypto');
+const WebSocket = require('ws');
+
+const PORT = process.env.MOCK_EVENTSUB_PORT || 8080;
+const KEEPALIVE_SECONDS = Number(process.env.MOCK_EVENTSUB_KEEPALIVE_SECONDS) || 10;
+
+const sessions = new Map(); // sessionId -> { socket, keepaliveTimer }
+const subscriptions = new Map(); // subscriptionId -> subscription (with transport.session_id)
+
+function message(messageType, payload, subscription) {
+    return JSON.stringify({
+        metadata: {
+            message_id: crypto.randomUUID(),
+            message_type: messageType,
+            message_timestamp: new Date().toISOString(),
+            ...(subscription ? { subscription_type: subscription.type, subscription_version: subscription.version } : {})
+        },
+        payload
+    });
+}
+
+function sessionPayload(sessionId, status, reconnectUrl = null) {
+    return {
+        session: {
+            id: sessionId,
+            status,
+            keepalive_timeout_seconds: status === 'connected' ? KEEPALIVE_SECONDS : null,
+            reconnect_url: reconnectUrl,
+            connected_at: new Date().toISOString()
+        }
+    };
+}
+
+function readBody(req) {
+    return new Promise(resolve => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (error) {
+                resolve({});
+            }
+        });
+    });
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+function redemptionEvent(subscription, overrides) {
+    const viewerId = overrides.user_id || String(Math.floor(Math.random() * 1e8));
+    return {
+        id: crypto.randomUUID(),
+        broadcaster_user_id: subscription.condition.broadcaster_user_id,
+        broadcaster_user_login: 'mockbroadcaster',
+        broadcaster_user_name: 'MockBroadcaster',
+        user_id: viewerId,
+        user_login: (overrides.user_name || `viewer${viewerId}`).toLowerCase(),
+        user_name: overrides.user_name || `viewer${viewerId}`,
+        user_input: '',
+        status: 'unfulfilled',
+        reward: {
+            id: subscription.condition.reward_id,
+            title: 'Mock Giveaway',
+            cost: overrides.cost || 100,
+            prompt: ''
+        },
+        redeemed_at: new Date().toISOString()
+    };
+}
+
+const server = http.createServer(async (req, res) => {
+    const body = req.method === 'POST' ? await readBody(req) : {};
+
+    if (req.method === 'POST' && req.url === '/eventsub/subscriptions') {
+        const { type, version, condition, transport } = body;
+        if (!transport || transport.method !== 'websocket' || !sessions.has(transport.session_id)) {
+            return sendJson(res, 400, { error: 'Bad Request', status: 400, message: 'unknown or missing websocket session_id' });
+        }
+
+        const subscription = {
+            id: crypto.randomUUID(),
+            status: 'enabled',
+            type,
+            version,
+            condition,
+            created_at: new Date().toISOString(),
+            transport: { method: 'websocket', session_id: transport.session_id, connected_at: new Date().toISOString() },
+            cost: 0
+        };
+        subscriptions.set(subscription.id, subscription);
+        console.log(`Subscription ${subscription.id} created for session ${transport.session_id}`);
+        return sendJson(res, 202, { data: [subscription], total: subscriptions.size, total_cost: 0, max_total_cost: 10 });
+    }
+
+    if (req.method === 'GET' && req.url === '/subscriptions') {
+        return sendJson(res, 200, { data: Array.from(subscriptions.values()) });
+    }
+
+    if (req.method === 'POST' && req.url === '/trigger/redemption') {
+        let sent = 0;
+        for (const subscription of subscriptions.values()) {
+            const session = sessions.get(subscription.transport.session_id);
+            if (subscription.type !== 'channel.channel_points_custom_reward_redemption.add' || !session) continue;
+            const payload = { subscription, event: redemptionEvent(subscription, body) };
+            session.socket.send(message('notification', payload, subscription));
+            sent++;
+        }
+        return sendJson(res, 200, { sent });
+    }
+
+    if (req.method === 'POST' && req.url === '/trigger/reconnect') {
+        for (const [sessionId, session] of sessions) {
+            const reconnectUrl = `ws://localhost:${PORT}/ws?reconnect=${sessionId}`;
+            session.socket.send(message('session_reconnect', sessionPayload(sessionId, 'reconnecting', reconnectUrl)));
+        }
+        return sendJson(res, 200, { sessions: sessions.size });
+    }
+
+    if (req.method === 'POST' && req.url === '/trigger/revoke') {
+        for (const subscription of subscriptions.values()) {
+            const session = sessions.get(subscription.transport.session_id);
+            subscription.status = 'authorization_revoked';
+            if (session) {
+                session.socket.send(message('revocation', { subscription }, subscription));
+            }
+        }
+        const revoked = subscriptions.size;
+        subscriptions.clear();
+        return sendJson(res, 200, { revoked });
+    }
+
+    if (req.method === 'POST' && req.url === '/trigger/silence') {
+        for (const session of sessions.values()) {
+            clearInterval(session.keepaliveTimer);
+        }
+        return sendJson(res, 200, { sessions: sessions.size });
+    }
+
+    sendJson(res, 404, { error: 'Not found' });
+});
+
+const wss = new WebSocket.Server({ server, path: '/ws' });
+
+wss.on('connection', (socket, req) => {
+    const sessionId = crypto.randomUUID();
+    const previousSessionId = new URL(req.url, 'ws://localhost').searchParams.get('reconnect');
+
+    const session = {
+        socket,
+        keepaliveTimer: setInterval(() => socket.send(message('session_keepalive', {})), KEEPALIVE_SECONDS * 1000)
+    };
+    sessions.set(sessionId, session);
+
+    // A reconnect carries the old session's subscriptions over, like Twitch does
+    if (previousSessionId) {
+        for (const subscription of subscriptions.values()) {
+            if (subscription.transport.session_id === previousSessionId) {
+                subscription.transport.session_id = sessionId;
+            }
+        }
+    }
+
+    socket.send(message('session_welcome', sessionPayload(sessionId, 'connected')));
+    console.log(`Session ${sessionId} connected${previousSessionId ? ` (reconnect of ${previousSessionId})` : ''}`);
+
+    socket.on('close', () => {
+        clearInterval(session.keepaliveTimer);
+        sessions.delete(sessionId);
+
+        // Subscriptions on a dropped session are gone; migrated ones already moved
+        for (const [subscriptionId, subscription] of subscriptions) {
+            if (subscription.transport.session_id === sessionId) {
+                subscriptions.delete(subscriptionId);
+            }
+        }
+        console.log(`Session ${sessionId} closed`);
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock EventSub WebSocket server on ws://localhost:${PORT}/ws`);
+});
@@ -0,0 +1,156 @@
+// scripts/mock-irc.js - Local stand-in for Twitch chat (IRC over WebSocket)
+//
+// Run with `npm run mock:irc`, then start the service with
+//   TWITCH_IRC_URL=ws://localhost:8081
+//
+// Send chat messages and inspect what the service said with plain HTTP:
+//   curl -X POST localhost:8081/say -d '{"user":"viewer1","text":"!enter"}'
+//   curl -X POST localhost:8081/say -d '{"user":"viewer2","text":"!enter","badges":"subscriber/12"}'
+//   curl -X POST localhost:8081/reconnect
+//   curl localhost:8081/messages
+const http = require('http');
+const crypto = require('crypto');
+const WebSocket = require('ws');
+
+const PORT = process.env.MOCK_IRC_PORT || 8081;
+const MAX_MESSAGES = 200;
+
+const clients = new Set(); // { socket, nick, channels }
+const messages = []; // PRIVMSGs sent by the service, newest last
+
+function readBody(req) {
+    return new Promise(resolve => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (error) {
+                resolve({});
+            }
+        });
+    });
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+function escapeTag(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\:').replace(/ /g, '\\s');
+}
+
+function viewerMessage(channel, { user = 'viewer1', user_id, text = '!enter', badges = '' }) {
+    const login = user.toLowerCase();
+    const tags = {
+        'badges': badges,
+        'display-name': user,
+        'id': crypto.randomUUID(),
+        'room-id': '0',
+        'tmi-sent-ts': Date.now(),
+        'user-id': user_id || String(crypto.createHash('sha256').update(login).digest().readUInt32BE(0))
+    };
+    const tagString = Object.entries(tags).map(([key, value]) => `${key}=${escapeTag(value)}`).join(';');
+    return `@${tagString} :${login}!${login}@${login}.tmi.twitch.tv PRIVMSG ${channel} :${text}`;
+}
+
+function handleLine(client, line) {
+    const [command, ...rest] = line.split(' ');
+    const send = text => client.socket.send(`${text}\r\n`);
+
+    switch (command) {
+        case 'CAP':
+            send(':tmi.twitch.tv CAP * ACK :twitch.tv/tags twitch.tv/commands');
+            break;
+
+        case 'PASS':
+            client.token = rest.join(' ');
+            break;
+
+        case 'NICK':
+            client.nick = rest[0];
+            if (!client.token || !client.token.startsWith('oauth:') || client.token === 'oauth:bad') {
+                send(':tmi.twitch.tv NOTICE * :Login authentication failed');
+                client.socket.close();
+                return;
+            }
+            send(`:tmi.twitch.tv 001 ${client.nick} :Welcome, GLHF!`);
+            break;
+
+        case 'JOIN':
+            client.channels.add(rest[0]);
+            send(`:${client.nick}!${client.nick}@${client.nick}.tmi.twitch.tv JOIN ${rest[0]}`);
+            console.log(`${client.nick} joined ${rest[0]}`);
+            break;
+
+        case 'PING':
+            send(`PONG ${rest.join(' ')}`);
+            break;
+
+        case 'PRIVMSG': {
+            const text = line.slice(line.indexOf(' :') + 2);
+            messages.push({ channel: rest[0], nick: client.nick, text, at: new Date().toISOString() });
+            messages.splice(0, Math.max(messages.length - MAX_MESSAGES, 0));
+            console.log(`${rest[0]} <${client.nick}> ${text}`);
+            break;
+        }
+    }
+}
+
+const server = http.createServer(async (req, res) => {
+    const body = req.method === 'POST' ? await readBody(req) : {};
+
+    if (req.method === 'GET' && req.url === '/messages') {
+        return sendJson(res, 200, { data: messages });
+    }
+
+    if (req.method === 'POST' && req.url === '/say') {
+        let sent = 0;
+        for (const client of clients) {
+            for (const channel of client.channels) {
+                client.socket.send(`${viewerMessage(channel, body)}\r\n`);
+                sent++;
+            }
+        }
+        return sendJson(res, 200, { sent });
+    }
+
+    if (req.method === 'POST' && req.url === '/reconnect') {
+        for (const client of clients) {
+            client.socket.send(':tmi.twitch.tv RECONNECT\r\n');
+        }
+        return sendJson(res, 200, { clients: clients.size });
+    }
+
+    sendJson(res, 404, { error: 'Not found' });
+});
+
+const wss = new WebSocket.Server({ server });
+
+wss.on('connection', socket => {
+    const client = { socket, nick: null, token: null, channels: new Set() };
+    clients.add(client);
+
+    socket.on('message', data => {
+        for (const line of data.toString().split('\r\n')) {
+            if (line) handleLine(client, line);
+        }
+    });
+
+    socket.on('close', () => {
+        clients.delete(client);
+        console.log(`${client.nick || 'Client'} disconnected`);
+    });
+});
+
+// Pings like Twitch does, so the keepalive path gets exercised too
+setInterval(() => {
+    for (const client of clients) {
+        client.socket.send('PING :tmi.twitch.tv\r\n');
+    }
+}, 60 * 1000);
+
+server.listen(PORT, () => {
+    console.log(`Mock Twitch chat server on ws://localhost:${PORT}`);
+});
@@ -4,9 +4,34 @@ const crypto = require('crypto');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
+const cookieParser = require('cookie-parser');
 const path = require('path');
 const fs = require('fs');
 require('dotenv').config();
+const fairDraw = require('./lib/fairDraw');
+const { createStorage, PersistentMap, RedisStorage } = require('./lib/storage');
+const { createEventBus } = require('./lib/eventBus');
+const LeaderLock = require('./lib/leaderLock');
+const EventHistory = require('./lib/eventHistory');
+const TokenManager = require('./lib/tokenManager');
+const { HelixClient, errorResponse: helixErrorResponse, DEFAULT_BASE_URL: DEFAULT_TWITCH_API_URL } = require('./lib/helixClient');
+const { createAuth, safeEqual } = require('./lib/auth');
+const { updateRedemptionStatus } = require('./lib/redemptions');
+const rewards = require('./lib/rewards');
+const giveawaySchedule = require('./lib/schedule');
+const overlayThemeRules = require('./lib/overlayThemes');
+const entryModes = require('./lib/entryModes');
+const eligibility = require('./lib/eligibility');
+const giveawayExport = require('./lib/export');
+const chatCommands = require('./lib/chatCommands');
+const MessageCache = require('./lib/messageCache');
+const EventSubWebSocketClient = require('./lib/eventSubWebSocket');
+const { SubscriptionReconciler, RECOVERABLE_STATUSES } = require('./lib/subscriptionReconciler');
+const { ChatClient } = require('./lib/chatClient');
+const moderatorRules = require('./lib/moderators');
+const AuditLog = require('./lib/auditLog');
+const outboundWebhooks = require('./lib/outboundWebhooks');
+const { MetricsRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -16,6 +41,19 @@ const TWITCH_CLIENT_ID = process.env.TWITCH_CLIENT_ID;
 const TWITCH_CLIENT_SECRET = process.env.TWITCH_CLIENT_SECRET;
 const WEBHOOK_SECRET = process.env.TWITCH_WEBHOOK_SECRET || 'your-webhook-secret-123';
 const NODE_ENV = process.env.NODE_ENV || 'development';
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+// Helix and OAuth base URLs; point them at a mock Twitch server for local testing
+const TWITCH_API_URL = process.env.TWITCH_API_URL || DEFAULT_TWITCH_API_URL;
+const TWITCH_AUTH_URL = process.env.TWITCH_AUTH_URL || 'https://id.twitch.tv/oauth2';
+const EVENTSUB_SUBSCRIPTIONS_PATH = '/eventsub/subscriptions';
+// Both default to Twitch; point them at `npm run mock:eventsub` for local testing
+const EVENTSUB_WS_URL = process.env.EVENTSUB_WS_URL || 'wss://eventsub.wss.twitch.tv/ws';
+const EVENTSUB_WS_SUBSCRIPTIONS_URL = process.env.EVENTSUB_WS_SUBSCRIPTIONS_URL || `${TWITCH_API_URL}${EVENTSUB_SUBSCRIPTIONS_PATH}`;
+// Twitch chat; point it at `npm run mock:irc` for local testing
+const TWITCH_IRC_URL = process.env.TWITCH_IRC_URL || 'wss://irc-ws.chat.twitch.tv:443';
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
 
 // Validate required environment variables
 if (!TWITCH_CLIENT_ID || !TWITCH_CLIENT_SECRET) {
@@ -25,10 +63,196 @@ if (!TWITCH_CLIENT_ID || !TWITCH_CLIENT_SECRET) {
     process.exit(1);
 }
 
-// In-memory storage (use Redis/Database in production)
-const userSessions = new Map(); // userId -> {accessToken, refreshToken, rewardId, subscriptionId}
-const userConnections = new Map(); // userId -> Set of SSE connections
-const activeGiveaways = new Map(); // userId -> {isActive, entries, rewardId}
+if (!process.env.SESSION_SECRET) {
+    console.warn('⚠️ SESSION_SECRET is not set - sign-ins will not survive a restart');
+}
+
+// Persistent storage (STORAGE_DRIVER=file|memory|redis, DATA_DIR for the file driver, REDIS_URL for redis)
+const storage = createStorage();
+const userSessions = new PersistentMap(storage, 'sessions'); // userId -> {accessToken, refreshToken, rewardId, subscriptionId, transport, chat}
+const activeGiveaways = new PersistentMap(storage, 'giveaways', {
+    lists: { entries: 'redemption_id', rejectedEntries: 'redemption_id', draws: 'id', winners: 'id' }
+}); // userId -> current giveaway {id, title, isActive, entries, rejectedEntries, rewardId, commitment, draws, winners}
+const giveawayHistory = new PersistentMap(storage, 'giveawayHistory'); // giveawayId -> archived giveaway (with userId)
+const authSessions = new PersistentMap(storage, 'authSessions'); // sessionId -> {userId, csrfToken, expiresAt}
+const readTokens = new PersistentMap(storage, 'readTokens'); // tokenHash -> {id, userId, label, scopes}
+const overlayThemes = new PersistentMap(storage, 'overlayThemes'); // userId -> {themeName: theme}
+const channelModerators = new PersistentMap(storage, 'moderators'); // userId -> [{user_id, login, display_name, permissions, addedAt}]
+const auditEntries = new PersistentMap(storage, 'auditLog', { itemId: 'id' }); // userId -> [{id, at, actor, action, details}], oldest first
+const outboundHooks = new PersistentMap(storage, 'outboundWebhooks'); // userId -> [{id, url, format, events, batchSeconds, secret, enabled}]
+const webhookDeliveries = new PersistentMap(storage, 'webhookDeliveries', { itemId: 'id' }); // userId -> [delivery], oldest first
+const bannedTenants = new PersistentMap(storage, 'bannedTenants'); // userId -> {user_id, login, display_name, reason, banned_at}
+const userConnections = new Map(); // userId -> Set of SSE connections (live sockets, never persisted)
+const settlingGiveaways = new Set(); // userIds with a redemption settlement in progress
+const claimTimers = new Map(); // winnerId -> claim window timeout
+const eventSubSockets = new Map(); // userId -> EventSubWebSocketClient (websocket transport only)
+const chatClients = new Map(); // userId -> ChatClient (users with the chat integration turned on)
+const schedulerBusy = new Set(); // userIds with a scheduled open/close in flight
+const schedulerRetries = new Map(); // userId -> time before which a failed scheduled action is not retried
+
+// Instances sharing redis storage also share events (EVENT_BUS_DRIVER=memory|redis) and elect
+// one leader for background work: the scheduler, chat connections, EventSub WebSockets,
+// token checks, subscription reconciling and outbound webhook deliveries
+const eventBus = createEventBus();
+const eventHistory = new EventHistory(); // recent events per user, for live feeds that reconnect
+const leaderLock = new LeaderLock({
+    url: storage instanceof RedisStorage ? process.env.REDIS_URL : null,
+    onAcquired: startBackgroundWork,
+    onLost: stopBackgroundWork
+});
+
+// Prometheus metrics for this instance, served on /metrics
+const metrics = new MetricsRegistry();
+const webhookDuration = metrics.histogram({
+    name: 'giveaway_eventsub_webhook_duration_seconds',
+    help: 'Time until a verified EventSub webhook request is acknowledged; notifications are processed after that',
+    labelNames: ['message_type']
+});
+const notificationDuration = metrics.histogram({
+    name: 'giveaway_eventsub_notification_duration_seconds',
+    help: 'Time spent processing EventSub notifications, from either transport',
+    labelNames: ['transport', 'subscription_type']
+});
+const signatureFailures = metrics.counter({
+    name: 'giveaway_eventsub_signature_failures_total',
+    help: 'EventSub webhook requests rejected for an invalid signature'
+});
+const entriesAccepted = metrics.counter({
+    name: 'giveaway_entries_total',
+    help: 'Giveaway entries accepted, by where they came from',
+    labelNames: ['source']
+});
+const helixResponses = metrics.counter({
+    name: 'giveaway_helix_requests_total',
+    help: 'Helix API requests by endpoint and response status',
+    labelNames: ['endpoint', 'status']
+});
+const messageIdsEvicted = metrics.counter({
+    name: 'giveaway_eventsub_message_ids_evicted_total',
+    help: 'EventSub message IDs forgotten before their retry window ended because the cache was full'
+});
+const tokenRefreshFailures = metrics.counter({
+    name: 'giveaway_token_refresh_failures_total',
+    help: 'Broadcaster token refreshes that did not produce a new token',
+    labelNames: ['reason']
+});
+metrics.gauge({
+    name: 'giveaway_sse_connections',
+    help: 'Open live feed (SSE) connections on this instance',
+    collect: gauge => gauge.set({}, Array.from(userConnections.values()).reduce((sum, connections) => sum + connections.size, 0))
+});
+metrics.gauge({
+    name: 'giveaway_active_giveaways',
+    help: 'Giveaways currently accepting entries',
+    collect: gauge => gauge.set({}, Array.from(activeGiveaways.values()).filter(g => g.isActive).length)
+});
+metrics.gauge({
+    name: 'giveaway_leader',
+    help: '1 when this instance runs the background work',
+    collect: gauge => gauge.set({}, leaderLock.isLeader ? 1 : 0)
+});
+metrics.gauge({
+    name: 'process_uptime_seconds',
+    help: 'Seconds since the process started',
+    collect: gauge => gauge.set({}, process.uptime())
+});
+
+// Twitch asks webhooks to reject messages older than 10 minutes; IDs are remembered for as long,
+// with room for up to 100 messages a second across all channels
+const EVENTSUB_MAX_MESSAGE_AGE_MS = 10 * 60 * 1000;
+const eventSubMessageIds = new MessageCache({
+    maxSize: (EVENTSUB_MAX_MESSAGE_AGE_MS / 1000) * 100,
+    ttlMs: EVENTSUB_MAX_MESSAGE_AGE_MS,
+    onEvict: () => messageIdsEvicted.inc()
+});
+
+// Browser sessions: the Twitch token stays on the server, the browser only gets a signed cookie
+const auth = createAuth({
+    authSessions,
+    userSessions,
+    readTokens,
+    channelModerators,
+    bannedTenants,
+    secureCookies: NODE_ENV === 'production',
+    adminToken: ADMIN_TOKEN
+});
+
+// Who did what on each channel, broadcaster or moderator
+const auditLog = new AuditLog({ store: auditEntries });
+
+function audit(req, action, details) {
+    auditLog.record(req.auth.userId, req.auth.actor, action, details);
+}
+
+// Failed Twitch calls get the same response from every route; anything else is a 500
+function sendError(res, error) {
+    const response = helixErrorResponse(error);
+    if (!response) {
+        return res.status(500).json({ error: error.message });
+    }
+    
+    if (response.retryAfter) {
+        res.set('Retry-After', String(response.retryAfter));
+    }
+    res.status(response.status).json(response.body);
+}
+
+// Streamer-registered webhooks (JSON or Discord) for giveaway events
+const webhookDispatcher = new outboundWebhooks.WebhookDispatcher({
+    hooks: outboundHooks,
+    deliveries: webhookDeliveries,
+    allowPrivate: NODE_ENV === 'development',
+    getChannel: userId => {
+        const session = userSessions.get(userId);
+        return session ? {
+            id: userId,
+            login: session.userInfo.login,
+            display_name: session.userInfo.display_name
+        } : { id: userId };
+    },
+    getGiveaway: userId => {
+        const giveaway = activeGiveaways.get(userId);
+        return giveaway ? {
+            id: giveaway.id,
+            title: giveaway.title,
+            prize: giveaway.prize || null,
+            is_active: giveaway.isActive,
+            total_entries: giveaway.entries.length
+        } : null;
+    }
+});
+
+// Keeps broadcaster tokens fresh and tells the dashboard when a new sign-in is needed
+const tokenManager = new TokenManager({
+    clientId: TWITCH_CLIENT_ID,
+    clientSecret: TWITCH_CLIENT_SECRET,
+    sessions: userSessions,
+    authUrl: TWITCH_AUTH_URL,
+    onReauthRequired: (userId, reason) => broadcastToUser(userId, {
+        type: 'reauth_required',
+        reason
+    }),
+    onRefreshFailed: (userId, reason) => tokenRefreshFailures.inc({ reason })
+});
+
+// Every Helix call: broadcaster or app token, rate limits, retries and typed errors
+const helix = new HelixClient({
+    clientId: TWITCH_CLIENT_ID,
+    tokens: tokenManager,
+    baseUrl: TWITCH_API_URL,
+    onResponse: (endpoint, status) => helixResponses.inc({ endpoint, status })
+});
+
+// Lists the app's webhook subscriptions, deletes duplicates and orphans, recreates revoked ones
+const subscriptionReconciler = new SubscriptionReconciler({
+    helix,
+    sessions: userSessions,
+    createSubscription: (userId, rewardId, callbackUrl) => createRedemptionSubscription(userId, rewardId, {
+        method: 'webhook',
+        callback: callbackUrl,
+        secret: WEBHOOK_SECRET
+    })
+});
 
 // Security middleware
 app.use(helmet({
@@ -43,8 +267,9 @@ app.use(helmet({
     },
 }));
 
+// Only listed origins may make credentialed cross-origin requests
 app.use(cors({
-    origin: true,
+    origin: ALLOWED_ORIGINS.length > 0 ? ALLOWED_ORIGINS : false,
     credentials: true
 }));
 
@@ -56,9 +281,10 @@ const limiter = rateLimit({
 });
 app.use('/api', limiter);
 
-// Body parsing
-app.use(express.json({ limit: '10mb' }));
+// Body parsing (webhooks need the raw body for signature checks, so they go first)
 app.use('/webhook', express.raw({ type: 'application/json', limit: '1mb' }));
+app.use(express.json({ limit: '10mb' }));
+app.use(cookieParser(SESSION_SECRET));
 
 // Serve static files from public directory
 app.use('/static', express.static(path.join(__dirname, 'public'), {
@@ -99,19 +325,64 @@ app.get('/callback', (req, res) => {
     return res.redirect('/?error=missing_oauth_parameters');
 });
 
-// Health check endpoint
+// Health check endpoint (liveness; see /ready for dependencies)
 app.get('/health', (req, res) => {
     res.json({
         status: 'ok',
         service: 'Twitch Giveaway Service',
         activeUsers: userSessions.size,
         activeGiveaways: Array.from(activeGiveaways.values()).filter(g => g.isActive).length,
+        liveConnections: Array.from(userConnections.values()).reduce((sum, connections) => sum + connections.size, 0),
+        leader: leaderLock.isLeader,
         uptime: process.uptime(),
         timestamp: new Date().toISOString(),
         version: '2.0.0'
     });
 });
 
+// Readiness: storage answers and Twitch still accepts the app credentials. Also fails once
+// shutdown has started, so load balancers stop sending new requests.
+const READY_CHECK_TIMEOUT_MS = 5000;
+
+app.get('/ready', async (req, res) => {
+    const runCheck = async (name, check) => {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error('Timed out')), READY_CHECK_TIMEOUT_MS);
+        });
+        
+        try {
+            await Promise.race([check(), timeout]);
+            return [name, { status: 'ok' }];
+        } catch (error) {
+            return [name, { status: 'failed', error: error.message }];
+        } finally {
+            clearTimeout(timer);
+        }
+    };
+    
+    const checks = Object.fromEntries(await Promise.all([
+        runCheck('storage', () => storage.ping()),
+        runCheck('twitch', () => tokenManager.checkCredentials())
+    ]));
+    
+    const ready = !shuttingDown && Object.values(checks).every(check => check.status === 'ok');
+    res.status(ready ? 200 : 503).json({
+        status: ready ? 'ready' : (shuttingDown ? 'shutting_down' : 'not_ready'),
+        checks,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Prometheus scrape endpoint; with METRICS_TOKEN set it needs `Authorization: Bearer <token>`
+app.get('/metrics', (req, res) => {
+    if (METRICS_TOKEN && !safeEqual(req.header('Authorization') || '', `Bearer ${METRICS_TOKEN}`)) {
+        return res.status(401).json({ error: 'Invalid metrics token' });
+    }
+    
+    res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+});
+
 // Serve the main frontend page with Client ID injected
 app.get('/', (req, res) => {
     try {
@@ -144,6 +415,60 @@ app.get('/', (req, res) => {
     }
 });
 
+// Operator console; it asks for ADMIN_TOKEN and calls /api/admin/* with it
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
+// OBS browser-source overlays (entries ticker, winner reveal, countdown timer).
+// Add ?token=rt_... from a read-only token; the page uses it for the SSE stream too.
+// Appearance comes from ?theme=<saved theme name> and/or individual query parameters.
+app.get('/overlay/:userId/:kind', auth.requireChannelAccess('events'), (req, res) => {
+    const { userId, kind } = req.params;
+    
+    if (!overlayThemeRules.OVERLAY_KINDS.includes(kind)) {
+        return res.status(404).send('Unknown overlay');
+    }
+    
+    // Own names only, so ?theme=constructor or ?theme=__proto__ is not found
+    const themes = overlayThemes.get(userId) || {};
+    const savedTheme = req.query.theme && Object.hasOwn(themes, req.query.theme) ? themes[req.query.theme] : null;
+    if (req.query.theme && !savedTheme) {
+        return res.status(404).send('Theme not found');
+    }
+    
+    let theme;
+    try {
+        theme = overlayThemeRules.resolveTheme(savedTheme, req.query);
+    } catch (error) {
+        return res.status(400).send(error.message);
+    }
+    
+    const config = {
+        userId,
+        kind,
+        token: typeof req.query.token === 'string' ? req.query.token : null,
+        theme
+    };
+    
+    const overlayHtml = fs.readFileSync(path.join(__dirname, 'public', 'overlay', `${kind}.html`), 'utf8')
+        .replace('/*OVERLAY_CONFIG*/null', () => JSON.stringify(config).replace(/</g, '\\u003c'));
+    
+    res.setHeader('Content-Type', 'text/html');
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(overlayHtml);
+});
+
+// Profile fields that are safe to hand to the browser
+function publicUserInfo(userInfo) {
+    return {
+        id: userInfo.id,
+        login: userInfo.login,
+        display_name: userInfo.display_name,
+        profile_image_url: userInfo.profile_image_url
+    };
+}
+
 // OAuth token exchange
 app.post('/api/oauth/exchange', async (req, res) => {
     try {
@@ -156,7 +481,7 @@ app.post('/api/oauth/exchange', async (req, res) => {
         console.log('Exchanging OAuth code for tokens...');
         
         // Exchange code for tokens
-        const tokenResponse = await fetch('https://id.twitch.tv/oauth2/token', {
+        const tokenResponse = await fetch(`${TWITCH_AUTH_URL}/token`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
             body: new URLSearchParams({
@@ -177,33 +502,39 @@ app.post('/api/oauth/exchange', async (req, res) => {
         const tokenData = await tokenResponse.json();
         
         // Get user info
-        const userResponse = await fetch('https://api.twitch.tv/helix/users', {
-            headers: {
-                'Authorization': `Bearer ${tokenData.access_token}`,
-                'Client-Id': TWITCH_CLIENT_ID
-            }
-        });
+        const userData = await helix.request(null, '/users', { accessToken: tokenData.access_token });
+        const userId = userData.data[0].id;
         
-        if (!userResponse.ok) {
-            throw new Error('Failed to fetch user info');
+        if (bannedTenants.has(userId)) {
+            console.log(`⛔ Sign-in refused for banned channel ${userData.data[0].display_name} (${userId})`);
+            return res.status(403).json({ error: 'This channel has been suspended from the service', banned: true });
         }
         
-        const userData = await userResponse.json();
-        const userId = userData.data[0].id;
-        
-        // Store session
+        // Store session, keeping reward and subscription IDs from a previous sign-in
+        const previousSession = userSessions.get(userId) || {};
         userSessions.set(userId, {
+            ...previousSession,
             accessToken: tokenData.access_token,
             refreshToken: tokenData.refresh_token,
+            tokenExpiresAt: new Date(Date.now() + tokenData.expires_in * 1000).toISOString(),
+            needsReauth: false,
             userInfo: userData.data[0],
             createdAt: new Date()
         });
         
+        // The new token may carry the chat scopes an earlier one was missing
+        if (chatCommands.chatSettings(userSessions.get(userId)).enabled) {
+            onLeader(userId, 'sync_chat', { restart: true });
+        }
+        
+        const authSession = auth.createSession(res, userId);
+        
         console.log(`✅ User authenticated: ${userData.data[0].display_name} (${userId})`);
         
         res.json({
-            access_token: tokenData.access_token,
-            user_id: userId
+            user_id: userId,
+            user: publicUserInfo(userData.data[0]),
+            csrf_token: authSession.csrfToken
         });
         
     } catch (error) {
@@ -215,403 +546,2379 @@ app.post('/api/oauth/exchange', async (req, res) => {
     }
 });
 
+// Current browser session
+app.get('/api/session', (req, res) => {
+    const current = auth.resolveSession(req);
+    if (!current) {
+        return res.status(401).json({ error: 'Not signed in' });
+    }
+    
+    const giveaway = activeGiveaways.get(current.userId);
+    
+    res.json({
+        user_id: current.userId,
+        user: publicUserInfo(current.session.userInfo),
+        csrf_token: current.csrfToken,
+        reauth_required: !!current.session.needsReauth,
+        reward_id: current.session.rewardId || null,
+        subscription_id: current.session.subscriptionId || null,
+        transport: current.session.transport || 'webhook',
+        hold_redemptions: !!(giveaway || {}).holdRedemptions,
+        entry_source: giveaway ? (giveaway.entryConfig || {}).source || 'redemption' : null,
+        moderating: auth.moderatedChannels(current.userId)
+    });
+});
+
+// Sign out
+app.post('/api/logout', auth.requireAuth, auth.requireCsrf, (req, res) => {
+    auth.destroySession(req, res);
+    res.json({ success: true });
+});
+
 // Create channel points reward
-app.post('/api/rewards/create', async (req, res) => {
+app.post('/api/rewards/create', auth.requireAuth, auth.requireCsrf, async (req, res) => {
     try {
-        const { title, cost, prompt, user_id, access_token } = req.body;
+        const { title, cost, prompt, prize, hold_redemptions, reuse_reward_id, keep_previous_reward } = req.body;
+        const { userId: user_id, session } = req.auth;
         
-        if (!title || !cost || !user_id || !access_token) {
-            return res.status(400).json({ error: 'Missing required fields' });
+        // Held redemptions stay UNFULFILLED until the draw so non-winners can be refunded
+        const holdRedemptions = hold_redemptions === true;
+        
+        let entryConfig;
+        let eligibilityRules;
+        try {
+            entryConfig = entryModes.normalizeEntryConfig(req.body);
+            eligibilityRules = eligibility.normalizeEligibility(req.body.eligibility);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
         }
         
-        const session = userSessions.get(user_id);
-        if (!session || session.accessToken !== access_token) {
-            return res.status(401).json({ error: 'Invalid session' });
+        // Chat giveaways take entries from a chat command instead of a channel points reward
+        const chatEntries = entryConfig.source === 'chat';
+        
+        // Only redemptions still waiting in the reward queue can be refunded
+        if (eligibilityRules.refundRejected && !chatEntries && !holdRedemptions) {
+            return res.status(400).json({ error: 'refund_rejected needs hold_redemptions' });
         }
         
-        console.log(`Creating reward for ${session.userInfo.display_name}: ${title} (${cost} points)`);
+        if (!title || (!cost && !chatEntries)) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
         
-        // Create reward via Twitch API
-        const rewardResponse = await fetch(`https://api.twitch.tv/helix/channel_points/custom_rewards?broadcaster_id=${user_id}`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${access_token}`,
-                'Client-Id': TWITCH_CLIENT_ID,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                title: title,
-                cost: cost,
-                prompt: prompt || 'Redeem to enter the giveaway!',
-                is_enabled: false,
-                background_color: '#9146FF',
-                is_user_input_required: false,
-                is_max_per_stream_enabled: false,
-                is_max_per_user_per_stream_enabled: true,
-                max_per_user_per_stream: 1,
-                should_redemptions_skip_request_queue: true
-            })
-        });
+        if (chatEntries && !chatCommands.chatSettings(session).enabled) {
+            return res.status(400).json({ error: 'Turn on the chat integration before using chat entries' });
+        }
         
-        if (!rewardResponse.ok) {
-            const errorText = await rewardResponse.text();
-            console.error('Reward creation failed:', errorText);
-            throw new Error(`Reward creation failed: ${errorText}`);
+        const rewardSettings = {
+            title: title,
+            cost: cost,
+            prompt: prompt || 'Redeem to enter the giveaway!',
+            is_enabled: false,
+            is_user_input_required: false,
+            is_max_per_stream_enabled: false,
+            ...entryModes.rewardLimits(entryConfig),
+            should_redemptions_skip_request_queue: !holdRedemptions
+        };
+        
+        let reward = null;
+        if (chatEntries) {
+            console.log(`Creating chat giveaway for ${session.userInfo.display_name}: ${title} (${chatCommands.chatSettings(session).enterCommand})`);
+        } else if (reuse_reward_id) {
+            // Reuse one of this app's rewards instead of adding yet another one
+            console.log(`Reusing reward ${reuse_reward_id} for ${session.userInfo.display_name}: ${title} (${cost} points)`);
+            
+            reward = await rewards.updateReward({
+                helix,
+                userId: user_id,
+                rewardId: reuse_reward_id,
+                changes: rewardSettings
+            });
+            
+            if (!reward) {
+                markRewardDeleted(user_id, reuse_reward_id);
+                return res.status(404).json({ error: 'Reward to reuse no longer exists on Twitch' });
+            }
+        } else {
+            console.log(`Creating reward for ${session.userInfo.display_name}: ${title} (${cost} points)`);
+            
+            // Create reward via Twitch API
+            const rewardData = await helix.request(user_id, rewards.REWARDS_PATH, {
+                method: 'POST',
+                query: { broadcaster_id: user_id },
+                body: {
+                    ...rewardSettings,
+                    background_color: '#9146FF'
+                }
+            });
+            reward = rewardData.data[0];
         }
         
-        const rewardData = await rewardResponse.json();
-        const rewardId = rewardData.data[0].id;
+        const rewardId = reward ? reward.id : null;
         
         // Update session with reward ID
         session.rewardId = rewardId;
+        userSessions.persist(user_id);
+        
+        // The previous giveaway keeps its entries and winners in the history;
+        // its reward goes away unless it is being reused or the streamer wants to keep it
+        archiveGiveaway(user_id, { deleteReward: keep_previous_reward !== true, keepRewardId: rewardId });
         
         // Initialize giveaway state
         activeGiveaways.set(user_id, {
+            id: crypto.randomUUID(),
+            title,
+            prize: prize || null,
             isActive: false,
             entries: [],
             rewardId: rewardId,
-            createdAt: new Date()
+            holdRedemptions: holdRedemptions && !chatEntries,
+            entryConfig,
+            eligibility: eligibilityRules,
+            rejectedEntries: [],
+            commitment: fairDraw.createCommitment(),
+            draws: [],
+            winners: [],
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            endedAt: null
         });
         
-        console.log(`✅ Reward created: ${title} (ID: ${rewardId})`);
+        if (chatEntries) {
+            console.log(`✅ Chat giveaway created: ${title}`);
+        } else {
+            console.log(`✅ Reward ${reuse_reward_id ? 'reused' : 'created'}: ${title} (ID: ${rewardId})`);
+        }
+        
+        audit(req, 'giveaway.create', {
+            giveaway_id: activeGiveaways.get(user_id).id,
+            title,
+            entry_source: entryConfig.source,
+            reward_id: rewardId
+        });
         
         res.json({
             success: true,
+            giveaway_id: activeGiveaways.get(user_id).id,
+            entry_source: entryConfig.source,
             reward_id: rewardId,
-            reward_data: rewardData.data[0]
+            reused: !chatEntries && !!reuse_reward_id,
+            reward_data: reward
         });
         
     } catch (error) {
         console.error('Reward creation error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
-// Setup EventSub webhook subscription
-app.post('/api/webhooks/subscribe', async (req, res) => {
+// Create the redemption subscription on the given EventSub transport, returns its ID
+async function createRedemptionSubscription(userId, rewardId, transport, subscriptionsPath = EVENTSUB_SUBSCRIPTIONS_PATH) {
+    const request = {
+        method: 'POST',
+        body: {
+            type: 'channel.channel_points_custom_reward_redemption.add',
+            version: '1',
+            condition: {
+                broadcaster_user_id: userId,
+                reward_id: rewardId
+            },
+            transport
+        }
+    };
+    
+    // Webhook subscriptions belong to the app and need its token; WebSocket ones need the broadcaster's
+    const subscriptionData = transport.method === 'webhook'
+        ? await helix.appRequest(subscriptionsPath, request)
+        : await helix.request(userId, subscriptionsPath, request);
+    return subscriptionData.data[0].id;
+}
+
+// WebSocket sessions start empty, so every new session (first connect or a
+// reconnect after a drop) subscribes again. Resolves with the first subscription ID.
+function startEventSubWebSocket(userId, rewardId) {
+    stopEventSubWebSocket(userId);
+    
+    return new Promise((resolve, reject) => {
+        let settled = false;
+        
+        const client = new EventSubWebSocketClient({
+            url: EVENTSUB_WS_URL,
+            userId,
+            onSession: async (sessionId) => {
+                try {
+                    const subscriptionId = await createRedemptionSubscription(userId, rewardId, {
+                        method: 'websocket',
+                        session_id: sessionId
+                    }, EVENTSUB_WS_SUBSCRIPTIONS_URL);
+                    
+                    const session = userSessions.get(userId);
+                    if (session) {
+                        session.subscriptionId = subscriptionId;
+                        userSessions.persist(userId);
+                    }
+                    console.log(`✅ EventSub WebSocket subscription created (ID: ${subscriptionId})`);
+                    
+                    if (!settled) {
+                        settled = true;
+                        resolve(subscriptionId);
+                    }
+                } catch (error) {
+                    if (!settled) {
+                        settled = true;
+                        stopEventSubWebSocket(userId);
+                        reject(error);
+                        return;
+                    }
+                    broadcastToUser(userId, {
+                        type: 'subscription_revoked',
+                        reason: 'resubscribe_failed'
+                    });
+                }
+            },
+            onNotification: payload => processNotification(payload, 'websocket'),
+            onRevocation: payload => handleSubscriptionRevocation(payload)
+        });
+        
+        eventSubSockets.set(userId, client);
+        client.connect();
+        
+        setTimeout(() => {
+            if (!settled) {
+                settled = true;
+                stopEventSubWebSocket(userId);
+                reject(new Error('Timed out waiting for the EventSub WebSocket session'));
+            }
+        }, 15000);
+    });
+}
+
+function stopEventSubWebSocket(userId) {
+    const client = eventSubSockets.get(userId);
+    if (client) {
+        client.close();
+        eventSubSockets.delete(userId);
+    }
+}
+
+// Setup EventSub subscription (transport: 'webhook' or 'websocket')
+app.post('/api/webhooks/subscribe', auth.requireAuth, auth.requireCsrf, async (req, res) => {
     try {
-        const { user_id, reward_id, access_token } = req.body;
+        const { reward_id, transport = 'webhook' } = req.body;
+        const { userId: user_id, session } = req.auth;
         
-        const session = userSessions.get(user_id);
-        if (!session || session.accessToken !== access_token) {
-            return res.status(401).json({ error: 'Invalid session' });
+        if (!['webhook', 'websocket'].includes(transport)) {
+            return res.status(400).json({ error: 'Invalid transport. Use webhook or websocket.' });
         }
         
-        const webhookUrl = `${req.protocol}://${req.get('host')}/webhook/eventsub`;
-        
-        console.log(`Setting up webhook subscription for ${session.userInfo.display_name}`);
-        console.log(`Webhook URL: ${webhookUrl}`);
+        console.log(`Setting up ${transport} subscription for ${session.userInfo.display_name}`);
         
-        // Create EventSub subscription
-        const subscriptionResponse = await fetch('https://api.twitch.tv/helix/eventsub/subscriptions', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${access_token}`,
-                'Client-Id': TWITCH_CLIENT_ID,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                type: 'channel.channel_points_custom_reward_redemption.add',
-                version: '1',
-                condition: {
-                    broadcaster_user_id: user_id,
-                    reward_id: reward_id
-                },
-                transport: {
-                    method: 'webhook',
-                    callback: webhookUrl,
-                    secret: WEBHOOK_SECRET
-                }
-            })
-        });
+        // Re-running setup replaces the old webhook subscription instead of piling up duplicates
+        if (session.subscriptionId && (session.transport || 'webhook') === 'webhook') {
+            subscriptionReconciler.deleteSubscription(session.subscriptionId)
+                .catch(error => console.error('Could not delete previous subscription:', error.message));
+        }
         
-        if (!subscriptionResponse.ok) {
-            const errorText = await subscriptionResponse.text();
-            console.error('Subscription failed:', errorText);
-            throw new Error(`Subscription failed: ${errorText}`);
+        // The leader holds the socket and saves the subscription ID once Twitch confirms it
+        if (transport === 'websocket' && !leaderLock.isLeader) {
+            session.subscriptionId = null;
+            session.transport = transport;
+            userSessions.persist(user_id);
+            onLeader(user_id, 'start_eventsub_ws', { rewardId: reward_id });
+            
+            return res.json({ success: true, subscription_id: null, transport, pending: true });
         }
         
-        const subscriptionData = await subscriptionResponse.json();
-        session.subscriptionId = subscriptionData.data[0].id;
+        let subscriptionId;
+        if (transport === 'websocket') {
+            // No public callback URL needed, which makes this the easy option for local setups
+            subscriptionId = await startEventSubWebSocket(user_id, reward_id);
+        } else {
+            onLeader(user_id, 'stop_eventsub_ws');
+            
+            const webhookUrl = `${req.protocol}://${req.get('host')}/webhook/eventsub`;
+            console.log(`Webhook URL: ${webhookUrl}`);
+            
+            subscriptionId = await createRedemptionSubscription(user_id, reward_id, {
+                method: 'webhook',
+                callback: webhookUrl,
+                secret: WEBHOOK_SECRET
+            });
+            session.webhookCallback = webhookUrl;
+            console.log(`✅ EventSub subscription created (ID: ${subscriptionId})`);
+        }
         
-        console.log(`✅ EventSub subscription created (ID: ${subscriptionData.data[0].id})`);
+        session.subscriptionId = subscriptionId;
+        session.transport = transport;
+        userSessions.persist(user_id);
         
         res.json({
             success: true,
-            subscription_id: subscriptionData.data[0].id
+            subscription_id: subscriptionId,
+            transport
         });
         
     } catch (error) {
         console.error('Webhook subscription error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
 // Enable/disable channel points reward
-app.post('/api/rewards/:action', async (req, res) => {
+app.post('/api/rewards/:action', auth.requireChannelRole('control'), auth.requireCsrf, async (req, res) => {
     try {
         const { action } = req.params; // 'enable' or 'disable'
-        const { user_id, reward_id, access_token } = req.body;
+        const { reward_id } = req.body;
+        const { userId: user_id, session } = req.auth;
         
         if (!['enable', 'disable'].includes(action)) {
             return res.status(400).json({ error: 'Invalid action. Use enable or disable.' });
         }
         
-        const session = userSessions.get(user_id);
-        if (!session || session.accessToken !== access_token) {
-            return res.status(401).json({ error: 'Invalid session' });
-        }
-        
         const isEnabled = action === 'enable';
         
-        console.log(`${isEnabled ? 'Enabling' : 'Disabling'} giveaway for ${session.userInfo.display_name}`);
+        // Moderators do not know the reward, so it defaults to the current giveaway's
+        const giveaway = activeGiveaways.get(user_id);
+        const rewardId = reward_id || (giveaway ? giveaway.rewardId : null);
         
-        // Update reward status
-        const response = await fetch(`https://api.twitch.tv/helix/channel_points/custom_rewards?broadcaster_id=${user_id}&id=${reward_id}`, {
-            method: 'PATCH',
-            headers: {
-                'Authorization': `Bearer ${access_token}`,
-                'Client-Id': TWITCH_CLIENT_ID,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                is_enabled: isEnabled,
-                is_paused: !isEnabled
-            })
-        });
+        console.log(`${isEnabled ? 'Enabling' : 'Disabling'} giveaway for ${session.userInfo.display_name}`);
         
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Failed to update reward status: ${errorText}`);
+        const updated = await setGiveawayOpen(user_id, rewardId, isEnabled);
+        if (!updated) {
+            return res.status(404).json({ error: 'Reward no longer exists on Twitch', reward_deleted: true });
         }
         
-        // Update giveaway state
-        const giveaway = activeGiveaways.get(user_id);
-        if (giveaway) {
-            giveaway.isActive = isEnabled;
+        // Opening by hand starts a scheduled giveaway early; closing by hand ends its schedule
+        const schedule = giveaway && giveaway.schedule;
+        if (schedule && isEnabled && schedule.status === 'scheduled') {
+            schedule.status = 'open';
+            schedule.openedAt = new Date().toISOString();
+            activeGiveaways.persist(user_id);
+            broadcastSchedule(user_id, giveaway);
+        } else if (schedule && !isEnabled && ['scheduled', 'open'].includes(schedule.status)) {
+            endSchedule(user_id, giveaway, 'closed', 'manual');
         }
         
+        audit(req, isEnabled ? 'giveaway.open' : 'giveaway.close', { giveaway_id: giveaway ? giveaway.id : null });
         console.log(`✅ Giveaway ${isEnabled ? 'started' : 'stopped'}`);
         
         res.json({ success: true, enabled: isEnabled });
         
     } catch (error) {
         console.error('Reward update error:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
-// Server-Sent Events for real-time updates
-app.get('/events/:userId', (req, res) => {
-    const userId = req.params.userId;
-    
-    console.log(`SSE connection established for user: ${userId}`);
-    
-    // Set up SSE headers
-    res.writeHead(200, {
-        'Content-Type': 'text/event-stream',
-        'Cache-Control': 'no-cache',
-        'Connection': 'keep-alive',
-        'Access-Control-Allow-Origin': '*'
-    });
-    
-    // Add connection to user's connection set
-    if (!userConnections.has(userId)) {
-        userConnections.set(userId, new Set());
+// Enable or pause the reward and record the open/close on the giveaway.
+// Returns false when the reward no longer exists on Twitch.
+async function setGiveawayOpen(userId, rewardId, isEnabled) {
+    // Chat giveaways have no reward; opening them only flips isActive
+    if (rewardId) {
+        const reward = await rewards.updateReward({
+            helix,
+            userId,
+            rewardId,
+            changes: {
+                is_enabled: isEnabled,
+                is_paused: !isEnabled
+            }
+        });
+        
+        if (!reward) {
+            markRewardDeleted(userId, rewardId);
+            return false;
+        }
     }
-    userConnections.get(userId).add(res);
-    
-    // Send initial connection message
-    res.write(`data: ${JSON.stringify({
-        type: 'connection_status',
-        status: 'connected',
-        timestamp: new Date().toISOString()
-    })}\n\n`);
     
-    // Keep-alive heartbeat every 30 seconds
-    const heartbeat = setInterval(() => {
-        try {
-            res.write(`data: ${JSON.stringify({
-                type: 'heartbeat',
-                timestamp: new Date().toISOString()
-            })}\n\n`);
-        } catch (error) {
-            clearInterval(heartbeat);
+    // Update giveaway state
+    const giveaway = activeGiveaways.get(userId);
+    if (giveaway) {
+        giveaway.isActive = isEnabled;
+        if (isEnabled && !giveaway.startedAt) {
+            giveaway.startedAt = new Date().toISOString();
         }
-    }, 30000);
+        if (!isEnabled) {
+            giveaway.endedAt = new Date().toISOString();
+        }
+        activeGiveaways.persist(userId);
+        
+        broadcastToUser(userId, {
+            type: isEnabled ? 'giveaway_started' : 'giveaway_closed',
+            giveaway_id: giveaway.id,
+            timestamp: isEnabled ? giveaway.startedAt : giveaway.endedAt
+        });
+        
+        announce(userId, settings => isEnabled
+            ? chatCommands.openAnnouncement(giveaway, settings)
+            : chatCommands.closeAnnouncement(giveaway));
+    }
     
-    // Handle client disconnect
-    req.on('close', () => {
-        clearInterval(heartbeat);
-        const connections = userConnections.get(userId);
-        if (connections) {
-            connections.delete(res);
-            if (connections.size === 0) {
-                userConnections.delete(userId);
-            }
+    return true;
+}
+
+// Rewards this app created on the channel, with the one the current giveaway uses marked.
+// The current reward missing from the list means it was deleted on Twitch.
+app.get('/api/rewards', auth.requireAuth, async (req, res) => {
+    try {
+        const { userId: user_id, session } = req.auth;
+        const managed = await rewards.listManagedRewards({
+            helix,
+            userId: user_id
+        });
+        
+        const currentRewardId = session.rewardId;
+        if (currentRewardId && !managed.some(reward => reward.id === currentRewardId)) {
+            markRewardDeleted(user_id, currentRewardId);
         }
-        console.log(`SSE connection closed for user: ${userId}`);
-    });
+        
+        res.json({
+            current_reward_id: session.rewardId || null,
+            rewards: managed.map(reward => ({
+                ...reward,
+                in_use: reward.id === session.rewardId
+            }))
+        });
+        
+    } catch (error) {
+        console.error('Reward listing error:', error);
+        sendError(res, error);
+    }
 });
 
-// Broadcast message to specific user's connections
-function broadcastToUser(userId, eventData) {
-    const connections = userConnections.get(userId);
-    if (!connections || connections.size === 0) {
-        return;
-    }
-    
-    const message = `data: ${JSON.stringify(eventData)}\n\n`;
-    const deadConnections = [];
-    
-    for (const connection of connections) {
+// Edit title, cost, prompt, background_color or global_cooldown_seconds of a reward
+app.patch('/api/rewards/:rewardId', auth.requireAuth, auth.requireCsrf, async (req, res) => {
+    try {
+        const { userId: user_id } = req.auth;
+        const { rewardId } = req.params;
+        
+        let changes;
         try {
-            connection.write(message);
+            changes = rewards.normalizeRewardUpdate(req.body);
         } catch (error) {
-            deadConnections.push(connection);
+            return res.status(400).json({ error: error.message });
+        }
+        
+        const reward = await rewards.updateReward({
+            helix,
+            userId: user_id,
+            rewardId,
+            changes
+        });
+        
+        if (!reward) {
+            markRewardDeleted(user_id, rewardId);
+            return res.status(404).json({ error: 'Reward no longer exists on Twitch', reward_deleted: true });
+        }
+        
+        // Keep the giveaway's title in step with its reward
+        const giveaway = activeGiveaways.get(user_id);
+        if (giveaway && giveaway.rewardId === rewardId && changes.title) {
+            giveaway.title = changes.title;
+            activeGiveaways.persist(user_id);
         }
+        
+        console.log(`✅ Reward updated: ${reward.title} (ID: ${rewardId})`);
+        audit(req, 'reward.update', { reward_id: rewardId, changes });
+        res.json({ success: true, reward });
+        
+    } catch (error) {
+        console.error('Reward update error:', error);
+        sendError(res, error);
     }
-    
-    // Remove dead connections
-    deadConnections.forEach(conn => connections.delete(conn));
-}
+});
+
+app.delete('/api/rewards/:rewardId', auth.requireAuth, auth.requireCsrf, async (req, res) => {
+    try {
+        const { userId: user_id } = req.auth;
+        const { rewardId } = req.params;
+        
+        const giveaway = activeGiveaways.get(user_id);
+        if (giveaway && giveaway.rewardId === rewardId && !giveaway.rewardDeletedAt) {
+            return res.status(409).json({ error: 'This reward belongs to the current giveaway. Create or reuse another reward first.' });
+        }
+        
+        const deleted = await rewards.deleteReward({
+            helix,
+            userId: user_id,
+            rewardId
+        });
+        
+        console.log(`🗑️ Reward ${rewardId} ${deleted ? 'deleted' : 'was already gone'}`);
+        audit(req, 'reward.delete', { reward_id: rewardId, deleted });
+        res.json({ success: true, deleted });
+        
+    } catch (error) {
+        console.error('Reward deletion error:', error);
+        sendError(res, error);
+    }
+});
+
+// The reward was deleted outside this app (e.g. on the Twitch dashboard): no more entries can arrive
+function markRewardDeleted(userId, rewardId) {
+    const session = userSessions.get(userId);
+    if (session && session.rewardId === rewardId) {
+        session.rewardId = null;
+        userSessions.persist(userId);
+    }
+    
+    const giveaway = activeGiveaways.get(userId);
+    if (giveaway && giveaway.rewardId === rewardId && !giveaway.rewardDeletedAt) {
+        const now = new Date().toISOString();
+        giveaway.rewardDeletedAt = now;
+        giveaway.isActive = false;
+        giveaway.endedAt = giveaway.endedAt || now;
+        activeGiveaways.persist(userId);
+        
+        if (giveaway.schedule && ['scheduled', 'open'].includes(giveaway.schedule.status)) {
+            endSchedule(userId, giveaway, 'canceled', 'reward_deleted');
+        }
+        
+        console.log(`⚠️ Reward ${rewardId} was deleted on Twitch, giveaway for ${userId} closed`);
+        broadcastToUser(userId, {
+            type: 'reward_deleted',
+            reward_id: rewardId
+        });
+    }
+}
+
+// Chat integration settings, with the live connection state
+function chatSettingsResponse(userId, session) {
+    const settings = chatCommands.chatSettings(session);
+    const client = chatClients.get(userId);
+    return {
+        enabled: settings.enabled,
+        announce: settings.announce,
+        enter_command: settings.enterCommand,
+        claim_command: settings.claimCommand,
+        // Only the leader holds chat connections
+        status: client ? client.status : (leaderLock.isLeader ? 'disconnected' : 'unknown')
+    };
+}
+
+app.get('/api/chat/settings', auth.requireAuth, (req, res) => {
+    const { userId, session } = req.auth;
+    res.json(chatSettingsResponse(userId, session));
+});
+
+// Turning chat on needs a sign-in with the chat:read and chat:edit scopes
+app.put('/api/chat/settings', auth.requireAuth, auth.requireCsrf, (req, res) => {
+    const { userId, session } = req.auth;
+    
+    let settings;
+    try {
+        settings = chatCommands.normalizeChatSettings(req.body, chatCommands.chatSettings(session));
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
+    const wasEnabled = chatCommands.chatSettings(session).enabled;
+    session.chat = settings;
+    userSessions.persist(userId);
+    
+    // Saving again also retries a connection that gave up after a failed login
+    onLeader(userId, 'sync_chat', { restart: settings.enabled && !wasEnabled });
+    
+    console.log(`💬 Chat integration ${settings.enabled ? 'on' : 'off'} for ${session.userInfo.display_name}`);
+    audit(req, 'chat.settings', settings);
+    res.json(chatSettingsResponse(userId, session));
+});
+
+// Saved overlay themes, used as /overlay/:userId/:kind?theme=<name>
+const MAX_OVERLAY_THEMES = 20;
+
+app.get('/api/overlay-themes', auth.requireAuth, (req, res) => {
+    res.json({
+        defaults: overlayThemeRules.THEME_DEFAULTS,
+        themes: overlayThemes.get(req.auth.userId) || {}
+    });
+});
+
+app.put('/api/overlay-themes/:name', auth.requireAuth, auth.requireCsrf, (req, res) => {
+    const { userId } = req.auth;
+    const { name } = req.params;
+    
+    if (!overlayThemeRules.validThemeName(name)) {
+        return res.status(400).json({ error: 'Theme names may use letters, digits, - and _ (up to 32 characters)' });
+    }
+    
+    let theme;
+    try {
+        theme = overlayThemeRules.normalizeTheme(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
+    const themes = overlayThemes.get(userId) || {};
+    if (!Object.hasOwn(themes, name) && Object.keys(themes).length >= MAX_OVERLAY_THEMES) {
+        return res.status(400).json({ error: `At most ${MAX_OVERLAY_THEMES} themes can be saved` });
+    }
+    
+    themes[name] = theme;
+    overlayThemes.set(userId, themes);
+    
+    res.json({ success: true, name, theme });
+});
+
+app.delete('/api/overlay-themes/:name', auth.requireAuth, auth.requireCsrf, (req, res) => {
+    const { userId } = req.auth;
+    const themes = overlayThemes.get(userId) || {};
+    
+    if (!Object.hasOwn(themes, req.params.name)) {
+        return res.status(404).json({ error: 'Theme not found' });
+    }
+    
+    delete themes[req.params.name];
+    overlayThemes.set(userId, themes);
+    res.json({ success: true });
+});
+
+// Read-only tokens for overlays and other viewers of a channel's data
+app.get('/api/read-tokens', auth.requireAuth, (req, res) => {
+    res.json({ tokens: auth.listReadTokens(req.auth.userId) });
+});
+
+app.post('/api/read-tokens', auth.requireAuth, auth.requireCsrf, (req, res) => {
+    const { label, scopes } = req.body;
+    
+    if (scopes !== undefined && !Array.isArray(scopes)) {
+        return res.status(400).json({ error: 'scopes must be an array' });
+    }
+    
+    try {
+        const created = auth.createReadToken(req.auth.userId, { label, scopes });
+        console.log(`🔑 Read token created for ${req.auth.session.userInfo.display_name}: ${created.label}`);
+        audit(req, 'read_token.create', { token_id: created.id, label: created.label, scopes: created.scopes });
+        
+        // The raw token is only ever shown once
+        res.json({ success: true, ...created });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/read-tokens/:tokenId', auth.requireAuth, auth.requireCsrf, (req, res) => {
+    const userId = req.auth.userId;
+    const revoked = auth.revokeReadToken(userId, req.params.tokenId);
+    
+    if (!revoked) {
+        return res.status(404).json({ error: 'Token not found' });
+    }
+    
+    // Drop streams that are still open with the revoked token, on whichever instance holds them
+    broadcastToUser(userId, { type: 'access_revoked', read_token_id: revoked.id });
+    
+    console.log(`🔒 Read token revoked for ${req.auth.session.userInfo.display_name}: ${revoked.label}`);
+    audit(req, 'read_token.revoke', { token_id: revoked.id, label: revoked.label });
+    
+    res.json({ success: true });
+});
+
+// Moderators: invited by Twitch login, they sign in with their own account and get
+// the permissions the broadcaster picked (see lib/moderators.js)
+app.get('/api/moderators', auth.requireAuth, (req, res) => {
+    res.json({
+        permissions: moderatorRules.MODERATOR_PERMISSIONS,
+        moderators: channelModerators.get(req.auth.userId) || []
+    });
+});
+
+// Adds a moderator, or changes the permissions of one already added
+app.post('/api/moderators', auth.requireAuth, auth.requireCsrf, async (req, res) => {
+    const { userId, session } = req.auth;
+    
+    let login;
+    let permissions;
+    try {
+        login = moderatorRules.normalizeLogin(req.body.login);
+        permissions = moderatorRules.normalizePermissions(req.body.permissions);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
+    try {
+        const user = (await helix.request(userId, '/users', { query: { login } })).data[0];
+        if (!user) {
+            return res.status(404).json({ error: `No Twitch user named ${login}` });
+        }
+        if (user.id === userId) {
+            return res.status(400).json({ error: 'You already own this channel' });
+        }
+        
+        const moderators = channelModerators.get(userId) || [];
+        const existing = moderatorRules.findModerator(moderators, user.id);
+        if (!existing && moderators.length >= moderatorRules.MAX_MODERATORS) {
+            return res.status(400).json({ error: `At most ${moderatorRules.MAX_MODERATORS} moderators can be added` });
+        }
+        
+        const moderator = {
+            user_id: user.id,
+            login: user.login,
+            display_name: user.display_name,
+            permissions,
+            addedAt: existing ? existing.addedAt : new Date().toISOString()
+        };
+        channelModerators.set(userId, existing
+            ? moderators.map(m => (m.user_id === user.id ? moderator : m))
+            : [...moderators, moderator]);
+        
+        console.log(`🛡️ Moderator ${existing ? 'updated' : 'added'} for ${session.userInfo.display_name}: ${user.login} (${permissions.join(', ')})`);
+        audit(req, existing ? 'moderator.update' : 'moderator.add', { user_id: user.id, login: user.login, permissions });
+        
+        res.json({ success: true, moderator });
+    } catch (error) {
+        console.error('Moderator invite error:', error);
+        sendError(res, error);
+    }
+});
+
+app.delete('/api/moderators/:moderatorId', auth.requireAuth, auth.requireCsrf, (req, res) => {
+    const { userId, session } = req.auth;
+    const moderators = channelModerators.get(userId) || [];
+    const removed = moderatorRules.findModerator(moderators, req.params.moderatorId);
+    
+    if (!removed) {
+        return res.status(404).json({ error: 'Moderator not found' });
+    }
+    
+    channelModerators.set(userId, moderators.filter(m => m !== removed));
+    
+    // Close the live feed the moderator still has open
+    broadcastToUser(userId, { type: 'access_revoked', moderator_id: removed.user_id });
+    
+    console.log(`🛡️ Moderator removed for ${session.userInfo.display_name}: ${removed.login}`);
+    audit(req, 'moderator.remove', { user_id: removed.user_id, login: removed.login });
+    
+    res.json({ success: true });
+});
+
+// Who did what on this channel, newest first (?limit, ?action, ?actor_id)
+app.get('/api/audit-log', auth.requireAuth, (req, res) => {
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+        return res.status(400).json({ error: 'limit must be a whole number from 1 to 1000' });
+    }
+    
+    res.json({
+        entries: auditLog.list(req.auth.userId, {
+            limit,
+            action: req.query.action,
+            actorId: req.query.actor_id
+        })
+    });
+});
+
+// Outbound webhooks: giveaway events POSTed to the streamer's own URLs or Discord channels.
+// The signing secret is only returned when the webhook is created.
+function publicHook({ secret, ...hook }) {
+    return hook;
+}
+
+app.get('/api/outbound-webhooks', auth.requireAuth, (req, res) => {
+    res.json({
+        webhooks: (outboundHooks.get(req.auth.userId) || []).map(publicHook),
+        events: outboundWebhooks.WEBHOOK_EVENTS,
+        formats: outboundWebhooks.WEBHOOK_FORMATS
+    });
+});
+
+app.post('/api/outbound-webhooks', auth.requireAuth, auth.requireCsrf, (req, res) => {
+    const { userId, session } = req.auth;
+    const hooks = outboundHooks.get(userId) || [];
+    
+    if (hooks.length >= outboundWebhooks.MAX_HOOKS_PER_USER) {
+        return res.status(400).json({ error: `At most ${outboundWebhooks.MAX_HOOKS_PER_USER} webhooks can be added` });
+    }
+    
+    let hook;
+    try {
+        hook = outboundWebhooks.normalizeHook(req.body, null, { allowPrivate: NODE_ENV === 'development' });
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
+    hook = {
+        id: crypto.randomUUID(),
+        ...hook,
+        secret: 'whsec_' + crypto.randomBytes(24).toString('hex'),
+        createdAt: new Date().toISOString()
+    };
+    outboundHooks.set(userId, [...hooks, hook]);
+    
+    console.log(`🪝 Outbound webhook added for ${session.userInfo.display_name}: ${hook.format} (${hook.events.join(', ')})`);
+    audit(req, 'webhook.create', { webhook_id: hook.id, format: hook.format, events: hook.events });
+    
+    res.json({ success: true, webhook: publicHook(hook), secret: hook.secret });
+});
+
+app.patch('/api/outbound-webhooks/:hookId', auth.requireAuth, auth.requireCsrf, (req, res) => {
+    const userId = req.auth.userId;
+    const hooks = outboundHooks.get(userId) || [];
+    const existing = hooks.find(hook => hook.id === req.params.hookId);
+    
+    if (!existing) {
+        return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    let hook;
+    try {
+        hook = outboundWebhooks.normalizeHook(req.body, existing, { allowPrivate: NODE_ENV === 'development' });
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
+    // Entries waiting for a batch that no longer exists (or is now shorter) go out right away
+    if (hook.batchSeconds !== existing.batchSeconds || !hook.enabled) {
+        webhookDispatcher.flushBatch(userId, hook.id);
+    }
+    
+    outboundHooks.set(userId, hooks.map(h => (h.id === hook.id ? hook : h)));
+    audit(req, 'webhook.update', { webhook_id: hook.id, format: hook.format, events: hook.events, enabled: hook.enabled });
+    
+    res.json({ success: true, webhook: publicHook(hook) });
+});
+
+app.delete('/api/outbound-webhooks/:hookId', auth.requireAuth, auth.requireCsrf, (req, res) => {
+    const { userId, session } = req.auth;
+    const hooks = outboundHooks.get(userId) || [];
+    const removed = hooks.find(hook => hook.id === req.params.hookId);
+    
+    if (!removed) {
+        return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    webhookDispatcher.forgetHook(userId, removed.id);
+    outboundHooks.set(userId, hooks.filter(hook => hook !== removed));
+    
+    console.log(`🪝 Outbound webhook removed for ${session.userInfo.display_name}: ${removed.id}`);
+    audit(req, 'webhook.delete', { webhook_id: removed.id });
+    
+    res.json({ success: true });
+});
+
+// Test-fire: sends one test event now and reports how the receiver answered
+app.post('/api/outbound-webhooks/:hookId/test', auth.requireAuth, auth.requireCsrf, async (req, res) => {
+    const userId = req.auth.userId;
+    const hook = webhookDispatcher.findHook(userId, req.params.hookId);
+    
+    if (!hook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    const delivery = await webhookDispatcher.test(userId, hook);
+    audit(req, 'webhook.test', { webhook_id: hook.id, status: delivery.status });
+    
+    res.json({ success: delivery.status === 'delivered', delivery });
+});
+
+// Delivery log, newest first (?webhook_id, ?limit)
+app.get('/api/outbound-webhooks/deliveries', auth.requireAuth, (req, res) => {
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+        return res.status(400).json({ error: 'limit must be a whole number from 1 to 200' });
+    }
+    
+    res.json({
+        deliveries: webhookDispatcher.listDeliveries(req.auth.userId, {
+            hookId: req.query.webhook_id,
+            limit
+        })
+    });
+});
+
+// What viewers paid for their tickets (chat entries are free)
+function pointsSpent(giveaway) {
+    return giveaway.entries.reduce((sum, e) => sum + (e.reward_cost || 0), 0);
+}
+
+// Everything a live feed needs to rebuild its view, sent when it connects without a replay
+function giveawaySnapshot(userId) {
+    const giveaway = activeGiveaways.get(userId);
+    if (!giveaway) {
+        return { type: 'snapshot', giveaway: null, timestamp: new Date().toISOString() };
+    }
+    
+    const tickets = entryModes.ticketsPerUser(giveaway.entries);
+    return {
+        type: 'snapshot',
+        giveaway: {
+            id: giveaway.id,
+            title: giveaway.title,
+            prize: giveaway.prize || null,
+            isActive: giveaway.isActive,
+            rewardId: giveaway.rewardId,
+            entryConfig: giveaway.entryConfig || entryModes.normalizeEntryConfig(),
+            schedule: giveaway.schedule || null,
+            eligibility: giveaway.eligibility || null,
+            claimSettings: giveaway.claimSettings || null,
+            commitment: giveaway.commitment.commitment,
+            totalEntries: giveaway.entries.length,
+            uniqueUsers: tickets.length,
+            totalWeight: tickets.reduce((sum, t) => sum + t.weight, 0),
+            totalPointsSpent: pointsSpent(giveaway),
+            entries: giveaway.entries,
+            winners: giveaway.winners || [],
+            rejectedEntries: giveaway.rejectedEntries || [],
+            startedAt: giveaway.startedAt || null,
+            endedAt: giveaway.endedAt || null
+        },
+        timestamp: new Date().toISOString()
+    };
+}
+
+// Server-Sent Events for real-time updates
+app.get('/events/:userId', auth.requireChannelAccess('events'), (req, res) => {
+    const userId = req.params.userId;
+    
+    console.log(`SSE connection established for user: ${userId} (${req.reader.type})`);
+    
+    // Remember which token or moderator opened the stream so revoking access can close it
+    res.readTokenId = req.reader.tokenId;
+    res.moderatorId = req.reader.moderatorId;
+    
+    // Set up SSE headers
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'Access-Control-Allow-Origin': '*'
+    });
+    
+    // Add connection to user's connection set
+    if (!userConnections.has(userId)) {
+        userConnections.set(userId, new Set());
+    }
+    userConnections.get(userId).add(res);
+    
+    // Send initial connection message
+    res.write(`data: ${JSON.stringify({
+        type: 'connection_status',
+        status: 'connected',
+        timestamp: new Date().toISOString()
+    })}\n\n`);
+    
+    // A reconnecting feed gets what it missed; a new one, or one too far behind, gets the whole state.
+    // Browsers send Last-Event-ID on their own; a page opening a new EventSource can pass ?last_event_id
+    const lastEventId = Number(req.header('Last-Event-ID') || req.query.last_event_id);
+    const missed = lastEventId ? eventHistory.since(userId, lastEventId) : null;
+    if (missed) {
+        missed.forEach(event => res.write(sseMessage(event.data, event.id)));
+        console.log(`SSE replayed ${missed.length} events for user: ${userId}`);
+    } else {
+        res.write(sseMessage(giveawaySnapshot(userId), eventHistory.lastId(userId)));
+    }
+    
+    // Keep-alive heartbeat every 30 seconds
+    const heartbeat = setInterval(() => {
+        try {
+            res.write(`data: ${JSON.stringify({
+                type: 'heartbeat',
+                timestamp: new Date().toISOString()
+            })}\n\n`);
+        } catch (error) {
+            clearInterval(heartbeat);
+        }
+    }, 30000);
+    
+    // Handle client disconnect
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        const connections = userConnections.get(userId);
+        if (connections) {
+            connections.delete(res);
+            if (connections.size === 0) {
+                userConnections.delete(userId);
+            }
+        }
+        console.log(`SSE connection closed for user: ${userId}`);
+    });
+});
+
+// Broadcast message to specific user's connections on every instance (see deliverEvent)
+function broadcastToUser(userId, eventData) {
+    eventBus.publish(userId, eventData);
+}
+
+// Countdowns repeat every second and are stale by the time a feed reconnects, so they
+// are neither numbered nor kept for replay
+const EPHEMERAL_EVENTS = ['giveaway_countdown'];
+
+// Runs on every instance for every published event
+function deliverEvent(userId, eventData, eventId) {
+    if (eventData.type === 'leader_task') {
+        if (leaderLock.isLeader) {
+            runLeaderTask(userId, eventData.task, eventData.args);
+        }
+        return;
+    }
+    
+    // Outbound webhooks go out once, from the leader
+    if (leaderLock.isLeader) {
+        webhookDispatcher.handleEvent(userId, eventData);
+    }
+    
+    if (eventData.type === 'access_revoked') {
+        closeRevokedConnections(userId, eventData);
+        
+        // The channel was banned or deleted; nothing it had should be replayed
+        if (eventData.all) {
+            eventHistory.delete(userId);
+        }
+        return;
+    }
+    
+    const numbered = eventId !== null && !EPHEMERAL_EVENTS.includes(eventData.type);
+    if (numbered) {
+        eventHistory.add(userId, eventId, eventData);
+    }
+    
+    const connections = userConnections.get(userId);
+    if (!connections || connections.size === 0) {
+        return;
+    }
+    
+    const message = sseMessage(eventData, numbered ? eventId : null);
+    const deadConnections = [];
+    
+    for (const connection of connections) {
+        try {
+            connection.write(message);
+        } catch (error) {
+            deadConnections.push(connection);
+        }
+    }
+    
+    // Remove dead connections
+    deadConnections.forEach(conn => connections.delete(conn));
+}
+
+function sseMessage(eventData, eventId = null) {
+    return `${eventId !== null ? `id: ${eventId}\n` : ''}data: ${JSON.stringify(eventData)}\n\n`;
+}
+
+// Close streams opened with a revoked read token, by a removed moderator, by the
+// broadcaster (owner) or, with all, every stream of the channel
+function closeRevokedConnections(userId, { read_token_id, moderator_id, owner, all }) {
+    for (const connection of userConnections.get(userId) || []) {
+        if (all
+            || (owner && !connection.readTokenId && !connection.moderatorId)
+            || (read_token_id && connection.readTokenId === read_token_id)
+            || (moderator_id && connection.moderatorId === moderator_id)) {
+            connection.end();
+        }
+    }
+}
+
+// Twitch EventSub webhook endpoint
+app.post('/webhook/eventsub', (req, res) => {
+    const endTimer = webhookDuration.startTimer();
+    
+    // Get Twitch headers
+    const messageId = req.header('Twitch-Eventsub-Message-Id');
+    const timestamp = req.header('Twitch-Eventsub-Message-Timestamp');
+    const signature = req.header('Twitch-Eventsub-Message-Signature');
+    const messageType = req.header('Twitch-Eventsub-Message-Type');
+    
+    console.log(`Webhook received: ${messageType}`);
+    
+    if (!messageId || !timestamp || !signature) {
+        console.log('Missing required headers');
+        return res.status(400).send('Missing required headers');
+    }
+    
+    // Verify signature
+    const expectedSignature = crypto
+        .createHmac('sha256', WEBHOOK_SECRET)
+        .update(messageId + timestamp)
+        .update(req.body)
+        .digest('hex');
+    
+    if (!safeEqual(`sha256=${expectedSignature}`, signature)) {
+        console.log('Invalid webhook signature');
+        signatureFailures.inc();
+        return res.status(403).send('Invalid signature');
+    }
+    
+    // Replay protection: stale (or unparseable) timestamps are rejected,
+    // retries are acknowledged but not reprocessed
+    const messageAge = Date.now() - new Date(timestamp).getTime();
+    if (!(Math.abs(messageAge) <= EVENTSUB_MAX_MESSAGE_AGE_MS)) {
+        console.log(`Rejected webhook with stale timestamp: ${timestamp}`);
+        return res.status(403).send('Message too old');
+    }
+    
+    if (eventSubMessageIds.has(messageId)) {
+        console.log(`Duplicate webhook message ignored: ${messageId}`);
+        return res.status(200).send('OK');
+    }
+    eventSubMessageIds.add(messageId);
+    
+    let event;
+    try {
+        event = JSON.parse(req.body);
+    } catch (error) {
+        console.log('Invalid JSON in webhook');
+        return res.status(400).send('Invalid JSON');
+    }
+    
+    // Handle different message types
+    switch (messageType) {
+        case 'webhook_callback_verification':
+            console.log('✅ Webhook verification challenge received');
+            return res.status(200).send(event.challenge);
+            
+        case 'notification':
+            processNotification(event, 'webhook');
+            break;
+            
+        case 'revocation':
+            handleSubscriptionRevocation(event);
+            break;
+            
+        default:
+            console.log('Unknown webhook message type:', messageType);
+    }
+    
+    const seconds = endTimer({ message_type: messageType });
+    console.log(`Webhook acknowledged in ${Math.round(seconds * 1000)}ms`);
+    res.status(200).send('OK');
+});
+
+// Roles that can earn a weighting bonus; lookups that fail simply grant no bonus
+async function lookupViewerRoles(userId, viewerId, bonuses) {
+    const checks = {
+        subscriber: '/subscriptions',
+        vip: '/channels/vips'
+    };
+    
+    const roles = [];
+    for (const role of Object.keys(bonuses)) {
+        try {
+            const data = await helix.request(userId, checks[role], {
+                query: { broadcaster_id: userId, user_id: viewerId }
+            });
+            if (data.data.length > 0) {
+                roles.push(role);
+            }
+        } catch (error) {
+            console.error(`Role lookup failed (${role}):`, error.message);
+        }
+    }
+    return roles;
+}
+
+// Timed until the notification is fully handled, which is after a webhook has been acknowledged
+function processNotification(event, transport) {
+    const endTimer = notificationDuration.startTimer({
+        transport,
+        subscription_type: (event.subscription && event.subscription.type) || 'unknown'
+    });
+    return handleEventNotification(event)
+        .catch(error => console.error('Error handling notification:', error))
+        .finally(() => endTimer());
+}
+
+// Handle EventSub notifications
+async function handleEventNotification(event) {
+    const eventData = event.event;
+    const subscriptionType = event.subscription.type;
+    
+    if (subscriptionType === 'channel.channel_points_custom_reward_redemption.add') {
+        const userId = eventData.broadcaster_user_id;
+        const giveaway = activeGiveaways.get(userId);
+        const session = userSessions.get(userId);
+        
+        if (!giveaway || !session) {
+            console.log(`No active giveaway found for user ${userId}`);
+            return;
+        }
+        
+        // Check if this is for the current giveaway reward
+        if (eventData.reward.id !== giveaway.rewardId) {
+            console.log(`Redemption for different reward: ${eventData.reward.id}`);
+            return;
+        }
+        
+        const entryConfig = giveaway.entryConfig || entryModes.normalizeEntryConfig();
+        
+        // Reuse roles from the viewer's earlier tickets instead of asking Helix again
+        let roles = [];
+        if (entryModes.hasBonuses(entryConfig)) {
+            const previousTicket = giveaway.entries.find(e => e.user_id === eventData.user_id);
+            roles = previousTicket ? previousTicket.roles : await lookupViewerRoles(userId, eventData.user_id, entryConfig.bonuses);
+        }
+        
+        await addEntry(userId, giveaway, {
+            username: eventData.user_name,
+            user_id: eventData.user_id,
+            user_login: eventData.user_login,
+            redemption_id: eventData.id,
+            reward_id: eventData.reward.id,
+            reward_cost: eventData.reward.cost,
+            redemption_status: (eventData.status || 'unfulfilled').toUpperCase(),
+            roles,
+            weight: entryModes.entryWeight(entryConfig, roles),
+            redeemed_at: eventData.redeemed_at
+        });
+    }
+}
+
+// Record an entry from any source (redemption or chat) once it passes the duplicate
+// check, the eligibility rules, the per-viewer ticket cap and the scheduled entry cap.
+// Returns false if the entry was skipped or rejected.
+async function addEntry(userId, giveaway, entry) {
+    const entryConfig = giveaway.entryConfig || entryModes.normalizeEntryConfig();
+    
+    // The giveaway may have been replaced while the viewer's roles were looked up
+    if (activeGiveaways.get(userId) !== giveaway) {
+        return false;
+    }
+    
+    // Same redemption delivered twice (retry or second transport)
+    if (isDuplicateEntry(giveaway, entry)) {
+        console.log(`Duplicate redemption ignored: ${entry.redemption_id}`);
+        return false;
+    }
+    
+    // Viewers with an accepted ticket already passed the rules, which cannot get stricter
+    const rules = giveaway.eligibility;
+    if (eligibility.hasRules(rules) && !giveaway.entries.some(e => e.user_id === entry.user_id)) {
+        const facts = await lookupEligibilityFacts(userId, entry, rules);
+        
+        // The giveaway may have been replaced, or the redemption redelivered, during the lookups
+        if (activeGiveaways.get(userId) !== giveaway || isDuplicateEntry(giveaway, entry)) {
+            return false;
+        }
+        
+        const reason = eligibility.evaluate(rules, facts);
+        if (reason) {
+            rejectEntry(userId, giveaway, entry, reason);
+            return false;
+        }
+    }
+    
+    // Checked after the lookups so concurrent redemptions cannot slip past the cap
+    if (!entryModes.canAddTicket(entryConfig, giveaway.entries, entry.user_id)) {
+        rejectOverLimit(userId, giveaway, entry, 'ticket_limit');
+        return false;
+    }
+    
+    // Entries that arrive while the giveaway is being closed do not go past a scheduled cap
+    const schedule = giveaway.schedule;
+    if (schedule && schedule.maxEntries > 0 && ['open', 'closed'].includes(schedule.status)
+        && giveaway.entries.length >= schedule.maxEntries) {
+        rejectOverLimit(userId, giveaway, entry, 'entry_cap');
+        return false;
+    }
+    
+    // Stored on its own, so entries added by other instances at the same time are kept too
+    activeGiveaways.append(userId, 'entries', entry);
+    entriesAccepted.inc({ source: entry.source || 'redemption' });
+    
+    // Broadcast to user's frontend
+    broadcastToUser(userId, {
+        type: 'giveaway_entry',
+        ...entry
+    });
+    
+    const session = userSessions.get(userId);
+    console.log(`🎉 New giveaway entry for ${session ? session.userInfo.display_name : userId}: ${entry.username}`);
+    
+    checkEntryCap(userId, giveaway);
+    return true;
+}
+
+// Redemptions over a limit are rejected so their points can be refunded. Repeated chat
+// commands cost nothing and would only crowd the rejected list, so they are just ignored.
+function rejectOverLimit(userId, giveaway, entry, reason) {
+    if (entry.source === 'chat') {
+        console.log(`${eligibility.REJECTION_REASONS[reason]}, ignoring chat entry from ${entry.username}`);
+        return;
+    }
+    rejectEntry(userId, giveaway, entry, reason);
+}
+
+function isDuplicateEntry(giveaway, entry) {
+    return giveaway.entries.some(e => e.redemption_id === entry.redemption_id)
+        || (giveaway.rejectedEntries || []).some(e => e.redemption_id === entry.redemption_id);
+}
+
+// What the eligibility rules need to know about a viewer. Failed lookups are left null,
+// which rejects the entry as check_failed rather than letting it in unchecked.
+async function lookupEligibilityFacts(userId, entry, rules) {
+    const lookups = eligibility.requiredLookups(rules);
+    const facts = { login: entry.user_login || entry.username };
+    
+    const helixData = async (check, path, query) => {
+        try {
+            return (await helix.request(userId, path, { query })).data;
+        } catch (error) {
+            console.error(`Eligibility lookup failed (${check}):`, error.message);
+            return null;
+        }
+    };
+    
+    if (lookups.follow) {
+        const data = await helixData('follow', '/channels/followers', { broadcaster_id: userId, user_id: entry.user_id });
+        facts.followedAt = data && (data.length > 0 ? data[0].followed_at : false);
+    }
+    if (lookups.subscription) {
+        // A subscriber bonus lookup may already have answered this
+        const data = entry.roles.includes('subscriber')
+            ? [true]
+            : await helixData('subscription', '/subscriptions', { broadcaster_id: userId, user_id: entry.user_id });
+        facts.isSubscriber = data && data.length > 0;
+    }
+    if (lookups.user) {
+        const data = await helixData('account age', '/users', { id: entry.user_id });
+        facts.createdAt = data && data.length > 0 ? data[0].created_at : null;
+    }
+    if (lookups.ban) {
+        const data = await helixData('ban', '/moderation/banned', { broadcaster_id: userId, user_id: entry.user_id });
+        facts.isBanned = data && data.length > 0;
+    }
+    if (rules.excludeWinnersDays > 0) {
+        facts.lastWonAt = lastWinFor(userId, entry.user_id);
+    }
+    
+    return facts;
+}
+
+// When the viewer last won one of this channel's archived giveaways (expired wins do not count)
+function lastWinFor(userId, viewerId) {
+    let lastWonAt = null;
+    for (const giveaway of giveawayHistory.values()) {
+        if (giveaway.userId !== userId) continue;
+        for (const winner of giveaway.winners || []) {
+            if (winner.user_id === viewerId && ACTIVE_WINNER_STATUSES.includes(winner.status)
+                && (!lastWonAt || winner.drawnAt > lastWonAt)) {
+                lastWonAt = winner.drawnAt;
+            }
+        }
+    }
+    return lastWonAt;
+}
+
+// Rejected entries are kept (newest last) so the streamer can see who was turned away and why
+const MAX_REJECTED_ENTRIES = 1000;
+
+function rejectEntry(userId, giveaway, entry, reason) {
+    // Giveaways started before eligibility rules existed have none
+    const refund = !!(giveaway.eligibility && giveaway.eligibility.refundRejected)
+        && entry.redemption_status === 'UNFULFILLED';
+    const rejection = {
+        ...entry,
+        reason,
+        reason_text: eligibility.REJECTION_REASONS[reason],
+        refund_status: refund ? 'pending' : null,
+        rejected_at: new Date().toISOString()
+    };
+    
+    activeGiveaways.append(userId, 'rejectedEntries', rejection);
+    activeGiveaways.trimList(userId, 'rejectedEntries', MAX_REJECTED_ENTRIES);
+    
+    broadcastToUser(userId, {
+        type: 'entry_rejected',
+        ...rejection
+    });
+    
+    console.log(`🚫 Entry from ${entry.username} rejected for ${userId}: ${reason}`);
+    
+    if (refund) {
+        refundRejectedEntry(userId, giveaway, rejection);
+    }
+}
+
+// Cancel the redemption so the viewer gets their points back
+async function refundRejectedEntry(userId, giveaway, rejection) {
+    const { updated } = await updateRedemptionStatus({
+        helix,
+        userId,
+        rewardId: rejection.reward_id,
+        redemptionIds: [rejection.redemption_id],
+        status: 'CANCELED'
+    });
+    
+    const refunded = updated.length > 0;
+    rejection.refund_status = refunded ? 'refunded' : 'failed';
+    if (refunded) {
+        rejection.redemption_status = 'CANCELED';
+    }
+    
+    // The giveaway may have been archived while the refund was in flight
+    persistGiveaway(userId, giveaway, { rejectedEntries: [rejection] });
+    
+    broadcastToUser(userId, {
+        type: 'entry_refund',
+        redemption_id: rejection.redemption_id,
+        username: rejection.username,
+        refund_status: rejection.refund_status
+    });
+}
+
+// Twitch chat integration: announces the giveaway in the broadcaster's chat (signed in
+// as the broadcaster) and accepts chat commands for entries and winner claims
+function startChat(userId) {
+    stopChat(userId);
+    
+    const session = userSessions.get(userId);
+    const client = new ChatClient({
+        url: TWITCH_IRC_URL,
+        channel: session.userInfo.login,
+        getCredentials: async () => {
+            const current = userSessions.get(userId);
+            if (!current || current.needsReauth) {
+                throw new Error('Broadcaster needs to sign in again');
+            }
+            return { login: current.userInfo.login, accessToken: current.accessToken };
+        },
+        onMessage: message => handleChatMessage(userId, message),
+        onAuthFailed: () => tokenManager.refresh(userId)
+    });
+    
+    chatClients.set(userId, client);
+    client.connect();
+}
+
+function stopChat(userId) {
+    const client = chatClients.get(userId);
+    if (client) {
+        client.close();
+        chatClients.delete(userId);
+    }
+}
+
+// Say something in chat if the streamer wants announcements; text(settings) builds the message
+function announce(userId, text) {
+    const session = userSessions.get(userId);
+    if (!session) return;
+    
+    const settings = chatCommands.chatSettings(session);
+    if (settings.enabled && settings.announce) {
+        onLeader(userId, 'say', { text: text(settings) });
+    }
+}
+
+// Bring the chat connection in line with the saved settings; restart reconnects a working one too
+function syncChat(userId, restart = false) {
+    const session = userSessions.get(userId);
+    const client = chatClients.get(userId);
+    
+    if (!session || !chatCommands.chatSettings(session).enabled) {
+        stopChat(userId);
+    } else if (restart || !client || client.status === 'auth_failed') {
+        startChat(userId);
+    }
+}
+
+// Chat connections and EventSub WebSockets must exist once per channel, so only the leader
+// holds them. Other instances hand the work over the event bus, after flushing their
+// storage writes so the leader already sees the session they just changed.
+const leaderTasks = {
+    sync_chat: (userId, { restart }) => syncChat(userId, restart),
+    stop_chat: userId => stopChat(userId),
+    say: (userId, { text }) => {
+        const client = chatClients.get(userId);
+        if (client) client.say(text);
+    },
+    start_eventsub_ws: (userId, { rewardId }) => startEventSubWebSocket(userId, rewardId).catch(error => {
+        console.error(`EventSub WebSocket setup failed for ${userId}:`, error.message);
+        broadcastToUser(userId, { type: 'subscription_revoked', reason: 'subscribe_failed' });
+    }),
+    stop_eventsub_ws: userId => stopEventSubWebSocket(userId)
+};
+
+function runLeaderTask(userId, task, args = {}) {
+    const run = leaderTasks[task];
+    if (run) {
+        run(userId, args);
+    }
+}
+
+function onLeader(userId, task, args = {}) {
+    if (leaderLock.isLeader) {
+        runLeaderTask(userId, task, args);
+        return;
+    }
+    
+    storage.flush()
+        .catch(error => console.error('Storage flush before handing over failed:', error.message))
+        .then(() => broadcastToUser(userId, { type: 'leader_task', task, args }));
+}
+
+function handleChatMessage(userId, message) {
+    const session = userSessions.get(userId);
+    const giveaway = activeGiveaways.get(userId);
+    if (!session || !giveaway || !message.userId) return;
+    
+    const settings = chatCommands.chatSettings(session);
+    const command = chatCommands.commandOf(message.text);
+    
+    if (command === settings.enterCommand) {
+        const entryConfig = giveaway.entryConfig || entryModes.normalizeEntryConfig();
+        if (!giveaway.isActive || entryConfig.source !== 'chat') return;
+        
+        // Badges stand in for the Helix role lookup redemptions need
+        const roles = message.roles.filter(role => entryConfig.bonuses[role]);
+        addEntry(userId, giveaway, {
+            username: message.username,
+            user_id: message.userId,
+            user_login: message.login,
+            redemption_id: `chat:${message.id || crypto.randomUUID()}`,
+            reward_id: null,
+            reward_cost: 0,
+            redemption_status: null,
+            source: 'chat',
+            roles,
+            weight: entryModes.entryWeight(entryConfig, roles),
+            redeemed_at: message.sentAt
+        }).catch(error => console.error(`Chat entry failed for ${userId}:`, error));
+    } else if (command === settings.claimCommand) {
+        claimWinner(userId, { viewerId: message.userId });
+    }
+}
+
+// Handle subscription revocations
+function handleSubscriptionRevocation(event) {
+    console.log('⚠️ Subscription revoked:', event.subscription.id);
+    
+    // Find user with this subscription and notify them
+    for (const [userId, session] of userSessions) {
+        if (session.subscriptionId === event.subscription.id) {
+            broadcastToUser(userId, {
+                type: 'subscription_revoked',
+                reason: event.subscription.status
+            });
+            recoverSubscription(userId, session, event.subscription);
+            break;
+        }
+    }
+}
 
-// Twitch EventSub webhook endpoint
-app.post('/webhook/eventsub', (req, res) => {
-    const startTime = Date.now();
+// Subscribe again after a recoverable revocation (failed deliveries, version removal)
+function recoverSubscription(userId, session, subscription) {
+    const restored = subscriptionId => {
+        console.log(`✅ Subscription restored for ${userId} (ID: ${subscriptionId})`);
+        broadcastToUser(userId, {
+            type: 'subscription_restored',
+            subscription_id: subscriptionId
+        });
+    };
     
-    // Get Twitch headers
-    const messageId = req.header('Twitch-Eventsub-Message-Id');
-    const timestamp = req.header('Twitch-Eventsub-Message-Timestamp');
-    const signature = req.header('Twitch-Eventsub-Message-Signature');
-    const messageType = req.header('Twitch-Eventsub-Message-Type');
+    if (session.transport === 'websocket') {
+        if (!RECOVERABLE_STATUSES.includes(subscription.status) || !session.rewardId) return;
+        startEventSubWebSocket(userId, session.rewardId)
+            .then(restored)
+            .catch(error => console.error(`Subscription recovery failed for ${userId}:`, error.message));
+        return;
+    }
     
-    console.log(`Webhook received: ${messageType}`);
+    subscriptionReconciler.handleRevocation(userId, subscription)
+        .then(record => {
+            if (record && record.status === 'recreated') {
+                restored(record.subscriptionId);
+            }
+        })
+        .catch(error => console.error(`Subscription recovery failed for ${userId}:`, error.message));
+}
+
+// Get giveaway stats for specific user
+app.get('/api/giveaway/:userId/stats', auth.requireChannelAccess('stats'), (req, res) => {
+    const userId = req.params.userId;
+    const giveaway = activeGiveaways.get(userId);
     
-    if (!messageId || !timestamp || !signature) {
-        console.log('Missing required headers');
-        return res.status(400).send('Missing required headers');
+    if (!giveaway) {
+        return res.status(404).json({ error: 'Giveaway not found' });
     }
     
-    // Verify signature
-    const expectedSignature = crypto
-        .createHmac('sha256', WEBHOOK_SECRET)
-        .update(messageId + timestamp + req.body)
-        .digest('hex');
+    const tickets = entryModes.ticketsPerUser(giveaway.entries);
     
-    if (`sha256=${expectedSignature}` !== signature) {
-        console.log('Invalid webhook signature');
-        return res.status(403).send('Invalid signature');
+    res.json({
+        isActive: giveaway.isActive,
+        rewardId: giveaway.rewardId,
+        entryConfig: giveaway.entryConfig || entryModes.normalizeEntryConfig(),
+        totalEntries: giveaway.entries.length,
+        uniqueUsers: tickets.length,
+        totalWeight: tickets.reduce((sum, t) => sum + t.weight, 0),
+        totalPointsSpent: pointsSpent(giveaway),
+        ticketsPerUser: tickets,
+        schedule: giveaway.schedule || null,
+        eligibility: giveaway.eligibility || null,
+        totalRejected: (giveaway.rejectedEntries || []).length,
+        rejectedEntries: (giveaway.rejectedEntries || []).slice(-20),
+        entries: giveaway.entries.slice(-20) // Last 20 entries
+    });
+});
+
+// Published commitment for the next draw (the seed stays secret until the draw)
+app.get('/api/giveaway/:userId/commitment', (req, res) => {
+    const giveaway = activeGiveaways.get(req.params.userId);
+    
+    if (!giveaway) {
+        return res.status(404).json({ error: 'Giveaway not found' });
     }
     
-    let event;
+    res.json({
+        commitment: giveaway.commitment.commitment,
+        committedAt: giveaway.commitment.committedAt,
+        totalEntries: giveaway.entries.length
+    });
+});
+
+// Winners whose prize still stands (not expired or rerolled)
+const ACTIVE_WINNER_STATUSES = ['pending', 'claimed', 'won'];
+
+const MAX_WINNERS_PER_DRAW = 100;
+
+// Draw winners with the committed seed, record them on the giveaway and start claim timers.
+// Returns null when no eligible entries are left.
+function drawWinners(userId, giveaway, count, reason) {
+    // Without replacement across rerolls too: nobody wins twice in one giveaway
+    const excludedUserIds = Array.from(new Set(giveaway.winners.map(w => w.user_id)));
+    const draw = fairDraw.draw(giveaway.commitment, giveaway.entries, { count, excludedUserIds });
+    
+    if (draw.winners.length === 0) {
+        return null;
+    }
+    
+    draw.reason = reason;
+    activeGiveaways.append(userId, 'draws', draw);
+    
+    // Commit to a new seed so rerolls are just as verifiable
+    giveaway.commitment = fairDraw.createCommitment();
+    
+    const { windowSeconds } = giveaway.claimSettings || { windowSeconds: 0 };
+    // The draw only keeps pseudonymous entries; winnerIndex points into the live entry list
+    const winners = draw.winners.map(pick => ({
+        id: crypto.randomUUID(),
+        drawId: draw.id,
+        round: pick.round,
+        user_id: giveaway.entries[pick.winnerIndex].user_id,
+        username: giveaway.entries[pick.winnerIndex].username,
+        redemption_id: giveaway.entries[pick.winnerIndex].redemption_id,
+        status: windowSeconds > 0 ? 'pending' : 'won',
+        drawnAt: draw.drawnAt,
+        claimDeadline: windowSeconds > 0 ? new Date(Date.now() + windowSeconds * 1000).toISOString() : null,
+        claimedAt: null
+    }));
+    
+    winners.forEach(winner => activeGiveaways.append(userId, 'winners', winner));
+    activeGiveaways.persist(userId);
+    
+    for (const winner of winners) {
+        if (winner.status === 'pending') {
+            scheduleClaimExpiry(userId, winner);
+        }
+        
+        broadcastToUser(userId, {
+            type: 'winner_drawn',
+            reason,
+            draw_id: draw.id,
+            winner,
+            entries_hash: draw.entriesHash,
+            seed: draw.seed,
+            commitment: draw.commitment,
+            next_commitment: giveaway.commitment.commitment
+        });
+        
+        console.log(`🏆 Winner drawn for ${userId} (${reason}): ${winner.username}`);
+        announce(userId, settings => chatCommands.winnerAnnouncement(giveaway, winner, settings));
+    }
+    
+    return { draw, winners };
+}
+
+// Claim windows are timed by the leader alone; winners drawn on other instances reach it
+// through storage and get their timer on its next scheduler tick
+function scheduleClaimExpiry(userId, winner) {
+    if (!leaderLock.isLeader) return;
+    clearTimeout(claimTimers.get(winner.id));
+    
+    const delay = Math.max(new Date(winner.claimDeadline) - Date.now(), 0);
+    claimTimers.set(winner.id, setTimeout(() => {
+        claimTimers.delete(winner.id);
+        expireWinner(userId, winner.id, 'claim_timeout');
+    }, delay));
+}
+
+// Mark a pending winner as expired and, if enabled, draw a replacement
+function expireWinner(userId, winnerId, reason) {
+    const giveaway = activeGiveaways.get(userId);
+    const winner = giveaway && (giveaway.winners || []).find(w => w.id === winnerId);
+    if (!winner || !['pending', 'won'].includes(winner.status)) {
+        return null;
+    }
+    
+    clearTimeout(claimTimers.get(winnerId));
+    claimTimers.delete(winnerId);
+    
+    winner.status = reason === 'rerolled' ? 'rerolled' : 'expired';
+    winner.expiredAt = new Date().toISOString();
+    activeGiveaways.persistItems(userId, 'winners', [winner]);
+    
+    broadcastToUser(userId, { type: 'winner_expired', reason, winner });
+    console.log(`⌛ Winner ${winner.username} ${winner.status} for ${userId}`);
+    
+    const autoReroll = reason === 'rerolled' || (giveaway.claimSettings && giveaway.claimSettings.autoReroll);
+    if (!autoReroll) {
+        return { winner, replacement: null };
+    }
+    
+    const result = drawWinners(userId, giveaway, 1, 'reroll');
+    if (!result) {
+        broadcastToUser(userId, { type: 'reroll_failed', reason: 'No eligible entries left' });
+        console.log(`No eligible entries left to reroll for ${userId}`);
+    }
+    
+    return { winner, replacement: result ? result.winners[0] : null };
+}
+
+// Claim by winner ID or by the winning viewer's Twitch user ID
+function claimWinner(userId, { winnerId, viewerId }) {
+    const giveaway = activeGiveaways.get(userId);
+    const winner = giveaway && (giveaway.winners || []).find(w =>
+        w.status === 'pending' && (w.id === winnerId || w.user_id === viewerId)
+    );
+    if (!winner) {
+        return null;
+    }
+    
+    clearTimeout(claimTimers.get(winner.id));
+    claimTimers.delete(winner.id);
+    
+    winner.status = 'claimed';
+    winner.claimedAt = new Date().toISOString();
+    activeGiveaways.persistItems(userId, 'winners', [winner]);
+    
+    broadcastToUser(userId, { type: 'winner_claimed', winner });
+    console.log(`✋ Winner ${winner.username} claimed their prize for ${userId}`);
+    announce(userId, () => chatCommands.claimAnnouncement(giveaway, winner));
+    
+    return winner;
+}
+
+// Pick up claim windows that were running before a restart or a change of leader
+function restoreClaimTimers() {
+    for (const [userId, giveaway] of activeGiveaways) {
+        restoreGiveawayClaimTimers(userId, giveaway);
+    }
+}
+
+function restoreGiveawayClaimTimers(userId, giveaway) {
+    for (const winner of giveaway.winners || []) {
+        if (winner.status === 'pending' && !claimTimers.has(winner.id)) {
+            scheduleClaimExpiry(userId, winner);
+        }
+    }
+}
+
+// Scheduled giveaways: one tick per second opens and closes due giveaways and
+// pushes countdowns. Everything lives on the persisted giveaway, so a restart
+// simply picks up where the schedule stands (opening late, or closing a
+// giveaway whose time ran out while the server was down).
+const SCHEDULER_INTERVAL_MS = 1000;
+const SCHEDULER_RETRY_MS = 30 * 1000;
+let schedulerTimer = null;
+
+function startScheduler() {
+    schedulerTimer = setInterval(runScheduler, SCHEDULER_INTERVAL_MS);
+}
+
+function runScheduler() {
+    const now = new Date();
+    
+    for (const [userId, giveaway] of activeGiveaways) {
+        // Winners drawn on other instances
+        restoreGiveawayClaimTimers(userId, giveaway);
+        
+        const schedule = giveaway.schedule;
+        if (!schedule || schedulerBusy.has(userId) || schedulerRetries.get(userId) > now.getTime()) continue;
+        
+        const action = giveawaySchedule.dueAction(schedule, now);
+        if (action) {
+            runScheduledAction(userId, giveaway, action, 'time');
+            continue;
+        }
+        
+        // Entries added on other instances count towards the cap too
+        if (checkEntryCap(userId, giveaway)) continue;
+        
+        // Dashboards may be connected to any instance, so countdowns always go out
+        const countdown = giveawaySchedule.countdown(schedule, now);
+        if (countdown) {
+            broadcastToUser(userId, { type: 'giveaway_countdown', ...countdown });
+        }
+    }
+}
+
+async function runScheduledAction(userId, giveaway, action, reason) {
+    schedulerBusy.add(userId);
+    const schedule = giveaway.schedule;
+    
     try {
-        event = JSON.parse(req.body);
+        if (action === 'missed') {
+            // The whole window passed while the server was down
+            endSchedule(userId, giveaway, 'closed', 'missed');
+        } else if (action === 'open') {
+            if (await setGiveawayOpen(userId, giveaway.rewardId, true)) {
+                schedule.status = 'open';
+                schedule.openedAt = new Date().toISOString();
+                activeGiveaways.persist(userId);
+                broadcastSchedule(userId, giveaway);
+                console.log(`⏰ Scheduled giveaway opened for ${userId}`);
+            }
+        } else if (action === 'close') {
+            await setGiveawayOpen(userId, giveaway.rewardId, false);
+            endSchedule(userId, giveaway, 'closed', reason);
+            console.log(`⏰ Scheduled giveaway closed for ${userId} (${reason})`);
+            
+            if (schedule.autoDraw) {
+                runScheduledDraw(userId, giveaway);
+            }
+        }
+        schedulerRetries.delete(userId);
     } catch (error) {
-        console.log('Invalid JSON in webhook');
-        return res.status(400).send('Invalid JSON');
+        console.error(`Scheduled ${action} failed for ${userId}:`, error.message);
+        schedule.lastError = error.message;
+        activeGiveaways.persist(userId);
+        schedulerRetries.set(userId, Date.now() + SCHEDULER_RETRY_MS);
+    } finally {
+        schedulerBusy.delete(userId);
+    }
+}
+
+// Stop the schedule for good ('closed' or 'canceled')
+function endSchedule(userId, giveaway, status, reason) {
+    const schedule = giveaway.schedule;
+    schedule.status = status;
+    schedule.closedAt = new Date().toISOString();
+    schedule.closeReason = reason;
+    activeGiveaways.persist(userId);
+    broadcastSchedule(userId, giveaway);
+}
+
+function runScheduledDraw(userId, giveaway) {
+    const { winners, claimWindowSeconds, autoReroll } = giveaway.schedule.autoDraw;
+    giveaway.claimSettings = { windowSeconds: claimWindowSeconds, autoReroll };
+    
+    let result = null;
+    let reason = 'No entries to draw from';
+    try {
+        result = giveaway.entries.length > 0 ? drawWinners(userId, giveaway, winners, 'scheduled') : null;
+    } catch (error) {
+        console.error(`Scheduled draw failed for ${userId}:`, error);
+        reason = error.message;
     }
     
-    // Handle different message types
-    switch (messageType) {
-        case 'webhook_callback_verification':
-            console.log('✅ Webhook verification challenge received');
-            return res.status(200).send(event.challenge);
-            
-        case 'notification':
-            handleEventNotification(event);
-            break;
-            
-        case 'revocation':
-            handleSubscriptionRevocation(event);
-            break;
-            
-        default:
-            console.log('Unknown webhook message type:', messageType);
+    giveaway.schedule.drawId = result ? result.draw.id : null;
+    activeGiveaways.persist(userId);
+    
+    if (!result) {
+        console.log(`Scheduled draw for ${userId} skipped: ${reason}`);
+        broadcastToUser(userId, {
+            type: 'scheduled_draw_skipped',
+            reason
+        });
+    }
+}
+
+// Close as soon as the entry cap is hit instead of waiting for the next tick. Only the leader
+// closes; entries that land on other instances are caught by its scheduler a moment later.
+function checkEntryCap(userId, giveaway) {
+    const schedule = giveaway.schedule;
+    if (leaderLock.isLeader && schedule && schedule.status === 'open' && schedule.maxEntries > 0
+        && giveaway.entries.length >= schedule.maxEntries && !schedulerBusy.has(userId)) {
+        runScheduledAction(userId, giveaway, 'close', 'entry_cap');
+        return true;
+    }
+    return false;
+}
+
+function broadcastSchedule(userId, giveaway) {
+    broadcastToUser(userId, {
+        type: 'giveaway_schedule',
+        schedule: giveaway.schedule,
+        countdown: giveawaySchedule.countdown(giveaway.schedule)
+    });
+}
+
+// Schedule the current giveaway to open (and optionally close and draw) on its own
+app.post('/api/giveaway/:userId/schedule', auth.requireChannelRole('control'), auth.requireCsrf, (req, res) => {
+    const userId = req.params.userId;
+    
+    const giveaway = activeGiveaways.get(userId);
+    if (!giveaway || giveaway.rewardDeletedAt) {
+        return res.status(404).json({ error: 'Giveaway not found' });
+    }
+    
+    if (schedulerBusy.has(userId)) {
+        return res.status(409).json({ error: 'The giveaway is opening or closing right now, try again in a moment' });
+    }
+    
+    let schedule;
+    try {
+        schedule = giveawaySchedule.normalizeSchedule(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
+    if (schedule.autoDraw && schedule.autoDraw.winners > MAX_WINNERS_PER_DRAW) {
+        return res.status(400).json({ error: `winners must be a whole number from 1 to ${MAX_WINNERS_PER_DRAW}` });
+    }
+    
+    giveaway.schedule = schedule;
+    schedulerRetries.delete(userId);
+    activeGiveaways.persist(userId);
+    broadcastSchedule(userId, giveaway);
+    
+    console.log(`⏰ Giveaway scheduled for ${userId}: opens ${schedule.opensAt}${schedule.closesAt ? `, closes ${schedule.closesAt}` : ''}`);
+    audit(req, 'giveaway.schedule', { giveaway_id: giveaway.id, opens_at: schedule.opensAt, closes_at: schedule.closesAt });
+    
+    res.json({ success: true, schedule, countdown: giveawaySchedule.countdown(schedule) });
+});
+
+// Current schedule and countdown, e.g. for an overlay timer
+app.get('/api/giveaway/:userId/schedule', auth.requireChannelAccess('stats'), (req, res) => {
+    const giveaway = activeGiveaways.get(req.params.userId);
+    
+    if (!giveaway) {
+        return res.status(404).json({ error: 'Giveaway not found' });
+    }
+    
+    res.json({
+        schedule: giveaway.schedule || null,
+        countdown: giveaway.schedule ? giveawaySchedule.countdown(giveaway.schedule) : null,
+        server_time: new Date().toISOString()
+    });
+});
+
+// Cancel the schedule; the reward stays as it is (close it with /api/rewards/disable)
+app.delete('/api/giveaway/:userId/schedule', auth.requireChannelRole('control'), auth.requireCsrf, (req, res) => {
+    const userId = req.params.userId;
+    
+    const giveaway = activeGiveaways.get(userId);
+    if (!giveaway || !giveaway.schedule || !['scheduled', 'open'].includes(giveaway.schedule.status)) {
+        return res.status(404).json({ error: 'No pending schedule' });
+    }
+    
+    endSchedule(userId, giveaway, 'canceled', 'manual');
+    audit(req, 'giveaway.schedule_cancel', { giveaway_id: giveaway.id });
+    res.json({ success: true, schedule: giveaway.schedule });
+});
+
+// Draw one or more winners server-side using the committed seed
+app.post('/api/giveaway/:userId/draw', auth.requireChannelRole('draw'), auth.requireCsrf, (req, res) => {
+    const userId = req.params.userId;
+    const { session } = req.auth;
+    const count = req.body.winners === undefined ? 1 : Number(req.body.winners);
+    const windowSeconds = req.body.claim_window_seconds === undefined ? 0 : Number(req.body.claim_window_seconds);
+    
+    if (req.auth.userId !== userId) {
+        return res.status(403).json({ error: 'Not allowed to draw for this channel' });
+    }
+    
+    if (!Number.isInteger(count) || count < 1 || count > MAX_WINNERS_PER_DRAW) {
+        return res.status(400).json({ error: `winners must be a whole number from 1 to ${MAX_WINNERS_PER_DRAW}` });
+    }
+    
+    if (!Number.isInteger(windowSeconds) || windowSeconds < 0) {
+        return res.status(400).json({ error: 'claim_window_seconds must be a whole number (0 = no claim needed)' });
+    }
+    
+    const giveaway = activeGiveaways.get(userId);
+    if (!giveaway) {
+        return res.status(404).json({ error: 'Giveaway not found' });
+    }
+    
+    // Entries arriving after the seed is revealed would not be covered by the commitment
+    if (giveaway.isActive) {
+        return res.status(409).json({ error: 'Close the giveaway before drawing' });
+    }
+    
+    if (giveaway.entries.length === 0) {
+        return res.status(400).json({ error: 'No entries to draw from' });
+    }
+    
+    // Rerolls after a missed claim reuse these settings
+    giveaway.claimSettings = {
+        windowSeconds,
+        autoReroll: windowSeconds > 0 && req.body.auto_reroll !== false
+    };
+    
+    const result = drawWinners(userId, giveaway, count, 'draw');
+    if (!result) {
+        return res.status(400).json({ error: 'No eligible entries left to draw from' });
+    }
+    
+    const { draw, winners } = result;
+    console.log(`🏆 ${winners.length} winner(s) drawn for ${session.userInfo.display_name} from ${draw.entryCount} entries`);
+    audit(req, 'winners.draw', { giveaway_id: giveaway.id, draw_id: draw.id, winners: winners.map(w => w.username) });
+    
+    res.json({
+        success: true,
+        draw_id: draw.id,
+        winners,
+        winner: winners[0],
+        winner_index: draw.winnerIndex,
+        entry_count: draw.entryCount,
+        entries_hash: draw.entriesHash,
+        seed: draw.seed,
+        commitment: draw.commitment,
+        drawn_at: draw.drawnAt,
+        next_commitment: giveaway.commitment.commitment
+    });
+});
+
+// Current winners and their claim state
+app.get('/api/giveaway/:userId/winners', auth.requireChannelAccess('stats'), (req, res) => {
+    const giveaway = activeGiveaways.get(req.params.userId);
+    
+    if (!giveaway) {
+        return res.status(404).json({ error: 'Giveaway not found' });
+    }
+    
+    res.json({
+        claimSettings: giveaway.claimSettings || null,
+        winners: giveaway.winners || []
+    });
+});
+
+// Streamer confirms a winner showed up
+app.post('/api/giveaway/:userId/winners/:winnerId/claim', auth.requireChannelRole('draw'), auth.requireCsrf, (req, res) => {
+    const userId = req.params.userId;
+    
+    const winner = claimWinner(userId, { winnerId: req.params.winnerId });
+    if (!winner) {
+        return res.status(404).json({ error: 'No pending winner with that ID' });
+    }
+    
+    audit(req, 'winner.claim', { winner_id: winner.id, username: winner.username });
+    res.json({ success: true, winner });
+});
+
+// Replace a winner (e.g. AFK) with a fresh, verifiable draw
+app.post('/api/giveaway/:userId/winners/:winnerId/reroll', auth.requireChannelRole('draw'), auth.requireCsrf, (req, res) => {
+    const userId = req.params.userId;
+    
+    const result = expireWinner(userId, req.params.winnerId, 'rerolled');
+    if (!result) {
+        return res.status(404).json({ error: 'No pending winner with that ID' });
+    }
+    
+    audit(req, 'winner.reroll', {
+        winner_id: result.winner.id,
+        username: result.winner.username,
+        replacement: result.replacement ? result.replacement.username : null
+    });
+    res.json({ success: true, rerolled: result.winner, replacement: result.replacement });
+});
+
+// Public verification: returns every input of a draw and recomputes the result.
+// Entries are published with pseudonymous IDs only (see fairDraw.publicEntries).
+app.get('/api/giveaway/:userId/draws/:drawId/verify', (req, res) => {
+    const giveaway = userGiveaways(req.params.userId).find(g => g.draws.some(d => d.id === req.params.drawId));
+    const draw = giveaway && giveaway.draws.find(d => d.id === req.params.drawId);
+    
+    if (!draw) {
+        return res.status(404).json({ error: 'Draw not found' });
+    }
+    
+    // Draws from before pseudonymous entries hold raw viewer data, so only the server's
+    // own check of them is published
+    const legacy = !draw.version;
+    const publicPick = ({ round, winnerIndex, winner }) => (legacy ? { round, winnerIndex } : { round, winnerIndex, winner });
+    const verification = fairDraw.verify(draw);
+    
+    res.json({
+        draw: {
+            id: draw.id,
+            version: draw.version || 1,
+            seed: draw.seed,
+            commitment: draw.commitment,
+            committedAt: draw.committedAt,
+            entriesHash: draw.entriesHash,
+            entryCount: draw.entryCount,
+            excludedUsers: legacy ? null : draw.excludedUsers,
+            winnerIndex: draw.winnerIndex,
+            winner: legacy ? null : draw.winner,
+            winners: (draw.winners || []).map(publicPick),
+            drawnAt: draw.drawnAt,
+            entries: legacy ? null : draw.entries
+        },
+        verification: {
+            ...verification,
+            winner: legacy ? null : verification.winner,
+            winners: verification.winners.map(publicPick)
+        }
+    });
+});
+
+// Fulfill winners' redemptions and optionally refund everyone else (held redemptions only).
+// giveaway_id picks an archived giveaway; the current one is the default.
+app.post('/api/giveaway/:userId/redemptions/settle', auth.requireAuth, auth.requireCsrf, (req, res) => {
+    const userId = req.params.userId;
+    const refundOthers = req.body.refund_others === true;
+    const giveawayId = req.body.giveaway_id || 'current';
+    
+    if (req.auth.userId !== userId) {
+        return res.status(403).json({ error: 'Not allowed to settle redemptions for this channel' });
+    }
+    
+    const giveaway = giveawayId === 'current'
+        ? activeGiveaways.get(userId)
+        : userGiveaways(userId).find(g => g.id === giveawayId);
+    if (!giveaway) {
+        return res.status(404).json({ error: 'Giveaway not found' });
     }
     
-    const processingTime = Date.now() - startTime;
-    console.log(`Webhook processed in ${processingTime}ms`);
-    res.status(200).send('OK');
+    if (!giveaway.holdRedemptions) {
+        return res.status(400).json({ error: 'Redemptions were not held for this giveaway' });
+    }
+    
+    if (giveaway.rewardDeletedAt) {
+        return res.status(400).json({ error: 'The reward was deleted, so its redemptions can no longer be settled' });
+    }
+    
+    if (settlingGiveaways.has(userId)) {
+        return res.status(409).json({ error: 'Redemptions are already being settled' });
+    }
+    
+    // Every ticket a winner bought is fulfilled, not only the one that was drawn
+    const winnerIds = new Set((giveaway.winners || [])
+        .filter(w => ACTIVE_WINNER_STATUSES.includes(w.status))
+        .map(w => w.user_id));
+    const pending = giveaway.entries.filter(e => e.redemption_status === 'UNFULFILLED');
+    const toFulfill = pending.filter(e => winnerIds.has(e.user_id));
+    const toCancel = refundOthers ? pending.filter(e => !winnerIds.has(e.user_id)) : [];
+    
+    audit(req, 'redemptions.settle', { giveaway_id: giveaway.id, fulfilling: toFulfill.length, canceling: toCancel.length });
+    res.status(202).json({
+        success: true,
+        fulfilling: toFulfill.length,
+        canceling: toCancel.length
+    });
+    
+    settleRedemptions(userId, giveaway, toFulfill, toCancel);
 });
 
-// Handle EventSub notifications
-function handleEventNotification(event) {
-    const eventData = event.event;
-    const subscriptionType = event.subscription.type;
+// Runs after the response; progress goes out over SSE
+async function settleRedemptions(userId, giveaway, toFulfill, toCancel) {
+    settlingGiveaways.add(userId);
     
-    if (subscriptionType === 'channel.channel_points_custom_reward_redemption.add') {
-        const userId = eventData.broadcaster_user_id;
-        const giveaway = activeGiveaways.get(userId);
-        const session = userSessions.get(userId);
-        
-        if (!giveaway || !session) {
-            console.log(`No active giveaway found for user ${userId}`);
-            return;
-        }
-        
-        // Check if this is for the current giveaway reward
-        if (eventData.reward.id !== giveaway.rewardId) {
-            console.log(`Redemption for different reward: ${eventData.reward.id}`);
-            return;
+    const results = {};
+    const onBatch = progress => broadcastToUser(userId, { type: 'redemptions_progress', ...progress });
+    
+    try {
+        for (const [status, entries] of [['FULFILLED', toFulfill], ['CANCELED', toCancel]]) {
+            if (entries.length === 0) continue;
+            
+            const result = await updateRedemptionStatus({
+                helix,
+                userId,
+                rewardId: giveaway.rewardId,
+                redemptionIds: entries.map(e => e.redemption_id),
+                status,
+                onBatch
+            });
+            
+            const updated = new Set(result.updated);
+            const changed = entries.filter(e => updated.has(e.redemption_id));
+            changed.forEach(e => { e.redemption_status = status; });
+            persistGiveaway(userId, giveaway, { entries: changed });
+            
+            results[status] = result;
         }
         
-        // Add entry to giveaway
-        const entry = {
-            username: eventData.user_name,
-            user_id: eventData.user_id,
-            redemption_id: eventData.id,
-            reward_id: eventData.reward.id,
-            reward_cost: eventData.reward.cost,
-            redeemed_at: eventData.redeemed_at
+        const summary = {
+            fulfilled: results.FULFILLED ? results.FULFILLED.updated.length : 0,
+            canceled: results.CANCELED ? results.CANCELED.updated.length : 0,
+            failed: Object.values(results).reduce((sum, r) => sum + r.failed.length, 0)
         };
         
-        giveaway.entries.push(entry);
-        
-        // Broadcast to user's frontend
-        broadcastToUser(userId, {
-            type: 'giveaway_entry',
-            ...entry
-        });
+        broadcastToUser(userId, { type: 'redemptions_settled', ...summary });
+        console.log(`✅ Redemptions settled for ${userId}: ${summary.fulfilled} fulfilled, ${summary.canceled} refunded, ${summary.failed} failed`);
         
-        console.log(`🎉 New giveaway entry for ${session.userInfo.display_name}: ${eventData.user_name}`);
+    } catch (error) {
+        console.error('Redemption settlement error:', error);
+        broadcastToUser(userId, { type: 'redemptions_settled', error: error.message });
+    } finally {
+        settlingGiveaways.delete(userId);
     }
 }
 
-// Handle subscription revocations
-function handleSubscriptionRevocation(event) {
-    console.log('⚠️ Subscription revoked:', event.subscription.id);
-    
-    // Find user with this subscription and notify them
-    for (const [userId, session] of userSessions) {
-        if (session.subscriptionId === event.subscription.id) {
-            broadcastToUser(userId, {
-                type: 'subscription_revoked',
-                reason: event.subscription.status
-            });
-            break;
+// Save list items changed in place ({ field: [items] }), wherever the giveaway lives by now
+// (current or archived). Archived giveaways keep their lists inline.
+function persistGiveaway(userId, giveaway, changed) {
+    if (activeGiveaways.get(userId) === giveaway) {
+        for (const [field, items] of Object.entries(changed)) {
+            activeGiveaways.persistItems(userId, field, items);
         }
+    } else if (giveawayHistory.has(giveaway.id)) {
+        giveawayHistory.persist(giveaway.id);
     }
 }
 
-// Get giveaway stats for specific user
-app.get('/api/giveaway/:userId/stats', (req, res) => {
-    const userId = req.params.userId;
+// Move the user's current giveaway into the history
+function archiveGiveaway(userId, { deleteReward = false, keepRewardId = null } = {}) {
     const giveaway = activeGiveaways.get(userId);
-    
     if (!giveaway) {
-        return res.status(404).json({ error: 'Giveaway not found' });
+        return null;
     }
     
-    const uniqueUsers = new Set(giveaway.entries.map(e => e.username));
-    const totalPoints = giveaway.entries.reduce((sum, e) => sum + (e.reward_cost || 0), 0);
+    if (deleteReward && giveaway.rewardId && giveaway.rewardId !== keepRewardId && !giveaway.rewardDeletedAt) {
+        deleteArchivedReward(userId, giveaway);
+    }
     
-    res.json({
+    // Claim windows end with the giveaway
+    for (const winner of giveaway.winners || []) {
+        clearTimeout(claimTimers.get(winner.id));
+        claimTimers.delete(winner.id);
+    }
+    
+    const now = new Date().toISOString();
+    const archived = {
+        ...giveaway,
+        userId,
+        isActive: false,
+        endedAt: giveaway.endedAt || now,
+        archivedAt: now
+    };
+    
+    // The unused seed for the next draw is never revealed
+    delete archived.commitment;
+    
+    giveawayHistory.set(archived.id, archived);
+    activeGiveaways.delete(userId);
+    
+    console.log(`📦 Giveaway archived for ${userId}: ${archived.title || archived.id}`);
+    return archived;
+}
+
+// Runs in the background; a failure only leaves a stale reward behind
+function deleteArchivedReward(userId, giveaway) {
+    // Deleting the reward would make held redemptions impossible to refund
+    const unsettled = giveaway.holdRedemptions && giveaway.entries.some(e => e.redemption_status === 'UNFULFILLED');
+    if (unsettled) {
+        console.log(`Keeping reward ${giveaway.rewardId}: it still has unsettled redemptions`);
+        return;
+    }
+    
+    rewards.deleteReward({
+        helix,
+        userId,
+        rewardId: giveaway.rewardId
+    })
+        .then(deleted => deleted && console.log(`🗑️ Reward ${giveaway.rewardId} deleted with its archived giveaway`))
+        .catch(error => console.error(`Could not delete reward ${giveaway.rewardId}:`, error.message));
+}
+
+// Current giveaway first, then the archive, newest first
+function userGiveaways(userId) {
+    const archived = Array.from(giveawayHistory.values())
+        .filter(g => g.userId === userId)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    const current = activeGiveaways.get(userId);
+    return current ? [current, ...archived] : archived;
+}
+
+function giveawaySummary(giveaway) {
+    return {
+        id: giveaway.id,
+        title: giveaway.title || null,
+        prize: giveaway.prize || null,
+        isCurrent: !giveaway.archivedAt,
         isActive: giveaway.isActive,
+        rewardId: giveaway.rewardId,
+        createdAt: giveaway.createdAt,
+        startedAt: giveaway.startedAt || null,
+        endedAt: giveaway.endedAt || null,
+        archivedAt: giveaway.archivedAt || null,
         totalEntries: giveaway.entries.length,
-        uniqueUsers: uniqueUsers.size,
-        totalPointsSpent: totalPoints,
-        entries: giveaway.entries.slice(-20) // Last 20 entries
+        uniqueUsers: new Set(giveaway.entries.map(e => e.user_id)).size,
+        totalRejected: (giveaway.rejectedEntries || []).length,
+        winners: (giveaway.winners || []).map(w => ({
+            user_id: w.user_id,
+            username: w.username,
+            status: w.status,
+            drawnAt: w.drawnAt
+        }))
+    };
+}
+
+// Paginated giveaway history; ?viewer= finds giveaways a viewer won
+app.get('/api/giveaways/:userId', auth.requireChannelAccess('stats'), (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const viewer = (req.query.viewer || '').toLowerCase();
+    
+    let giveaways = userGiveaways(req.params.userId);
+    if (viewer) {
+        giveaways = giveaways.filter(g => (g.winners || []).some(w =>
+            w.user_id === viewer || w.username.toLowerCase() === viewer
+        ));
+    }
+    
+    res.json({
+        total: giveaways.length,
+        limit,
+        offset,
+        giveaways: giveaways.slice(offset, offset + limit).map(giveawaySummary)
+    });
+});
+
+app.get('/api/giveaways/:userId/:giveawayId', auth.requireChannelAccess('stats'), (req, res) => {
+    const giveaway = userGiveaways(req.params.userId).find(g => g.id === req.params.giveawayId);
+    
+    if (!giveaway) {
+        return res.status(404).json({ error: 'Giveaway not found' });
+    }
+    
+    res.json({
+        ...giveawaySummary(giveaway),
+        entryConfig: giveaway.entryConfig || null,
+        eligibility: giveaway.eligibility || null,
+        holdRedemptions: !!giveaway.holdRedemptions,
+        entries: giveaway.entries,
+        rejectedEntries: giveaway.rejectedEntries || [],
+        winners: giveaway.winners || [],
+        draws: giveaway.draws.map(d => ({
+            id: d.id,
+            reason: d.reason || 'draw',
+            drawnAt: d.drawnAt,
+            entryCount: d.entryCount,
+            entriesHash: d.entriesHash,
+            commitment: d.commitment,
+            seed: d.seed
+        }))
+    });
+});
+
+// Full entrant list and winners for prize fulfillment; giveawayId may be "current"
+app.get('/api/giveaways/:userId/:giveawayId/export', auth.requireChannelAccess('stats'), (req, res) => {
+    const { userId, giveawayId } = req.params;
+    const format = req.query.format || 'csv';
+    
+    if (!['csv', 'json'].includes(format)) {
+        return res.status(400).json({ error: 'Invalid format. Use csv or json.' });
+    }
+    
+    const giveaway = giveawayId === 'current'
+        ? activeGiveaways.get(userId)
+        : userGiveaways(userId).find(g => g.id === giveawayId);
+    
+    if (!giveaway) {
+        return res.status(404).json({ error: 'Giveaway not found' });
+    }
+    
+    const fileName = `giveaway-${giveaway.id}.${format}`;
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    
+    const stream = format === 'csv'
+        ? giveawayExport.streamCsv(res, giveaway)
+        : giveawayExport.streamJson(res, giveaway, giveawaySummary(giveaway));
+    stream.catch(error => {
+        console.error(`Export of ${giveaway.id} failed:`, error);
+        res.destroy();
     });
 });
 
@@ -632,15 +2939,315 @@ app.get('/api/stats', (req, res) => {
     });
 });
 
+// Subscription health for one broadcaster; WebSocket health comes from the live socket
+function subscriptionHealth(userId) {
+    const session = userSessions.get(userId);
+    
+    if (session.transport === 'websocket') {
+        const client = eventSubSockets.get(userId);
+        return {
+            userId,
+            transport: 'websocket',
+            status: client && client.connected ? 'healthy' : 'disconnected',
+            subscriptionId: session.subscriptionId || null,
+            sessionId: client ? client.sessionId : null
+        };
+    }
+    
+    return subscriptionReconciler.health.get(userId) || {
+        userId,
+        transport: 'webhook',
+        status: session.subscriptionId ? 'unchecked' : 'not_subscribed',
+        subscriptionId: session.subscriptionId || null
+    };
+}
+
+// Admin: subscription health for every broadcaster
+app.get('/api/admin/subscriptions', auth.requireAdmin, (req, res) => {
+    res.json({
+        last_reconcile: subscriptionReconciler.lastRun,
+        users: Array.from(userSessions.keys()).map(subscriptionHealth)
+    });
+});
+
+app.get('/api/admin/subscriptions/:userId', auth.requireAdmin, (req, res) => {
+    if (!userSessions.has(req.params.userId)) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.json(subscriptionHealth(req.params.userId));
+});
+
+// Admin: run the reconciler now instead of waiting for the schedule
+app.post('/api/admin/subscriptions/reconcile', auth.requireAdmin, async (req, res) => {
+    try {
+        const result = await subscriptionReconciler.reconcileAll();
+        res.json({
+            ...result,
+            users: Array.from(userSessions.keys()).map(subscriptionHealth)
+        });
+    } catch (error) {
+        console.error('Subscription reconcile error:', error);
+        sendError(res, error);
+    }
+});
+
+// Operator actions show up in the channel's activity log as this actor
+const ADMIN_ACTOR = { user_id: 'admin', login: 'admin', display_name: 'Service operator', role: 'admin' };
+
+// Admin: one broadcaster at a glance. Live connections are counted on this instance only.
+function tenantSummary(userId, archivedCount) {
+    const session = userSessions.get(userId);
+    const giveaway = activeGiveaways.get(userId);
+    const browserSessions = auth.listSessions(userId);
+    const lastAudit = auditLog.list(userId, { limit: 1 })[0];
+    const lastEntry = giveaway && giveaway.entries[giveaway.entries.length - 1];
+    
+    const activity = [
+        session.createdAt,
+        lastAudit && lastAudit.at,
+        lastEntry && lastEntry.redeemed_at,
+        ...browserSessions.map(browserSession => browserSession.lastSeenAt)
+    ].filter(Boolean).map(at => new Date(at).getTime()).filter(Number.isFinite);
+    
+    return {
+        user_id: userId,
+        login: session.userInfo.login,
+        display_name: session.userInfo.display_name,
+        signed_in_at: session.createdAt || null,
+        last_activity_at: activity.length > 0 ? new Date(Math.max(...activity)).toISOString() : null,
+        needs_reauth: !!session.needsReauth,
+        banned: bannedTenants.get(userId) || null,
+        browser_sessions: browserSessions.length,
+        live_connections: (userConnections.get(userId) || new Set()).size,
+        giveaway: giveaway ? giveawaySummary(giveaway) : null,
+        archived_giveaways: archivedCount,
+        subscription: subscriptionHealth(userId),
+        chat_enabled: chatCommands.chatSettings(session).enabled
+    };
+}
+
+function archivedCounts() {
+    const counts = new Map();
+    for (const giveaway of giveawayHistory.values()) {
+        counts.set(giveaway.userId, (counts.get(giveaway.userId) || 0) + 1);
+    }
+    return counts;
+}
+
+// Sign the user out everywhere and close their live feeds, on their own channel and on the
+// channels they moderate
+function revokeUserAccess(userId) {
+    const revoked = auth.revokeSessions(userId);
+    broadcastToUser(userId, { type: 'access_revoked', owner: true });
+    
+    for (const channel of auth.moderatedChannels(userId)) {
+        broadcastToUser(channel.channel_id, { type: 'access_revoked', moderator_id: userId });
+    }
+    return revoked;
+}
+
+// Stop everything that runs for a channel: giveaway, EventSub, chat. The session is left
+// needing a new sign-in, so nothing restarts and no Twitch call is made for it.
+async function suspendChannel(userId) {
+    const session = userSessions.get(userId);
+    if (!session) return;
+    
+    const giveaway = activeGiveaways.get(userId);
+    if (giveaway && giveaway.isActive) {
+        await setGiveawayOpen(userId, giveaway.rewardId, false)
+            .catch(error => console.error(`Could not close the giveaway for ${userId}:`, error.message));
+    }
+    if (giveaway && giveaway.schedule && ['scheduled', 'open'].includes(giveaway.schedule.status)) {
+        endSchedule(userId, giveaway, 'canceled', 'banned');
+    }
+    
+    // Twitch keeps sending webhook notifications until the subscription is deleted
+    if (session.subscriptionId && (session.transport || 'webhook') === 'webhook') {
+        await subscriptionReconciler.deleteSubscription(session.subscriptionId)
+            .catch(error => console.error(`Could not delete subscription for ${userId}:`, error.message));
+    }
+    onLeader(userId, 'stop_eventsub_ws');
+    onLeader(userId, 'stop_chat');
+    
+    session.subscriptionId = null;
+    session.needsReauth = true;
+    userSessions.persist(userId);
+}
+
+// Everything stored about a broadcaster (GDPR erasure). A ban, if any, is kept so it stays enforced.
+async function deleteUserData(userId) {
+    const session = userSessions.get(userId);
+    if (session && session.subscriptionId && (session.transport || 'webhook') === 'webhook') {
+        await subscriptionReconciler.deleteSubscription(session.subscriptionId)
+            .catch(error => console.error(`Could not delete subscription for ${userId}:`, error.message));
+    }
+    onLeader(userId, 'stop_eventsub_ws');
+    onLeader(userId, 'stop_chat');
+    
+    revokeUserAccess(userId);
+    auth.revokeAllReadTokens(userId);
+    broadcastToUser(userId, { type: 'access_revoked', all: true });
+    
+    const giveaway = activeGiveaways.get(userId);
+    for (const winner of (giveaway && giveaway.winners) || []) {
+        clearTimeout(claimTimers.get(winner.id));
+        claimTimers.delete(winner.id);
+    }
+    
+    userSessions.delete(userId);
+    activeGiveaways.delete(userId);
+    overlayThemes.delete(userId);
+    channelModerators.delete(userId);
+    auditLog.delete(userId);
+    for (const hook of outboundHooks.get(userId) || []) {
+        webhookDispatcher.forgetHook(userId, hook.id);
+    }
+    outboundHooks.delete(userId);
+    webhookDeliveries.delete(userId);
+    schedulerRetries.delete(userId);
+    
+    for (const [giveawayId, archived] of Array.from(giveawayHistory)) {
+        if (archived.userId === userId) {
+            giveawayHistory.delete(giveawayId);
+        }
+    }
+    
+    // Their place on other channels' moderator lists
+    for (const [channelId, moderators] of Array.from(channelModerators)) {
+        if (moderatorRules.findModerator(moderators, userId)) {
+            channelModerators.set(channelId, moderators.filter(m => m.user_id !== userId));
+        }
+    }
+}
+
+// Admin: every broadcaster, most recently active first (?q= matches login or ID)
+app.get('/api/admin/users', auth.requireAdmin, (req, res) => {
+    const query = String(req.query.q || '').toLowerCase();
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const counts = archivedCounts();
+    
+    const users = Array.from(userSessions.keys())
+        .filter(userId => !query || userId === query || userSessions.get(userId).userInfo.login.toLowerCase().includes(query))
+        .map(userId => tenantSummary(userId, counts.get(userId) || 0))
+        .sort((a, b) => new Date(b.last_activity_at || 0) - new Date(a.last_activity_at || 0));
+    
+    res.json({
+        total: users.length,
+        limit,
+        offset,
+        users: users.slice(offset, offset + limit)
+    });
+});
+
+app.get('/api/admin/users/:userId', auth.requireAdmin, (req, res) => {
+    const { userId } = req.params;
+    if (!userSessions.has(userId)) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.json({
+        ...tenantSummary(userId, archivedCounts().get(userId) || 0),
+        sessions: auth.listSessions(userId),
+        read_tokens: auth.listReadTokens(userId).map(({ id, label, scopes, createdAt, lastUsedAt }) => ({ id, label, scopes, createdAt, lastUsedAt })),
+        moderators: channelModerators.get(userId) || [],
+        moderates: auth.moderatedChannels(userId),
+        outbound_webhooks: (outboundHooks.get(userId) || []).length,
+        giveaways: userGiveaways(userId).map(giveawaySummary),
+        recent_activity: auditLog.list(userId, { limit: 20 })
+    });
+});
+
+// Admin: sign a broadcaster out of every browser; their Twitch connection keeps running
+app.post('/api/admin/users/:userId/revoke-sessions', auth.requireAdmin, (req, res) => {
+    const { userId } = req.params;
+    if (!userSessions.has(userId)) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const revoked = revokeUserAccess(userId);
+    auditLog.record(userId, ADMIN_ACTOR, 'admin.revoke_sessions', { revoked });
+    
+    res.json({ success: true, revoked });
+});
+
+// Admin: erase a broadcaster's data (GDPR); they can sign up again afterwards unless banned
+app.delete('/api/admin/users/:userId', auth.requireAdmin, async (req, res) => {
+    const { userId } = req.params;
+    if (!userSessions.has(userId)) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const login = userSessions.get(userId).userInfo.login;
+    await deleteUserData(userId);
+    
+    console.log(`🗑️ All data deleted for ${login} (${userId}) by the operator`);
+    res.json({ success: true });
+});
+
+app.get('/api/admin/bans', auth.requireAdmin, (req, res) => {
+    res.json({
+        bans: Array.from(bannedTenants.values()).sort((a, b) => new Date(b.banned_at) - new Date(a.banned_at))
+    });
+});
+
+// Admin: ban a channel. Its giveaway and Twitch connections stop, everyone is signed out,
+// overlays and moderators lose access, and signing in again is refused.
+app.post('/api/admin/bans', auth.requireAdmin, async (req, res) => {
+    const { user_id, reason } = req.body;
+    if (typeof user_id !== 'string' || !/^\d+$/.test(user_id)) {
+        return res.status(400).json({ error: 'user_id must be a Twitch user ID' });
+    }
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 500)) {
+        return res.status(400).json({ error: 'reason must be at most 500 characters' });
+    }
+    if (bannedTenants.has(user_id)) {
+        return res.status(409).json({ error: 'Already banned', ban: bannedTenants.get(user_id) });
+    }
+    
+    const session = userSessions.get(user_id);
+    const ban = {
+        user_id,
+        login: session ? session.userInfo.login : null,
+        display_name: session ? session.userInfo.display_name : null,
+        reason: reason || null,
+        banned_at: new Date().toISOString()
+    };
+    bannedTenants.set(user_id, ban);
+    
+    await suspendChannel(user_id);
+    revokeUserAccess(user_id);
+    broadcastToUser(user_id, { type: 'access_revoked', all: true });
+    
+    if (session) {
+        auditLog.record(user_id, ADMIN_ACTOR, 'admin.ban', { reason: ban.reason });
+    }
+    console.log(`⛔ Channel ${ban.login || user_id} banned${ban.reason ? `: ${ban.reason}` : ''}`);
+    
+    res.json({ success: true, ban });
+});
+
+// Admin: lift a ban; the broadcaster signs in again to pick up where they left off
+app.delete('/api/admin/bans/:userId', auth.requireAdmin, (req, res) => {
+    const { userId } = req.params;
+    if (!bannedTenants.has(userId)) {
+        return res.status(404).json({ error: 'Not banned' });
+    }
+    
+    bannedTenants.delete(userId);
+    if (userSessions.has(userId)) {
+        auditLog.record(userId, ADMIN_ACTOR, 'admin.unban', {});
+    }
+    console.log(`✅ Ban lifted for ${userId}`);
+    
+    res.json({ success: true });
+});
+
 // Development cleanup endpoint
 if (NODE_ENV === 'development') {
-    app.post('/api/cleanup/:userId', (req, res) => {
-        const userId = req.params.userId;
-        
-        userSessions.delete(userId);
-        activeGiveaways.delete(userId);
-        userConnections.delete(userId);
-        
+    app.post('/api/cleanup/:userId', async (req, res) => {
+        await deleteUserData(req.params.userId);
         res.json({ success: true, message: 'User data cleaned up' });
     });
 }
@@ -663,9 +3270,97 @@ app.use((req, res) => {
     });
 });
 
-// Start server
-const server = app.listen(PORT, '0.0.0.0', () => {
-    console.log(`
+// Background work of the leader instance; it also picks up whatever was running before a
+// restart or on a leader that went away
+function startBackgroundWork() {
+    restoreClaimTimers();
+    startScheduler();
+    webhookDispatcher.restorePending();
+    
+    // WebSocket subscriptions die with the connection, so open new ones
+    for (const [userId, session] of userSessions) {
+        if (session.transport === 'websocket' && session.rewardId && !session.needsReauth) {
+            startEventSubWebSocket(userId, session.rewardId)
+                .catch(error => console.error(`EventSub WebSocket restore failed for ${userId}:`, error.message));
+        }
+    }
+    
+    for (const [userId, session] of userSessions) {
+        if (chatCommands.chatSettings(session).enabled && !session.needsReauth) {
+            startChat(userId);
+        }
+    }
+    
+    // Restored tokens may have expired while the service was down
+    tokenManager.validateAll().catch(error => console.error('Initial token validation failed:', error));
+    tokenManager.start();
+    
+    // Webhook subscriptions may have been revoked or duplicated while we were down
+    if (TWITCH_CLIENT_ID && TWITCH_CLIENT_SECRET) {
+        subscriptionReconciler.reconcileAll().catch(error => console.error('Initial subscription reconcile failed:', error.message));
+        subscriptionReconciler.start();
+    }
+}
+
+function stopBackgroundWork() {
+    tokenManager.stop();
+    subscriptionReconciler.stop();
+    clearInterval(schedulerTimer);
+    webhookDispatcher.stop();
+    
+    for (const timer of claimTimers.values()) {
+        clearTimeout(timer);
+    }
+    claimTimers.clear();
+    
+    for (const userId of Array.from(eventSubSockets.keys())) {
+        stopEventSubWebSocket(userId);
+    }
+    
+    for (const userId of Array.from(chatClients.keys())) {
+        stopChat(userId);
+    }
+}
+
+// Start server once persisted state has been restored
+let server;
+let shuttingDown = false;
+
+async function startServer() {
+    await storage.init();
+    await eventBus.init();
+    await Promise.all([
+        userSessions.load(),
+        activeGiveaways.load(),
+        giveawayHistory.load(),
+        authSessions.load(),
+        readTokens.load(),
+        overlayThemes.load(),
+        channelModerators.load(),
+        auditEntries.load(),
+        outboundHooks.load(),
+        webhookDeliveries.load(),
+        bannedTenants.load()
+    ]);
+    
+    // Giveaways saved before they had their own IDs
+    for (const [userId, giveaway] of activeGiveaways) {
+        if (!giveaway.id) {
+            giveaway.id = crypto.randomUUID();
+            activeGiveaways.persist(userId);
+        }
+    }
+    
+    const restoredActive = Array.from(activeGiveaways.values()).filter(g => g.isActive).length;
+    console.log(`♻️ Restored ${userSessions.size} sessions and ${activeGiveaways.size} giveaways (${restoredActive} active)`);
+    
+    eventBus.subscribe(deliverEvent);
+    
+    // Starts the background work right away unless another instance already leads
+    await leaderLock.start();
+    
+    server = app.listen(PORT, '0.0.0.0', () => {
+        console.log(`
 🎉 Twitch Giveaway Service Started Successfully!
 ┌─────────────────────────────────────────────┐
 │  🌐 Port: ${PORT}                                 │
@@ -674,15 +3369,23 @@ const server = app.listen(PORT, '0.0.0.0', () => {
 │  📡 Webhook: /webhook/eventsub              │
 │  💻 Frontend: /                             │
 │  ❤️  Health: /health                         │
+│  🚦 Ready: /ready                           │
+│  📈 Metrics: /metrics                       │
 │  ⚙️  Config: /api/config                     │
 └─────────────────────────────────────────────┘
-    `);
-    
-    if (NODE_ENV === 'development') {
-        console.log(`🔗 Local URL: http://localhost:${PORT}`);
-    }
-    
-    console.log('✅ Ready to serve streamers!');
+        `);
+        
+        if (NODE_ENV === 'development') {
+            console.log(`🔗 Local URL: http://localhost:${PORT}`);
+        }
+        
+        console.log('✅ Ready to serve streamers!');
+    });
+}
+
+startServer().catch(error => {
+    console.error('❌ Failed to start server:', error);
+    process.exit(1);
 });
 
 // Graceful shutdown
@@ -691,6 +3394,9 @@ process.on('SIGINT', gracefulShutdown);
 
 function gracefulShutdown(signal) {
     console.log(`\n🛑 Received ${signal}. Shutting down gracefully...`);
+    shuttingDown = true;
+    
+    stopBackgroundWork();
     
     // Notify all connected users
     for (const [userId, connections] of userConnections) {
@@ -709,14 +3415,26 @@ function gracefulShutdown(signal) {
         }
     }
     
-    server.close((err) => {
-        if (err) {
-            console.error('Error during shutdown:', err);
-            process.exit(1);
-        }
-        console.log('✅ Server closed successfully');
-        process.exit(0);
-    });
+    // Flush persisted state first so live giveaways survive the restart; releasing the
+    // leader lock lets another instance take over the background work right away
+    Promise.all([leaderLock.stop(), eventBus.close()])
+        .then(() => storage.close())
+        .then(() => console.log('💾 Storage flushed'))
+        .catch(error => console.error('Error flushing storage:', error))
+        .finally(() => {
+            if (!server) {
+                process.exit(0);
+            }
+            
+            server.close((err) => {
+                if (err) {
+                    console.error('Error during shutdown:', err);
+                    process.exit(1);
+                }
+                console.log('✅ Server closed successfully');
+                process.exit(0);
+            });
+        });
     
     // Force exit after 10 seconds
     setTimeout(() => {
@@ -0,0 +1,135 @@
+// tests/PersistentMap.test.js - List fields stored item by item
+const assert = require('node:assert');
+const { test } = require('node:test');
+
+const { MemoryStorage, PersistentMap } = require('../lib/storage');
+
+const options = { lists: { entries: 'redemption_id' } };
+
+async function reload(storage) {
+    await storage.flush();
+    return new PersistentMap(storage, 'giveaways', options).load();
+}
+
+test('keeps list fields out of the stored object', async () => {
+    const storage = new MemoryStorage();
+    const giveaways = await reload(storage);
+
+    giveaways.set('u1', { id: 'g1', entries: [{ redemption_id: 'r1' }] });
+    giveaways.append('u1', 'entries', { redemption_id: 'r2' });
+
+    const [[, stored]] = await storage.load('giveaways');
+    assert.deepStrictEqual(stored, { id: 'g1' });
+    assert.deepStrictEqual((await reload(storage)).get('u1').entries.map(e => e.redemption_id), ['r1', 'r2']);
+});
+
+test('saves items changed in place', async () => {
+    const storage = new MemoryStorage();
+    const giveaways = await reload(storage);
+
+    giveaways.set('u1', { id: 'g1', entries: [{ redemption_id: 'r1', status: 'UNFULFILLED' }] });
+    const entry = giveaways.get('u1').entries[0];
+    entry.status = 'FULFILLED';
+    giveaways.persistItems('u1', 'entries', [entry]);
+
+    assert.strictEqual((await reload(storage)).get('u1').entries[0].status, 'FULFILLED');
+});
+
+test('a whole-object write does not drop entries appended elsewhere', async () => {
+    const storage = new MemoryStorage();
+    const first = await reload(storage);
+    first.set('u1', { id: 'g1', entries: [] });
+
+    // A second instance with its own copy of the giveaway
+    const second = await reload(storage);
+    first.append('u1', 'entries', { redemption_id: 'r1' });
+    second.append('u1', 'entries', { redemption_id: 'r2' });
+    second.get('u1').title = 'Renamed';
+    second.persist('u1');
+
+    const giveaway = (await reload(storage)).get('u1');
+    assert.strictEqual(giveaway.title, 'Renamed');
+    assert.deepStrictEqual(giveaway.entries.map(e => e.redemption_id), ['r1', 'r2']);
+});
+
+test('moves entries saved inside the object into their list', async () => {
+    const storage = new MemoryStorage();
+    await storage.set('giveaways', 'u1', { id: 'g1', entries: [{ redemption_id: 'r1' }] });
+
+    assert.deepStrictEqual((await reload(storage)).get('u1').entries, [{ redemption_id: 'r1' }]);
+    const [[, stored]] = await storage.load('giveaways');
+    assert.deepStrictEqual(stored, { id: 'g1' });
+    assert.deepStrictEqual(await storage.loadList('giveaways.entries', 'u1'), [{ redemption_id: 'r1' }]);
+});
+
+test('applies list changes from other instances once per id', async () => {
+    const giveaways = await reload(new MemoryStorage());
+    giveaways.set('u1', { id: 'g1', entries: [{ redemption_id: 'r1' }] });
+
+    giveaways.applyRemoteList('u1', 'entries', { op: 'append', id: 'r1', item: { redemption_id: 'r1', late: true } });
+    giveaways.applyRemoteList('u1', 'entries', { op: 'append', id: 'r2', item: { redemption_id: 'r2' } });
+    giveaways.applyRemoteList('u1', 'entries', { op: 'update', id: 'r2', item: { redemption_id: 'r2', status: 'CANCELED' } });
+    giveaways.applyRemote('u1', { id: 'g1', title: 'Renamed' });
+
+    assert.deepStrictEqual(giveaways.get('u1'), {
+        id: 'g1',
+        title: 'Renamed',
+        entries: [{ redemption_id: 'r1' }, { redemption_id: 'r2', status: 'CANCELED' }]
+    });
+});
+
+test('drops the oldest items past a cap, here and on other instances', async () => {
+    const storage = new MemoryStorage();
+    const giveaways = await reload(storage);
+    giveaways.set('u1', { id: 'g1', entries: ['r1', 'r2', 'r3'].map(id => ({ redemption_id: id })) });
+
+    const dropped = giveaways.trimList('u1', 'entries', 2);
+    assert.deepStrictEqual(dropped.map(e => e.redemption_id), ['r1']);
+    assert.deepStrictEqual((await reload(storage)).get('u1').entries.map(e => e.redemption_id), ['r2', 'r3']);
+    assert.deepStrictEqual(giveaways.trimList('u1', 'entries', 2), []);
+
+    giveaways.applyRemoteList('u1', 'entries', { op: 'remove', ids: ['r2'] });
+    assert.deepStrictEqual(giveaways.get('u1').entries.map(e => e.redemption_id), ['r3']);
+});
+
+test('keeps list values item by item', async () => {
+    const storage = new MemoryStorage();
+    const load = () => storage.flush().then(() => new PersistentMap(storage, 'auditLog', { itemId: 'id' }).load());
+    const log = await load();
+
+    // Another instance appending to the same channel's log at the same time
+    const other = await load();
+    log.append('u1', 'items', { id: 'a1' });
+    other.append('u1', 'items', { id: 'a2' });
+
+    const entry = log.get('u1')[0];
+    entry.action = 'edited';
+    log.persistItems('u1', 'items', [entry]);
+
+    assert.deepStrictEqual((await load()).get('u1'), [{ id: 'a1', action: 'edited' }, { id: 'a2' }]);
+
+    log.delete('u1');
+    assert.strictEqual((await load()).has('u1'), false);
+});
+
+test('moves list values saved as one array into their list', async () => {
+    const storage = new MemoryStorage();
+    await storage.set('auditLog', 'u1', [{ id: 'a1' }, { id: 'a2' }]);
+
+    const log = await new PersistentMap(storage, 'auditLog', { itemId: 'id' }).load();
+    assert.deepStrictEqual(log.get('u1'), [{ id: 'a1' }, { id: 'a2' }]);
+    assert.deepStrictEqual(await storage.load('auditLog'), [['u1', {}]]);
+    assert.deepStrictEqual(await storage.loadList('auditLog.items', 'u1'), [{ id: 'a1' }, { id: 'a2' }]);
+});
+
+test('follows list values written by other instances', async () => {
+    const log = await new PersistentMap(new MemoryStorage(), 'auditLog', { itemId: 'id' }).load();
+
+    log.applyRemote('u1', {});
+    log.applyRemoteList('u1', 'items', { op: 'append', id: 'a1', item: { id: 'a1' } });
+    log.applyRemote('u1', {});
+    assert.deepStrictEqual(log.get('u1'), [{ id: 'a1' }]);
+
+    log.applyRemote('u1', null);
+    assert.strictEqual(log.has('u1'), false);
+});
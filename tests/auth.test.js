@@ -0,0 +1,114 @@
+// tests/auth.test.js - Signed session cookies, CSRF checks and read-token scopes
+const assert = require('node:assert');
+const { describe, test, before, after } = require('node:test');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+
+const { createAuth, SESSION_COOKIE } = require('../lib/auth');
+const { MemoryStorage, PersistentMap } = require('../lib/storage');
+
+const SECRET = 'test-secret';
+
+describe('auth', () => {
+    const storage = new MemoryStorage();
+    const userSessions = new PersistentMap(storage, 'sessions');
+    const readTokens = new PersistentMap(storage, 'readTokens');
+    const auth = createAuth({
+        authSessions: new PersistentMap(storage, 'authSessions'),
+        userSessions,
+        readTokens,
+        channelModerators: new PersistentMap(storage, 'moderators'),
+        bannedTenants: new PersistentMap(storage, 'bannedTenants'),
+        secureCookies: false
+    });
+
+    let server;
+    let baseUrl;
+    let cookie;
+    let csrfToken;
+
+    before(async () => {
+        userSessions.set('u1', { userInfo: { login: 'streamer', display_name: 'Streamer' } });
+
+        const app = express();
+        app.use(cookieParser(SECRET));
+        app.post('/login', (req, res) => res.json(auth.createSession(res, 'u1')));
+        app.get('/me', auth.requireAuth, (req, res) => res.json({ userId: req.auth.userId }));
+        app.post('/change', auth.requireAuth, auth.requireCsrf, (req, res) => res.json({ ok: true }));
+        app.get('/events/:userId', auth.requireChannelAccess('events'), (req, res) => res.json(req.reader));
+        app.get('/stats/:userId', auth.requireChannelAccess('stats'), (req, res) => res.json(req.reader));
+
+        server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        const response = await fetch(`${baseUrl}/login`, { method: 'POST' });
+        cookie = response.headers.get('set-cookie').split(';')[0];
+        csrfToken = (await response.json()).csrfToken;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    function request(path, { headers = {}, ...options } = {}) {
+        return fetch(`${baseUrl}${path}`, { ...options, headers });
+    }
+
+    test('issues an httpOnly signed session cookie', async () => {
+        const response = await fetch(`${baseUrl}/login`, { method: 'POST' });
+        const header = response.headers.get('set-cookie');
+
+        assert.match(header, new RegExp(`^${SESSION_COOKIE}=s%3A`));
+        assert.match(header, /HttpOnly/);
+        assert.match(header, /SameSite=Lax/);
+    });
+
+    test('accepts the signed cookie', async () => {
+        const response = await request('/me', { headers: { Cookie: cookie } });
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(await response.json(), { userId: 'u1' });
+    });
+
+    test('rejects a missing, unsigned or tampered cookie', async () => {
+        const sessionId = decodeURIComponent(cookie.split('=')[1]).slice(2).split('.')[0];
+        const tampered = cookie.replace(/.$/, char => (char === 'A' ? 'B' : 'A'));
+
+        for (const headers of [{}, { Cookie: `${SESSION_COOKIE}=${sessionId}` }, { Cookie: tampered }]) {
+            assert.strictEqual((await request('/me', { headers })).status, 401);
+        }
+    });
+
+    test('rejects changes without the session CSRF token', async () => {
+        const missing = await request('/change', { method: 'POST', headers: { Cookie: cookie } });
+        const wrong = await request('/change', { method: 'POST', headers: { Cookie: cookie, 'X-CSRF-Token': 'nope' } });
+        const right = await request('/change', { method: 'POST', headers: { Cookie: cookie, 'X-CSRF-Token': csrfToken } });
+
+        assert.deepStrictEqual([missing.status, wrong.status, right.status], [403, 403, 200]);
+    });
+
+    test('read tokens only open the scopes they were given', async () => {
+        const { token } = auth.createReadToken('u1', { scopes: ['events'] });
+
+        const events = await request('/events/u1', { headers: { Authorization: `Bearer ${token}` } });
+        const viaQuery = await request(`/events/u1?token=${token}`);
+        const stats = await request('/stats/u1', { headers: { Authorization: `Bearer ${token}` } });
+        const otherChannel = await request('/events/u2', { headers: { Authorization: `Bearer ${token}` } });
+
+        assert.strictEqual(events.status, 200);
+        assert.strictEqual((await events.json()).type, 'token');
+        assert.strictEqual(viaQuery.status, 200);
+        assert.strictEqual(stats.status, 403);
+        assert.strictEqual(otherChannel.status, 403);
+    });
+
+    test('revoked read tokens stop working', async () => {
+        const { token, id } = auth.createReadToken('u1');
+        auth.revokeReadToken('u1', id);
+
+        assert.strictEqual((await request('/stats/u1', { headers: { Authorization: `Bearer ${token}` } })).status, 401);
+    });
+
+    test('read tokens only take known scopes', () => {
+        assert.throws(() => auth.createReadToken('u1', { scopes: ['events', 'control'] }), /Invalid scopes: control/);
+        assert.throws(() => auth.createReadToken('u1', { scopes: [] }), /Invalid scopes/);
+    });
+});
@@ -0,0 +1,163 @@
+// tests/chatClient.test.js - IRC line parsing, and the chat client against scripts/mock-irc.js
+const assert = require('node:assert');
+const net = require('node:net');
+const path = require('node:path');
+const { spawn } = require('node:child_process');
+const { describe, test, before, after, afterEach } = require('node:test');
+
+const { ChatClient, parseMessage, badgeRoles } = require('../lib/chatClient');
+
+describe('parseMessage', () => {
+    test('splits tags, prefix, command and trailing text', () => {
+        const message = parseMessage('@badges=;display-name=Viewer1;user-id=42 :viewer1!viewer1@viewer1.tmi.twitch.tv PRIVMSG #channel :!enter now please');
+
+        assert.deepStrictEqual(message.tags, { 'badges': '', 'display-name': 'Viewer1', 'user-id': '42' });
+        assert.strictEqual(message.prefix, 'viewer1!viewer1@viewer1.tmi.twitch.tv');
+        assert.strictEqual(message.command, 'PRIVMSG');
+        assert.deepStrictEqual(message.params, ['#channel', '!enter now please']);
+    });
+
+    test('unescapes IRCv3 tag values', () => {
+        const { tags } = parseMessage('@system-msg=a\\sb\\:c\\\\d\\re\\nf;empty=;bare :tmi.twitch.tv USERNOTICE #channel');
+
+        assert.strictEqual(tags['system-msg'], 'a b;c\\d\re\nf');
+        assert.strictEqual(tags.empty, '');
+        assert.strictEqual(tags.bare, '');
+    });
+
+    test('reads display names with spaces and non-Latin characters', () => {
+        const { tags } = parseMessage('@display-name=日本語\\sName :x!x@x.tmi.twitch.tv PRIVMSG #channel :hi');
+        assert.strictEqual(tags['display-name'], '日本語 Name');
+    });
+
+    test('handles lines without tags or prefix', () => {
+        assert.deepStrictEqual(parseMessage('PING :tmi.twitch.tv'), {
+            tags: {},
+            prefix: null,
+            command: 'PING',
+            params: ['tmi.twitch.tv']
+        });
+        assert.deepStrictEqual(parseMessage(':tmi.twitch.tv 001 bot :Welcome, GLHF!').params, ['bot', 'Welcome, GLHF!']);
+    });
+
+    test('maps badges onto bonus roles', () => {
+        assert.deepStrictEqual(badgeRoles('subscriber/12,vip/1,premium/1'), ['subscriber', 'vip']);
+        assert.deepStrictEqual(badgeRoles('founder/0'), ['subscriber']);
+        assert.deepStrictEqual(badgeRoles('moderator/1'), []);
+        assert.deepStrictEqual(badgeRoles(undefined), []);
+    });
+});
+
+async function freePort() {
+    const server = net.createServer().listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const { port } = server.address();
+    await new Promise(resolve => server.close(resolve));
+    return port;
+}
+
+// check may be async
+async function waitFor(check, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await check())) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the chat client');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+describe('ChatClient', () => {
+    let mock;
+    let baseUrl;
+    let client;
+    let received;
+
+    before(async () => {
+        const port = await freePort();
+        baseUrl = `http://localhost:${port}`;
+        mock = spawn(process.execPath, [path.join(__dirname, '..', 'scripts', 'mock-irc.js')], {
+            env: { ...process.env, MOCK_IRC_PORT: String(port) },
+            stdio: ['ignore', 'pipe', 'inherit']
+        });
+        await new Promise((resolve, reject) => {
+            mock.once('exit', code => reject(new Error(`Mock server exited (${code})`)));
+            mock.stdout.on('data', chunk => {
+                if (chunk.toString().includes('Mock Twitch chat server on')) resolve();
+            });
+        });
+    });
+
+    after(() => {
+        mock.kill();
+    });
+
+    afterEach(() => {
+        client.close();
+    });
+
+    function connect({ accessToken = 'token', onAuthFailed = async () => false } = {}) {
+        received = [];
+        client = new ChatClient({
+            url: baseUrl.replace('http', 'ws'),
+            channel: 'Streamer',
+            getCredentials: async () => ({ login: 'Bot', accessToken }),
+            onMessage: message => received.push(message),
+            onAuthFailed
+        });
+        client.connect();
+    }
+
+    async function post(route, body = {}) {
+        return (await fetch(`${baseUrl}${route}`, { method: 'POST', body: JSON.stringify(body) })).json();
+    }
+
+    test('joins the channel and passes chat messages on', async () => {
+        connect();
+        await waitFor(() => client.status === 'connected');
+
+        assert.strictEqual((await post('/say', { user: 'ViewerOne', user_id: '42', text: '!enter', badges: 'subscriber/6' })).sent, 1);
+        await waitFor(() => received.length === 1);
+
+        const [message] = received;
+        assert.strictEqual(message.userId, '42');
+        assert.strictEqual(message.login, 'viewerone');
+        assert.strictEqual(message.username, 'ViewerOne');
+        assert.strictEqual(message.text, '!enter');
+        assert.deepStrictEqual(message.roles, ['subscriber']);
+        assert.ok(message.id);
+    });
+
+    test('sends queued messages to the joined channel', async () => {
+        connect();
+        client.say('Hello\r\nchat');
+        await waitFor(() => client.status === 'connected');
+
+        let sent = [];
+        await waitFor(async () => {
+            sent = (await (await fetch(`${baseUrl}/messages`)).json()).data;
+            return sent.length > 0;
+        });
+        assert.deepStrictEqual(sent.map(({ channel, nick, text }) => ({ channel, nick, text })), [
+            { channel: '#streamer', nick: 'bot', text: 'Hello chat' }
+        ]);
+    });
+
+    test('reconnects and joins again when the server asks', async () => {
+        connect();
+        await waitFor(() => client.status === 'connected');
+        const firstSocket = client.socket;
+
+        await post('/reconnect');
+        await waitFor(() => client.status === 'connected' && client.socket !== firstSocket);
+
+        await post('/say', { text: '!enter' });
+        await waitFor(() => received.length === 1);
+    });
+
+    test('stops after a failed login that fresh credentials cannot fix', async () => {
+        let retries = 0;
+        connect({ accessToken: 'bad', onAuthFailed: async () => { retries++; return false; } });
+
+        await waitFor(() => client.status === 'auth_failed');
+        assert.strictEqual(retries, 1);
+    });
+});
@@ -0,0 +1,114 @@
+// tests/eligibility.test.js - Each eligibility rule, and how the settings are validated
+const assert = require('node:assert');
+const { describe, test } = require('node:test');
+
+const eligibility = require('../lib/eligibility');
+
+const NOW = new Date('2026-06-15T12:00:00Z');
+
+function daysAgo(days) {
+    return new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function evaluate(settings, facts) {
+    return eligibility.evaluate(eligibility.normalizeEligibility(settings), { login: 'viewer', ...facts }, NOW);
+}
+
+describe('evaluate', () => {
+    test('lets everyone in without rules', () => {
+        assert.strictEqual(evaluate({}, {}), null);
+        assert.strictEqual(eligibility.hasRules(eligibility.normalizeEligibility()), false);
+    });
+
+    test('excluded_users', () => {
+        const settings = { excluded_users: ['@Viewer', 'other'] };
+        assert.strictEqual(evaluate(settings, { login: 'VIEWER' }), 'excluded_user');
+        assert.strictEqual(evaluate(settings, { login: 'someone' }), null);
+    });
+
+    test('exclude_banned', () => {
+        assert.strictEqual(evaluate({ exclude_banned: true }, { isBanned: true }), 'banned');
+        assert.strictEqual(evaluate({ exclude_banned: true }, { isBanned: false }), null);
+    });
+
+    test('followers_only', () => {
+        assert.strictEqual(evaluate({ followers_only: true }, { followedAt: false }), 'not_following');
+        assert.strictEqual(evaluate({ followers_only: true }, { followedAt: daysAgo(1) }), null);
+    });
+
+    test('min_follow_days', () => {
+        const settings = { min_follow_days: 7 };
+        assert.strictEqual(evaluate(settings, { followedAt: false }), 'not_following');
+        assert.strictEqual(evaluate(settings, { followedAt: daysAgo(6) }), 'follow_too_recent');
+        assert.strictEqual(evaluate(settings, { followedAt: daysAgo(7) }), null);
+    });
+
+    test('subscribers_only', () => {
+        assert.strictEqual(evaluate({ subscribers_only: true }, { isSubscriber: false }), 'not_subscriber');
+        assert.strictEqual(evaluate({ subscribers_only: true }, { isSubscriber: true }), null);
+    });
+
+    test('min_account_age_days', () => {
+        const settings = { min_account_age_days: 30 };
+        assert.strictEqual(evaluate(settings, { createdAt: daysAgo(29) }), 'account_too_new');
+        assert.strictEqual(evaluate(settings, { createdAt: daysAgo(30) }), null);
+    });
+
+    test('exclude_winners_days', () => {
+        const settings = { exclude_winners_days: 14 };
+        assert.strictEqual(evaluate(settings, { lastWonAt: daysAgo(13) }), 'recent_winner');
+        assert.strictEqual(evaluate(settings, { lastWonAt: daysAgo(14) }), null);
+        assert.strictEqual(evaluate(settings, { lastWonAt: null }), null);
+    });
+
+    test('rejects as check_failed when a needed lookup failed', () => {
+        assert.strictEqual(evaluate({ followers_only: true }, { followedAt: null }), 'check_failed');
+        assert.strictEqual(evaluate({ subscribers_only: true }, { isSubscriber: null }), 'check_failed');
+        assert.strictEqual(evaluate({ min_account_age_days: 1 }, { createdAt: null }), 'check_failed');
+        assert.strictEqual(evaluate({ exclude_banned: true }, { isBanned: null }), 'check_failed');
+    });
+
+    test('an excluded user is rejected before any lookup is needed', () => {
+        assert.strictEqual(evaluate({ excluded_users: ['viewer'], followers_only: true }, { followedAt: null }), 'excluded_user');
+    });
+
+    test('every reason has a description', () => {
+        for (const reason of ['excluded_user', 'banned', 'not_following', 'follow_too_recent', 'not_subscriber',
+            'account_too_new', 'recent_winner', 'check_failed', 'ticket_limit', 'entry_cap']) {
+            assert.strictEqual(typeof eligibility.REJECTION_REASONS[reason], 'string', reason);
+        }
+    });
+});
+
+describe('requiredLookups', () => {
+    test('only asks Twitch what the rules need', () => {
+        assert.deepStrictEqual(eligibility.requiredLookups(eligibility.normalizeEligibility({ min_follow_days: 3, exclude_banned: true })), {
+            follow: true,
+            subscription: false,
+            user: false,
+            ban: true
+        });
+        assert.deepStrictEqual(eligibility.requiredLookups(eligibility.normalizeEligibility({ subscribers_only: true, min_account_age_days: 1 })), {
+            follow: false,
+            subscription: true,
+            user: true,
+            ban: false
+        });
+    });
+});
+
+describe('normalizeEligibility', () => {
+    test('rejects invalid settings', () => {
+        assert.throws(() => eligibility.normalizeEligibility({ followers_only: 'yes' }), /followers_only must be true or false/);
+        assert.throws(() => eligibility.normalizeEligibility({ min_follow_days: 1.5 }), /min_follow_days must be a whole number/);
+        assert.throws(() => eligibility.normalizeEligibility({ min_account_age_days: -1 }), /min_account_age_days/);
+        assert.throws(() => eligibility.normalizeEligibility({ exclude_winners_days: 4000 }), /exclude_winners_days/);
+        assert.throws(() => eligibility.normalizeEligibility({ excluded_users: 'viewer' }), /excluded_users must be a list/);
+        assert.throws(() => eligibility.normalizeEligibility({ excluded_users: ['not a login'] }), /Invalid username/);
+    });
+
+    test('cleans up excluded usernames', () => {
+        const rules = eligibility.normalizeEligibility({ excluded_users: [' @Viewer ', 'viewer', 'Other_1'] });
+        assert.deepStrictEqual(rules.excludedUsers, ['viewer', 'other_1']);
+    });
+});
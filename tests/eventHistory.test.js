@@ -0,0 +1,51 @@
+// tests/eventHistory.test.js - Replaying missed events to live feeds, and noticing when some are gone
+const assert = require('node:assert');
+const { test } = require('node:test');
+
+const EventHistory = require('../lib/eventHistory');
+
+function historyWith(ids, options) {
+    const history = new EventHistory(options);
+    ids.forEach(id => history.add('u1', id, { type: 'entry', id }));
+    return history;
+}
+
+test('replays the events after the last one seen', () => {
+    const history = historyWith(['1', '2', '3', '4']);
+
+    assert.deepStrictEqual(history.since('u1', '2').map(event => event.id), ['3', '4']);
+    assert.deepStrictEqual(history.since('u1', '2')[0].data, { type: 'entry', id: '3' });
+    assert.strictEqual(history.lastId('u1'), '4');
+});
+
+test('has nothing to replay for a feed that is up to date', () => {
+    const history = historyWith(['1', '2']);
+    assert.deepStrictEqual(history.since('u1', '2'), []);
+});
+
+test('reports a gap once the last seen event has been dropped', () => {
+    const history = historyWith(['1', '2', '3', '4'], { maxEvents: 2 });
+
+    assert.strictEqual(history.since('u1', '2'), null);
+    assert.deepStrictEqual(history.since('u1', '3').map(event => event.id), ['4']);
+});
+
+test('reports a gap for IDs it never saw, e.g. from before a restart', () => {
+    const history = historyWith(['1', '2']);
+
+    assert.strictEqual(history.since('u1', 'unknown'), null);
+    assert.strictEqual(history.since('u2', '1'), null);
+    assert.strictEqual(history.lastId('u2'), null);
+});
+
+test('keeps each channel apart and forgets a deleted one', () => {
+    const history = historyWith(['1', '2']);
+    history.add('u2', '1', { type: 'other' });
+
+    assert.deepStrictEqual(history.since('u1', '1').map(event => event.id), ['2']);
+    assert.deepStrictEqual(history.since('u2', '1'), []);
+
+    history.delete('u1');
+    assert.strictEqual(history.since('u1', '1'), null);
+    assert.strictEqual(history.lastId('u1'), null);
+});
@@ -0,0 +1,183 @@
+// tests/eventSubWebSocket.test.js - The EventSub WebSocket client against scripts/mock-eventsub-ws.js
+const assert = require('node:assert');
+const net = require('node:net');
+const path = require('node:path');
+const { spawn } = require('node:child_process');
+const { describe, test, before, after, afterEach } = require('node:test');
+
+const EventSubWebSocketClient = require('../lib/eventSubWebSocket');
+
+const KEEPALIVE_SECONDS = 1;
+
+async function freePort() {
+    const server = net.createServer().listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const { port } = server.address();
+    await new Promise(resolve => server.close(resolve));
+    return port;
+}
+
+// Resolves with the arguments of the next call, or rejects after timeoutMs
+function nextCall(calls, timeoutMs = 5000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Timed out waiting for a callback')), timeoutMs);
+        calls.waiters.push(value => {
+            clearTimeout(timer);
+            resolve(value);
+        });
+    });
+}
+
+function recorder() {
+    const calls = [];
+    calls.waiters = [];
+    calls.record = value => {
+        calls.push(value);
+        const waiter = calls.waiters.shift();
+        if (waiter) waiter(value);
+    };
+    return calls;
+}
+
+describe('EventSub WebSocket client', () => {
+    let mock;
+    let baseUrl;
+    let client;
+    let sessions;
+    let notifications;
+    let revocations;
+
+    before(async () => {
+        const port = await freePort();
+        baseUrl = `http://localhost:${port}`;
+        mock = spawn(process.execPath, [path.join(__dirname, '..', 'scripts', 'mock-eventsub-ws.js')], {
+            env: { ...process.env, MOCK_EVENTSUB_PORT: String(port), MOCK_EVENTSUB_KEEPALIVE_SECONDS: String(KEEPALIVE_SECONDS) },
+            stdio: ['ignore', 'pipe', 'inherit']
+        });
+        await new Promise((resolve, reject) => {
+            mock.once('exit', code => reject(new Error(`Mock server exited (${code})`)));
+            mock.stdout.on('data', chunk => {
+                if (chunk.toString().includes('Mock EventSub WebSocket server on')) resolve();
+            });
+        });
+    });
+
+    after(() => {
+        mock.kill();
+    });
+
+    afterEach(() => {
+        client.close();
+    });
+
+    function connect() {
+        sessions = recorder();
+        notifications = recorder();
+        revocations = recorder();
+        client = new EventSubWebSocketClient({
+            url: `${baseUrl.replace('http', 'ws')}/ws`,
+            userId: 'u1',
+            onSession: sessions.record,
+            onNotification: notifications.record,
+            onRevocation: revocations.record
+        });
+        const welcomed = nextCall(sessions);
+        client.connect();
+        return welcomed;
+    }
+
+    async function subscribe(sessionId) {
+        const response = await fetch(`${baseUrl}/eventsub/subscriptions`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                type: 'channel.channel_points_custom_reward_redemption.add',
+                version: '1',
+                condition: { broadcaster_user_id: 'u1', reward_id: 'r1' },
+                transport: { method: 'websocket', session_id: sessionId }
+            })
+        });
+        assert.strictEqual(response.status, 202);
+        return (await response.json()).data[0];
+    }
+
+    async function trigger(name, body = {}) {
+        const response = await fetch(`${baseUrl}/trigger/${name}`, { method: 'POST', body: JSON.stringify(body) });
+        return response.json();
+    }
+
+    async function subscriptions() {
+        return (await (await fetch(`${baseUrl}/subscriptions`)).json()).data;
+    }
+
+    test('starts a session from the welcome and delivers notifications', async () => {
+        const sessionId = await connect();
+        assert.strictEqual(client.connected, true);
+        assert.strictEqual(client.sessionId, sessionId);
+        assert.strictEqual(client.keepaliveMs, KEEPALIVE_SECONDS * 1000 + 2000);
+
+        await subscribe(sessionId);
+        const notified = nextCall(notifications);
+        assert.strictEqual((await trigger('redemption', { user_name: 'viewer1' })).sent, 1);
+
+        const payload = await notified;
+        assert.strictEqual(payload.event.user_name, 'viewer1');
+        assert.strictEqual(payload.event.reward.id, 'r1');
+    });
+
+    test('stays connected while keepalives arrive', async () => {
+        const sessionId = await connect();
+        await new Promise(resolve => setTimeout(resolve, (KEEPALIVE_SECONDS + 3) * 1000));
+
+        assert.strictEqual(client.connected, true);
+        assert.strictEqual(client.sessionId, sessionId);
+        assert.strictEqual(sessions.length, 1);
+    });
+
+    test('opens a new session when keepalives stop', async () => {
+        const sessionId = await connect();
+        const reconnected = nextCall(sessions, 10000);
+        await trigger('silence');
+
+        const newSessionId = await reconnected;
+        assert.notStrictEqual(newSessionId, sessionId);
+        assert.strictEqual(client.sessionId, newSessionId);
+        assert.strictEqual(client.connected, true);
+    });
+
+    test('moves to the reconnect URL and keeps its subscriptions', async () => {
+        const sessionId = await connect();
+        const subscription = await subscribe(sessionId);
+        const oldSocket = client.socket;
+        const oldClosed = new Promise(resolve => oldSocket.once('close', resolve));
+
+        await trigger('reconnect');
+        await oldClosed;
+
+        // A migration keeps the subscriptions, so it is not a new session for the caller
+        assert.strictEqual(sessions.length, 1);
+        assert.notStrictEqual(client.sessionId, sessionId);
+        assert.notStrictEqual(client.socket, oldSocket);
+        assert.strictEqual(client.connected, true);
+
+        const [moved] = (await subscriptions()).filter(s => s.id === subscription.id);
+        assert.strictEqual(moved.transport.session_id, client.sessionId);
+
+        const notified = nextCall(notifications);
+        await trigger('redemption');
+        assert.strictEqual((await notified).subscription.id, subscription.id);
+    });
+
+    test('passes revocations on', async () => {
+        const sessionId = await connect();
+        const subscription = await subscribe(sessionId);
+
+        const revoked = nextCall(revocations);
+        await trigger('revoke');
+
+        const payload = await revoked;
+        assert.strictEqual(payload.subscription.id, subscription.id);
+        assert.strictEqual(payload.subscription.status, 'authorization_revoked');
+        assert.strictEqual(client.connected, true);
+    });
+});
@@ -0,0 +1,103 @@
+// tests/fairDraw.test.js - Commit, draw and verify round trip, and what verify catches
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const { test } = require('node:test');
+
+const fairDraw = require('../lib/fairDraw');
+
+function entries(count, extra = () => ({})) {
+    return Array.from({ length: count }, (_, i) => ({
+        redemption_id: `r${i}`,
+        user_id: `u${i % Math.ceil(count / 2)}`,
+        username: `viewer${i}`,
+        ...extra(i)
+    }));
+}
+
+// What the verify route publishes for a draw
+function published(draw) {
+    return {
+        version: draw.version,
+        seed: draw.seed,
+        commitment: draw.commitment,
+        entries: draw.entries,
+        entriesHash: draw.entriesHash,
+        winners: draw.winners.map(({ round, winnerIndex }) => ({ round, winnerIndex })),
+        excludedUsers: draw.excludedUsers
+    };
+}
+
+test('the commitment is the hash of the seed', () => {
+    const commitment = fairDraw.createCommitment();
+    assert.strictEqual(commitment.commitment, crypto.createHash('sha256').update(commitment.seed).digest('hex'));
+});
+
+test('a draw verifies from its published inputs', () => {
+    const draw = fairDraw.draw(fairDraw.createCommitment(), entries(10), { count: 3 });
+    const result = fairDraw.verify(published(draw));
+
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(result.winners.map(w => w.winnerIndex), draw.winners.map(w => w.winnerIndex));
+});
+
+test('nobody wins twice and excluded viewers never win', () => {
+    const list = entries(10);
+    const draw = fairDraw.draw(fairDraw.createCommitment(), list, { count: 5, excludedUserIds: ['u0'] });
+    const winnerIds = draw.winners.map(w => list[w.winnerIndex].user_id);
+
+    assert.strictEqual(draw.winners.length, 4);
+    assert.strictEqual(new Set(winnerIds).size, winnerIds.length);
+    assert.ok(!winnerIds.includes('u0'));
+    assert.strictEqual(fairDraw.verify(published(draw)).valid, true);
+});
+
+test('weighted draws verify too', () => {
+    const draw = fairDraw.draw(fairDraw.createCommitment(), entries(6, i => ({ weight: i + 1 })), { count: 2 });
+    assert.strictEqual(fairDraw.verify(published(draw)).valid, true);
+});
+
+test('published entries do not name viewers', () => {
+    const draw = fairDraw.draw(fairDraw.createCommitment(), entries(4));
+    const text = JSON.stringify(draw.entries);
+
+    assert.ok(!/viewer|"u\d"|"r\d"/.test(text));
+    assert.strictEqual(draw.entries[0].user, fairDraw.pseudonym(draw.seed, 'u0'));
+});
+
+test('a seed that does not match the commitment is caught', () => {
+    const draw = fairDraw.draw(fairDraw.createCommitment(), entries(10));
+    const result = fairDraw.verify({ ...published(draw), seed: fairDraw.createCommitment().seed });
+
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.checks.commitmentMatchesSeed, false);
+});
+
+test('a changed entry list is caught', () => {
+    const draw = fairDraw.draw(fairDraw.createCommitment(), entries(10));
+    const tampered = published(draw);
+    tampered.entries = tampered.entries.slice(1);
+
+    const result = fairDraw.verify(tampered);
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.checks.entriesHashMatches, false);
+});
+
+test('a different winner is caught', () => {
+    const draw = fairDraw.draw(fairDraw.createCommitment(), entries(10));
+    const tampered = published(draw);
+    tampered.winners = [{ round: 0, winnerIndex: (draw.winnerIndex + 1) % 10 }];
+
+    const result = fairDraw.verify(tampered);
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.checks.winnerIndexMatches, false);
+});
+
+test('draws made before pseudonymous entries still verify', () => {
+    const { seed, commitment } = fairDraw.createCommitment();
+    const canonical = fairDraw.canonicalEntries(entries(8));
+    const entriesHash = fairDraw.hashEntries(canonical);
+    const { winnerIndex } = fairDraw.verify({ seed, commitment, entries: entries(8) });
+
+    const result = fairDraw.verify({ seed, commitment, entries: entries(8), entriesHash, winnerIndex });
+    assert.strictEqual(result.valid, true);
+});
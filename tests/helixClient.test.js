@@ -0,0 +1,94 @@
+// tests/helixClient.test.js - Which Helix 401s ask the broadcaster to sign in again
+const assert = require('node:assert');
+const http = require('node:http');
+const { describe, test, before, after, beforeEach } = require('node:test');
+
+const { HelixClient, errorResponse } = require('../lib/helixClient');
+const TokenManager = require('../lib/tokenManager');
+
+describe('401 responses', () => {
+    let server;
+    let baseUrl;
+    let helix;
+    let sessions;
+    let tokenStatus; // what Twitch's token endpoint answers a refresh with
+
+    before(async () => {
+        // Helix rejects every token; the token endpoint answers with tokenStatus
+        server = http.createServer((req, res) => {
+            if (req.url === '/oauth2/token') {
+                res.writeHead(tokenStatus, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ status: tokenStatus, message: 'Token refresh failed' }));
+                return;
+            }
+            res.writeHead(401, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ status: 401, message: 'Invalid OAuth token' }));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        sessions = new Map();
+        sessions.persist = () => {};
+        sessions.set('123', { accessToken: 'user-token', refreshToken: 'refresh-token', userInfo: { display_name: 'Streamer' } });
+
+        const tokens = new TokenManager({
+            clientId: 'client',
+            clientSecret: 'secret',
+            sessions,
+            authUrl: `${baseUrl}/oauth2`,
+            onReauthRequired: () => {}
+        });
+        tokens.getAppToken = async () => 'app-token';
+
+        helix = new HelixClient({ clientId: 'client', baseUrl: `${baseUrl}/helix`, tokens });
+    });
+
+    async function failure(promise) {
+        try {
+            await promise;
+        } catch (error) {
+            return errorResponse(error);
+        }
+        throw new Error('Expected the request to fail');
+    }
+
+    test('a rejected broadcaster token needs a new sign-in', async () => {
+        tokenStatus = 400;
+        const response = await failure(helix.request('123', '/users'));
+        assert.strictEqual(response.status, 401);
+        assert.strictEqual(response.body.reauth_required, true);
+        assert.strictEqual(sessions.get('123').needsReauth, true);
+    });
+
+    test('a refresh that fails with a 5xx is worth retrying, not a new sign-in', async () => {
+        tokenStatus = 503;
+        const response = await failure(helix.request('123', '/users'));
+        assert.strictEqual(response.status, 503);
+        assert.strictEqual(response.body.reauth_required, undefined);
+        assert.strictEqual(sessions.get('123').needsReauth, undefined);
+    });
+
+    test('a missing refresh token needs a new sign-in', async () => {
+        delete sessions.get('123').refreshToken;
+        const response = await failure(helix.request('123', '/users'));
+        assert.strictEqual(response.status, 401);
+        assert.strictEqual(response.body.reauth_required, true);
+    });
+
+    test('a rejected app token is a Twitch error', async () => {
+        const response = await failure(helix.appRequest('/eventsub/subscriptions'));
+        assert.strictEqual(response.status, 502);
+        assert.strictEqual(response.body.twitch_status, 401);
+        assert.strictEqual(response.body.reauth_required, undefined);
+    });
+
+    test('a rejected caller-provided token is a Twitch error', async () => {
+        const response = await failure(helix.request(null, '/users', { accessToken: 'sign-in-token' }));
+        assert.strictEqual(response.status, 502);
+        assert.strictEqual(response.body.reauth_required, undefined);
+    });
+});
@@ -0,0 +1,60 @@
+// tests/messageCache.test.js - Recently seen message IDs expire after their TTL
+const assert = require('node:assert');
+const { test, mock } = require('node:test');
+
+const MessageCache = require('../lib/messageCache');
+
+test('remembers an ID until its TTL ends', (t) => {
+    t.mock.timers.enable({ apis: ['Date'] });
+    const cache = new MessageCache({ ttlMs: 1000 });
+
+    cache.add('m1');
+    t.mock.timers.tick(999);
+    assert.strictEqual(cache.has('m1'), true);
+
+    t.mock.timers.tick(1);
+    assert.strictEqual(cache.has('m1'), false);
+    assert.strictEqual(cache.size, 0);
+});
+
+test('seeing an ID again restarts its TTL', (t) => {
+    t.mock.timers.enable({ apis: ['Date'] });
+    const cache = new MessageCache({ ttlMs: 1000 });
+
+    cache.add('m1');
+    t.mock.timers.tick(600);
+    cache.add('m1');
+    t.mock.timers.tick(600);
+    assert.strictEqual(cache.has('m1'), true);
+});
+
+test('drops expired IDs before going over the cap, without counting them', (t) => {
+    t.mock.timers.enable({ apis: ['Date'] });
+    const onEvict = mock.fn();
+    const cache = new MessageCache({ maxSize: 2, ttlMs: 1000, onEvict });
+
+    cache.add('m1');
+    cache.add('m2');
+    t.mock.timers.tick(1000);
+    cache.add('m3');
+    cache.add('m4');
+
+    assert.deepStrictEqual(['m1', 'm2', 'm3', 'm4'].map(id => cache.has(id)), [false, false, true, true]);
+    assert.strictEqual(cache.evicted, 0);
+    assert.strictEqual(onEvict.mock.callCount(), 0);
+});
+
+test('counts live IDs pushed out by the cap', (t) => {
+    t.mock.timers.enable({ apis: ['Date'] });
+    const onEvict = mock.fn();
+    const cache = new MessageCache({ maxSize: 2, ttlMs: 1000, onEvict });
+
+    cache.add('m1');
+    cache.add('m2');
+    cache.add('m3');
+
+    assert.strictEqual(cache.size, 2);
+    assert.strictEqual(cache.has('m1'), false);
+    assert.strictEqual(cache.evicted, 1);
+    assert.deepStrictEqual(onEvict.mock.calls[0].arguments, ['m1']);
+});
@@ -0,0 +1,132 @@
+// tests/outboundWebhooks.test.js - Webhook URL checks and the delivery-time private address guard
+const assert = require('node:assert');
+const dns = require('node:dns');
+const http = require('node:http');
+const { test, describe, before, after, afterEach, mock } = require('node:test');
+
+const { isPrivateAddress, normalizeHook, WebhookDispatcher } = require('../lib/outboundWebhooks');
+const { MemoryStorage, PersistentMap } = require('../lib/storage');
+
+const delivery = { id: 'd1', event: 'test', data: { message: 'Test notification' }, created_at: new Date().toISOString() };
+
+function dispatcher(options = {}) {
+    const deliveries = new PersistentMap(new MemoryStorage(), 'webhookDeliveries', { itemId: 'id' });
+    return new WebhookDispatcher({
+        hooks: new Map(),
+        deliveries,
+        getChannel: userId => ({ id: userId }),
+        getGiveaway: () => null,
+        ...options
+    });
+}
+
+describe('isPrivateAddress', () => {
+    const blocked = [
+        '127.0.0.1', '127.255.0.9', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1',
+        '169.254.169.254', '0.0.0.0', '0.1.2.3', '100.64.0.1', '100.127.255.254', '224.0.0.1', '255.255.255.255',
+        '::', '::1', 'fc00::1', 'fd12:3456::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:a9fe:a9fe',
+        '64:ff9b::a00:1'
+    ];
+    const allowed = ['8.8.8.8', '100.63.255.255', '100.128.0.1', '172.32.0.1', '2606:4700:4700::1111', '::ffff:8.8.8.8'];
+
+    for (const address of blocked) {
+        test(`blocks ${address}`, () => assert.strictEqual(isPrivateAddress(address), true));
+    }
+    for (const address of allowed) {
+        test(`allows ${address}`, () => assert.strictEqual(isPrivateAddress(address), false));
+    }
+
+    test('ignores hostnames', () => assert.strictEqual(isPrivateAddress('example.com'), false));
+});
+
+describe('normalizeHook', () => {
+    const privateUrls = [
+        'https://localhost/hook', 'https://api.localhost/hook', 'https://127.0.0.1/hook', 'https://[::1]/hook',
+        'https://[::ffff:127.0.0.1]/hook', 'https://[::ffff:a9fe:a9fe]/hook', 'https://0.0.0.0/hook',
+        'https://0.10.0.1/hook', 'https://100.64.12.1/hook', 'https://2130706433/hook', 'https://0x7f.1/hook'
+    ];
+
+    for (const url of privateUrls) {
+        test(`rejects ${url}`, () => {
+            assert.throws(() => normalizeHook({ url }), { message: 'url must point to a public host' });
+        });
+    }
+
+    test('accepts a public host', () => {
+        assert.strictEqual(normalizeHook({ url: 'https://hooks.example.com/in' }).url, 'https://hooks.example.com/in');
+    });
+
+    test('allows local receivers in development', () => {
+        assert.strictEqual(normalizeHook({ url: 'http://127.0.0.1:8080/' }, null, { allowPrivate: true }).url, 'http://127.0.0.1:8080/');
+    });
+});
+
+describe('delivery', () => {
+    let server;
+    let port;
+    let hits = 0;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            hits += 1;
+            req.resume();
+            res.end('ok');
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        port = server.address().port;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    afterEach(() => {
+        mock.restoreAll();
+        hits = 0;
+    });
+
+    // A hostname that looked public when it was saved, now answering with the given addresses
+    function rebind(...addresses) {
+        mock.method(dns, 'lookup', (hostname, options, callback) => {
+            const all = addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+            if (options.all) return callback(null, all);
+            callback(null, all[0].address, all[0].family);
+        });
+    }
+
+    test('refuses a hostname that resolves to a private address (DNS rebinding)', async () => {
+        rebind('127.0.0.1');
+        const result = await dispatcher().send({ url: `http://rebind.example.com:${port}/`, secret: 's' }, delivery, null);
+        assert.deepStrictEqual([result.ok, result.status, result.error], [false, null, 'Host resolves to a private address']);
+        assert.strictEqual(hits, 0);
+    });
+
+    test('refuses a hostname with any private address among its answers', async () => {
+        rebind('93.184.216.34', '::ffff:127.0.0.1');
+        const result = await dispatcher().send({ url: `http://rebind.example.com:${port}/`, secret: 's' }, delivery, null);
+        assert.strictEqual(result.error, 'Host resolves to a private address');
+        assert.strictEqual(hits, 0);
+    });
+
+    test('refuses private IP literals', async () => {
+        for (const host of ['127.0.0.1', '[::ffff:127.0.0.1]']) {
+            const result = await dispatcher().send({ url: `http://${host}:${port}/`, secret: 's' }, delivery, null);
+            assert.strictEqual(result.error, 'Host resolves to a private address');
+        }
+        assert.strictEqual(hits, 0);
+    });
+
+    test('delivers to local receivers when private hosts are allowed', async () => {
+        const result = await dispatcher({ allowPrivate: true }).send({ url: `http://127.0.0.1:${port}/`, secret: 's' }, delivery, null);
+        assert.deepStrictEqual([result.ok, result.status, result.error], [true, 200, null]);
+        assert.strictEqual(hits, 1);
+    });
+
+    test('test-fire does not tell a closed port from other connection failures', async () => {
+        const closed = http.createServer();
+        await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+        const closedPort = closed.address().port;
+        await new Promise(resolve => closed.close(resolve));
+
+        const logged = await dispatcher({ allowPrivate: true }).test('u1', { id: 'h1', url: `http://127.0.0.1:${closedPort}/`, secret: 's' });
+        assert.deepStrictEqual([logged.status, logged.response_status, logged.error], ['failed', null, 'Could not connect']);
+    });
+});
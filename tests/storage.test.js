@@ -0,0 +1,184 @@
+// tests/storage.test.js - Every storage adapter behaves the same (set REDIS_URL to include redis)
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, test, after } = require('node:test');
+
+const { MemoryStorage, FileStorage, RedisStorage } = require('../lib/storage');
+
+// open() returns a started adapter over the same data each time it is called
+const adapters = {
+    memory: () => {
+        const storage = new MemoryStorage();
+        return { open: async () => storage, cleanup: async () => {} };
+    },
+    file: () => {
+        const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'giveaway-storage-'));
+        return {
+            open: async () => {
+                const storage = new FileStorage({ dataDir });
+                await storage.init();
+                return storage;
+            },
+            cleanup: async () => fs.promises.rm(dataDir, { recursive: true, force: true })
+        };
+    },
+    redis: () => {
+        const prefix = `giveaway-test-${crypto.randomUUID()}`;
+        const opened = [];
+        return {
+            open: async () => {
+                const storage = new RedisStorage({ url: process.env.REDIS_URL, prefix });
+                await storage.init();
+                opened.push(storage);
+                return storage;
+            },
+            cleanup: async () => {
+                const { client } = opened[0];
+                const keys = await client.keys(`${prefix}:*`);
+                if (keys.length > 0) await client.del(...keys);
+                await Promise.all(opened.map(storage => storage.close()));
+            }
+        };
+    }
+};
+
+for (const [name, create] of Object.entries(adapters)) {
+    describe(`${name} storage`, { skip: name === 'redis' && !process.env.REDIS_URL && 'REDIS_URL is not set' }, () => {
+        const adapter = create();
+
+        // Writes from one adapter, read back through a fresh one
+        async function reopen(storage) {
+            await storage.flush();
+            return adapter.open();
+        }
+
+        after(() => adapter.cleanup());
+
+        test('stores, replaces and deletes values per namespace', async () => {
+            const storage = await adapter.open();
+            await storage.set('things', 'a', { n: 1 });
+            await storage.set('things', 'b', { n: 2 });
+            await storage.set('things', 'a', { n: 3 });
+            await storage.set('other', 'a', 'text');
+            await storage.delete('things', 'b');
+
+            const reopened = await reopen(storage);
+            assert.deepStrictEqual(await reopened.load('things'), [['a', { n: 3 }]]);
+            assert.deepStrictEqual(await reopened.load('other'), [['a', 'text']]);
+            assert.deepStrictEqual(await reopened.load('missing'), []);
+        });
+
+        test('keeps list items in order and appends each id once', async () => {
+            const storage = await adapter.open();
+            await storage.appendToList('things.items', 'k', 'x', { id: 'x' });
+            await storage.appendToList('things.items', 'k', 'y', { id: 'y' });
+            await storage.appendToList('things.items', 'k', 'x', { id: 'x', again: true });
+            await storage.updateListItem('things.items', 'k', 'y', { id: 'y', done: true });
+
+            const reopened = await reopen(storage);
+            assert.deepStrictEqual(await reopened.loadList('things.items', 'k'), [{ id: 'x' }, { id: 'y', done: true }]);
+            assert.deepStrictEqual(await reopened.loadList('things.items', 'missing'), []);
+        });
+
+        test('removes list items', async () => {
+            const storage = await adapter.open();
+            for (const id of ['a', 'b', 'c']) {
+                await storage.appendToList('things.items', 'd', id, { id });
+            }
+            await storage.removeFromList('things.items', 'd', ['a', 'c']);
+            await storage.removeFromList('things.items', 'missing', ['a']);
+
+            const reopened = await reopen(storage);
+            assert.deepStrictEqual(await reopened.loadList('things.items', 'd'), [{ id: 'b' }]);
+        });
+
+        test('replaces and removes lists', async () => {
+            const storage = await adapter.open();
+            await storage.appendToList('things.items', 'r', 'old', { id: 'old' });
+            await storage.replaceList('things.items', 'r', [['a', { id: 'a' }], ['b', { id: 'b' }]]);
+            await storage.replaceList('things.items', 'gone', [['c', { id: 'c' }]]);
+            await storage.replaceList('things.items', 'gone', []);
+
+            const reopened = await reopen(storage);
+            assert.deepStrictEqual(await reopened.loadList('things.items', 'r'), [{ id: 'a' }, { id: 'b' }]);
+            assert.deepStrictEqual(await reopened.loadList('things.items', 'gone'), []);
+        });
+
+        test('answers readiness checks', async () => {
+            const storage = await adapter.open();
+            await storage.ping();
+        });
+    });
+}
+
+describe('redis storage flush', () => {
+    // Records the commands of each batch; exec fails while `failing` is set
+    function fakeClient() {
+        const client = { failing: true, batches: [] };
+        client.multi = () => {
+            const commands = [];
+            const batch = new Proxy({}, {
+                get: (target, name) => name === 'exec'
+                    ? async () => {
+                        if (client.failing) throw new Error('Connection is closed.');
+                        client.batches.push(commands);
+                        return [];
+                    }
+                    : (...args) => {
+                        commands.push([name, ...args]);
+                        return batch;
+                    }
+            });
+            return batch;
+        };
+        return client;
+    }
+
+    test('puts a batch Redis did not take back in front of newer writes', async () => {
+        const storage = new RedisStorage({ url: 'redis://unused', prefix: 'p' });
+        storage.client = fakeClient();
+
+        await storage.set('things', 'a', { n: 1 });
+        await storage.set('things', 'b', { n: 1 });
+        await storage.appendToList('things.items', 'k', 'x', { id: 'x' });
+        const failed = storage.flush();
+
+        // Queued while the failing batch was in flight
+        await storage.set('things', 'a', { n: 2 });
+        await storage.appendToList('things.items', 'k', 'y', { id: 'y' });
+        await assert.rejects(failed, /Connection is closed/);
+
+        storage.client.failing = false;
+        await storage.flush();
+
+        const writes = storage.client.batches.flat().filter(([name]) => name !== 'publish');
+        assert.deepStrictEqual(writes, [
+            ['hset', 'p:things', 'a', '{"n":2}'],
+            ['hset', 'p:things', 'b', '{"n":1}'],
+            ['rpush', 'p:things.items:k', 'x'],
+            ['hsetnx', 'p:things.items:k:items', 'x', '{"id":"x"}'],
+            ['rpush', 'p:things.items:k', 'y'],
+            ['hsetnx', 'p:things.items:k:items', 'y', '{"id":"y"}']
+        ]);
+        assert.strictEqual(storage.pending.size, 0);
+        assert.strictEqual(storage.listOps.length, 0);
+    });
+
+    test('tries a failed batch again on its own', async (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout', 'setImmediate'] });
+        const storage = new RedisStorage({ url: 'redis://unused', prefix: 'p' });
+        storage.client = fakeClient();
+
+        await storage.set('things', 'a', { n: 1 });
+        await assert.rejects(storage.flush());
+        storage.client.failing = false;
+
+        t.mock.timers.tick(1000);
+        await new Promise(resolve => process.nextTick(resolve));
+        assert.strictEqual(storage.client.batches.length, 1);
+        assert.strictEqual(storage.pending.size, 0);
+    });
+});